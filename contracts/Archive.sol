@@ -2,6 +2,7 @@
 pragma solidity ^0.8.0;
 
 import "./interfaces/IManagement.sol";
+import "./interfaces/IArchiveV1.sol";
 
 contract Archive {
 
@@ -11,18 +12,39 @@ contract Archive {
     }
 
     bytes32 private constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
+    bytes32 private constant MARKET_ROLE = keccak256("MARKET_ROLE");
     IManagement public management;
 
-    mapping(uint256 => OnSale) public currentOnSale;
-    mapping(uint256 => bool) public prevSaleIds;
+    //  'On sale' state is namespaced by the trading contract and Seller (see `onSaleKey()`),
+    //  thus the same `saleId` used on different trading contracts, or by different Sellers, does not interfere
+    //  Canceled state is namespaced by Seller only (see `saleKey()`), thus canceling a `saleId` on Marketplace
+    //  also cancels auctions and bundles of that Seller with the same `saleId`
+    mapping(bytes32 => OnSale) public onSales;
+    mapping(bytes32 => bool) public canceledSales;
 
+    mapping(address => uint256) public nonces;
+
+    //  Number of sales of one item (NFT Token => tokenId => number of sales). Zero means it has never been sold
+    mapping(address => mapping(uint256 => uint256)) public saleGenerations;
+
+    //  Sale state is updated by Marketplace and other trading contracts (i.e. Auction, OfferBook, BundleMarket) granted MARKET_ROLE
     modifier onlyAuthorizer() {
         require(
-            management.marketplace() == msg.sender, "Unauthorized "
+            management.marketplace() == msg.sender ||
+                management.hasRole(MARKET_ROLE, msg.sender),
+            "Unauthorized "
         );
         _;
     }
 
+    //  Sale state is frozen while trading is paused in Management
+    modifier whenNotPaused() {
+        require(!management.paused(), "Paused");
+        _;
+    }
+
+    event SaleMigrated(address indexed seller, uint256 indexed saleId);
+
     modifier onlyManager() {
         require(
             management.hasRole(MANAGER_ROLE, msg.sender), "Only Manager"
@@ -45,56 +67,199 @@ contract Archive {
         management = IManagement(_newManagement);
     }
 
+    /**
+        @notice Query the key of one sale in Archive
+        @dev    Caller can be ANY
+
+        @param _seller       Address of Seller (or Buyer of an offer)
+        @param _saleId       An unique identification number of Sale Info, chosen by `_seller`
+    */
+    function saleKey(address _seller, uint256 _saleId)
+        public
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(_seller, _saleId));
+    }
+
+    /**
+        @notice Query the key of 'on sale' state of one sale in Archive
+        @dev    Caller can be ANY
+
+        @param _market       Address of the trading contract that executes the sale
+        @param _seller       Address of Seller (or Buyer of an offer)
+        @param _saleId       An unique identification number of Sale Info, chosen by `_seller`
+    */
+    function onSaleKey(
+        address _market,
+        address _seller,
+        uint256 _saleId
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(_market, _seller, _saleId));
+    }
+
     /**
         @notice Query an amount of item that is currently 'on sale'
         @dev    Caller can be ANY
 
+        @param _market       Address of the trading contract
+        @param _seller       Address of Seller
         @param _saleId       An unique identification number of Sale Info
     */
-    function getCurrentOnSale(uint256 _saleId) external view returns (uint256 _currentAmt) {
-        _currentAmt = currentOnSale[_saleId].amount;
+    function getCurrentOnSale(
+        address _market,
+        address _seller,
+        uint256 _saleId
+    ) external view returns (uint256 _currentAmt) {
+        _currentAmt = onSales[onSaleKey(_market, _seller, _saleId)].amount;
     }
 
     /**
         @notice Update new amount of items that are 'on sale'
         @dev    Restricted Caller
 
+        @param _seller          Address of Seller
         @param _saleId          An unique identification number of Sale Info
         @param _newAmt          New amount is 'on sale'  
+
+        Note: The state is kept in the namespace of the calling trading contract
     */
-    function setCurrentOnSale(uint256 _saleId, uint256 _newAmt) external onlyAuthorizer {
-        currentOnSale[_saleId].amount = _newAmt;
+    function setCurrentOnSale(
+        address _seller,
+        uint256 _saleId,
+        uint256 _newAmt
+    ) external onlyAuthorizer whenNotPaused {
+        onSales[onSaleKey(msg.sender, _seller, _saleId)].amount = _newAmt;
     }
 
     /**
-        @notice Query locking state of one `saleId`
+        @notice Query locking state of one `saleId` of `_seller`
         @dev    Caller can be ANY
 
+        @param _market       Address of the trading contract
+        @param _seller       Address of Seller
         @param _saleId       An unique identification number of Sale Info
     */
-    function getLocked(uint256 _saleId) external view returns (bool _locked) {
-        _locked = currentOnSale[_saleId].locked;
+    function getLocked(
+        address _market,
+        address _seller,
+        uint256 _saleId
+    ) external view returns (bool _locked) {
+        _locked = onSales[onSaleKey(_market, _seller, _saleId)].locked;
     }
 
     /**
-        @notice Set locking state of one `saleId`
+        @notice Set locking state of one `saleId` of `_seller`
         @dev    Restricted Caller
 
+        @param _seller          Address of Seller
         @param _saleId          An unique identification number of Sale Info
 
         Note: Once locking state of one `saleId` is set, it cannot be reset
+            The state is kept in the namespace of the calling trading contract
+    */
+    function setLocked(address _seller, uint256 _saleId)
+        external
+        onlyAuthorizer
+        whenNotPaused
+    {
+        onSales[onSaleKey(msg.sender, _seller, _saleId)].locked = true;
+    }
+
+    /**
+        @notice Query whether one `saleId` of `_seller` is archived (i.e. canceled)
+        @dev    Caller can be ANY
+
+        @param _seller       Address of Seller
+        @param _saleId       An unique identification number of Sale Info
+    */
+    function isCanceled(address _seller, uint256 _saleId)
+        external
+        view
+        returns (bool)
+    {
+        return canceledSales[saleKey(_seller, _saleId)];
+    }
+
+    /**
+        @notice Increase nonce of `_seller` to invalidate all listings signed with the current nonce
+        @dev    Restricted Caller
+
+        @param _seller          Address of Seller
+    */
+    function incrementNonce(address _seller)
+        external
+        onlyAuthorizer
+        returns (uint256 _nonce)
+    {
+        _nonce = ++nonces[_seller];
+    }
+
+    /**
+        @notice Record a sale of one item
+        @dev    Restricted Caller
+
+        @param _nftToken        Address of NFT Token (ERC721/ERC1155/Collection) contract
+        @param _tokenId         ID of the item
+
+        Note: Return the generation of this sale (i.e. 0 = first sale, 1 = first resale, ...)
     */
-    function setLocked(uint256 _saleId) external onlyAuthorizer {
-        currentOnSale[_saleId].locked = true;
+    function recordSale(address _nftToken, uint256 _tokenId)
+        external
+        onlyAuthorizer
+        whenNotPaused
+        returns (uint256 _generation)
+    {
+        _generation = saleGenerations[_nftToken][_tokenId]++;
     }
 
     /**
-        @notice Archive `saleId`
+        @notice Archive `saleId` of `_seller`
         @dev    Restricted Caller
         
+        @param _seller          Address of Seller
         @param _saleId          An unique identification number of Sale Info
     */
-    function cancel(uint256 _saleId) external onlyAuthorizer {
-        prevSaleIds[_saleId] = true;
+    function cancel(address _seller, uint256 _saleId)
+        external
+        onlyAuthorizer
+        whenNotPaused
+    {
+        canceledSales[saleKey(_seller, _saleId)] = true;
+    }
+
+    /**
+        @notice Copy legacy state of bare `saleIds` from the previous Archive into the namespace of their Sellers
+        @dev    Caller must have MANAGER_ROLE
+
+        @param _prevArchive     Address of the previous Archive, which kept sale state by bare `saleId`
+        @param _market          Address of the trading contract that the legacy `saleIds` were traded on
+        @param _sellers         A list of Sellers that the legacy `saleIds` belong to
+        @param _saleIds         A list of legacy `saleIds`
+
+        Note: Sellers of legacy sales can be found by `Purchased` and `Canceled` events of trading contracts
+            A legacy `saleId` shared by many Sellers can be copied to each of them.
+            Locked state that has been recorded in the namespace is not overwritten
+    */
+    function migrateSales(
+        IArchiveV1 _prevArchive,
+        address _market,
+        address[] calldata _sellers,
+        uint256[] calldata _saleIds
+    ) external onlyManager {
+        require(_sellers.length == _saleIds.length, "Length mismatch");
+
+        for (uint256 i; i < _saleIds.length; i++) {
+            bytes32 _key = onSaleKey(_market, _sellers[i], _saleIds[i]);
+            if (_prevArchive.getLocked(_saleIds[i]) && !onSales[_key].locked)
+                onSales[_key] = OnSale(
+                    _prevArchive.getCurrentOnSale(_saleIds[i]),
+                    true
+                );
+            if (_prevArchive.prevSaleIds(_saleIds[i]))
+                canceledSales[saleKey(_sellers[i], _saleIds[i])] = true;
+
+            emit SaleMigrated(_sellers[i], _saleIds[i]);
+        }
     }
 }
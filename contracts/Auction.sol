@@ -0,0 +1,616 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "./utils/MarketBase.sol";
+
+//  English auctions with on-chain bid escrow, and Dutch (declining-price) auction listings
+contract Auction is MarketBase, ERC721Holder, ERC1155Holder {
+    using SafeERC20 for IERC20;
+
+    struct AuctionInfo {
+        uint256 saleID;
+        address seller;
+        address nftToken;
+        address paymentToken;
+        uint256 nftType;
+        uint256 tokenID;
+        uint256 amount;
+        uint256 reservePrice; //  Minimum value of the first bid
+        uint256 minIncrement; //  Minimum raise over the highest bid (i.e. 5% => minIncrement = 500)
+        uint256 endTime;
+        uint256 extension; //  Bidding within `extension` seconds before `endTime` extends the auction
+        uint256 nonce; //  Nonce of Seller when listing (see `Marketplace.incrementNonce()`)
+        bytes sSignature; //  Signature generated by Seller
+    }
+
+    struct AuctionState {
+        address bidder;
+        uint256 bid;
+        uint256 endTime;
+        bool settled;
+    }
+
+    //  Unit price decreases from `startPrice` (at `startTime`) to `endPrice` (at `endTime`)
+    //  - `stepDuration` = 0: price decreases linearly every second
+    //  - `stepDuration` > 0: price decreases once every `stepDuration` seconds
+    //  After `endTime`, items remain on sale at `endPrice`
+    struct DutchAuctionInfo {
+        uint256 saleID;
+        address seller;
+        address nftToken;
+        address paymentToken;
+        uint256 nftType;
+        uint256 tokenID;
+        uint256 onSaleAmt;
+        uint256 startPrice;
+        uint256 endPrice;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 stepDuration;
+        uint256 nonce;
+        bytes sSignature; //  Signature generated by Seller
+    }
+
+    bytes32 public constant VERSION = keccak256("AUCTION_v1");
+    //  Period after the end of an auction that the highest bidder has to settle it, before Seller can reclaim the item
+    uint256 public constant SETTLE_GRACE_PERIOD = 7 days;
+    bytes32 private constant AUCTION_INFO_TYPEHASH =
+        keccak256(
+            "AuctionInfo(uint256 saleID,address seller,address nftToken,address paymentToken,uint256 nftType,uint256 tokenID,uint256 amount,uint256 reservePrice,uint256 minIncrement,uint256 endTime,uint256 extension,uint256 nonce)"
+        );
+    bytes32 private constant DUTCH_AUCTION_INFO_TYPEHASH =
+        keccak256(
+            "DutchAuctionInfo(uint256 saleID,address seller,address nftToken,address paymentToken,uint256 nftType,uint256 tokenID,uint256 onSaleAmt,uint256 startPrice,uint256 endPrice,uint256 startTime,uint256 endTime,uint256 stepDuration,uint256 nonce)"
+        );
+    bytes32 private constant DUTCH_PURCHASE_TYPEHASH =
+        keccak256(
+            "DutchPurchase(address buyer,uint256 purchaseAmt,uint256 expiry,uint256 epoch,DutchAuctionInfo dutchAuctionInfo)DutchAuctionInfo(uint256 saleID,address seller,address nftToken,address paymentToken,uint256 nftType,uint256 tokenID,uint256 onSaleAmt,uint256 startPrice,uint256 endPrice,uint256 startTime,uint256 endTime,uint256 stepDuration,uint256 nonce)"
+        );
+
+    //  Auctions are identified by the EIP-712 digest of `AuctionInfo`
+    mapping(bytes32 => AuctionState) public auctions;
+
+    event BidPlaced(
+        bytes32 indexed auctionId,
+        uint256 indexed saleId,
+        address indexed bidder,
+        uint256 amount,
+        uint256 endTime
+    );
+
+    event Settled(
+        bytes32 indexed auctionId,
+        uint256 indexed saleId,
+        address indexed winner,
+        address seller,
+        uint256 amount,
+        uint256 commissionFee,
+        uint256 royaltyFee,
+        uint256 payToSeller
+    );
+
+    event Reclaimed(
+        bytes32 indexed auctionId,
+        uint256 indexed saleId,
+        address indexed bidder,
+        address seller,
+        uint256 amount
+    );
+
+    constructor(IManagement _management, IArchive _archive)
+        MarketBase(_management, _archive, "Auction")
+    {}
+
+    /**
+        @notice Place a bid on an auction
+        @dev    Caller can be ANY
+            Note: The first bid starts the auction and moves the item from Seller into escrow.
+                Following bids must raise the highest bid by at least `minIncrement`,
+                and the previous highest bidder is refunded in the same transaction
+
+        @param _auction             A struct of auction information
+        @param _amount              A bidding amount (paid in `_auction.paymentToken`)
+    */
+    function bid(AuctionInfo calldata _auction, uint256 _amount)
+        external
+        payable
+        nonReentrant
+    {
+        _checkPaused(_auction.nftToken, _auction.paymentToken);
+
+        bytes32 _auctionId = _hashTypedDataV4(_hashAuctionInfo(_auction));
+        AuctionState storage _state = auctions[_auctionId];
+        address _prevBidder = _state.bidder;
+        uint256 _prevBid = _state.bid;
+
+        if (_prevBidder == address(0)) {
+            _checkAuction(_auctionId, _auction);
+            require(
+                _amount != 0 && _amount >= _auction.reservePrice,
+                "Bid below reserve price"
+            );
+
+            _state.endTime = _auction.endTime;
+        } else
+            require(
+                _amount > _prevBid &&
+                    _amount >=
+                    _prevBid +
+                        (_prevBid * _auction.minIncrement) /
+                        FEE_DENOMINATOR,
+                "Bid increment too low"
+            );
+        require(block.timestamp < _state.endTime, "Auction ended");
+
+        //  Escrow the bid. The highest bid is kept in this contract until the auction is settled
+        address _bidder = _msgSender();
+        if (_auction.paymentToken == address(0))
+            require(msg.value == _amount, "Insufficient payment");
+        else {
+            require(msg.value == 0, "Invalid payment");
+            IERC20(_auction.paymentToken).safeTransferFrom(
+                _bidder,
+                address(this),
+                _amount
+            );
+        }
+        _state.bidder = _bidder;
+        _state.bid = _amount;
+
+        //  Anti-sniping: a bid placed close to the end pushes `endTime` to `extension` seconds after it
+        if (_state.endTime - block.timestamp < _auction.extension)
+            _state.endTime = block.timestamp + _auction.extension;
+
+        if (_prevBidder == address(0))
+            _transferItem(
+                _auction.nftToken,
+                _auction.nftType,
+                _auction.seller,
+                address(this),
+                _auction.tokenID,
+                _auction.amount
+            );
+        else
+            _makePayment(
+                _auction.paymentToken,
+                address(this),
+                _prevBidder,
+                _prevBid
+            );
+
+        emit BidPlaced(
+            _auctionId,
+            _auction.saleID,
+            _bidder,
+            _amount,
+            _state.endTime
+        );
+    }
+
+    /**
+        @notice Settle an ended auction
+        @dev    Caller can be ANY
+            Note: The item is transferred to the highest bidder, and the highest bid is split
+                into commission fee, royalty fee and seller's proceeds
+
+        @param _auction             A struct of auction information
+    */
+    function settle(AuctionInfo calldata _auction) external nonReentrant {
+        (bytes32 _auctionId, AuctionState storage _state) = _endedAuction(
+            _auction
+        );
+
+        _settle(_auctionId, _state, _auction, _state.bidder);
+    }
+
+    /**
+        @notice Settle an ended auction, and receive the item at another address
+        @dev    Caller must be the highest bidder
+            Note: A bidder that cannot receive the item (i.e. a contract that is not an ERC721/ERC1155 receiver)
+                cannot be settled by `settle()`, thus it directs the item to `_to`
+
+        @param _auction             A struct of auction information
+        @param _to                  Address that receives the item
+    */
+    function claim(AuctionInfo calldata _auction, address _to)
+        external
+        nonReentrant
+    {
+        require(_to != address(0), "Set zero address");
+
+        (bytes32 _auctionId, AuctionState storage _state) = _endedAuction(
+            _auction
+        );
+        require(_msgSender() == _state.bidder, "Only highest bidder");
+
+        _settle(_auctionId, _state, _auction, _to);
+    }
+
+    /**
+        @notice Take back the item of an auction left unsettled, and refund the highest bid
+        @dev    Caller must be Seller
+            Note: Available after `SETTLE_GRACE_PERIOD` from the end of the auction, thus the highest bidder
+                has that period to `settle()` or `claim()` the item. The refund is credited if the bidder rejects it
+                A pause blocks `settle()`, thus the period restarts when the auction is resumed (see `Management.resumedAt()`)
+
+        @param _auction             A struct of auction information
+    */
+    function reclaim(AuctionInfo calldata _auction) external nonReentrant {
+        (bytes32 _auctionId, AuctionState storage _state) = _endedAuction(
+            _auction
+        );
+        require(_msgSender() == _auction.seller, "Only Seller");
+
+        uint256 _graceStart = management.resumedAt(
+            _auction.nftToken,
+            _auction.paymentToken
+        );
+        if (_graceStart < _state.endTime) _graceStart = _state.endTime;
+        require(
+            block.timestamp >= _graceStart + SETTLE_GRACE_PERIOD,
+            "Grace period not ended"
+        );
+
+        _state.settled = true;
+
+        _transferItem(
+            _auction.nftToken,
+            _auction.nftType,
+            address(this),
+            _auction.seller,
+            _auction.tokenID,
+            _auction.amount
+        );
+        _makePayment(
+            _auction.paymentToken,
+            address(this),
+            _state.bidder,
+            _state.bid
+        );
+
+        emit Reclaimed(
+            _auctionId,
+            _auction.saleID,
+            _state.bidder,
+            _auction.seller,
+            _state.bid
+        );
+    }
+
+    /**
+        @notice Purchase item from a Dutch auction (declining price) listing
+        @dev    Caller can be ANY
+            Note: Items are sold at the unit price of the block being mined (see `getDutchPrice()`)
+                When paying by native coin, `msg.value` covers the price at the time of signing,
+                and the remainder is refunded to Buyer (or credited, see `withdraw()`)
+
+        @param _expiry              Expiry (blocknumber or timestamp) of authorized signature
+        @param _purchaseAmt         A purchasing amount
+        @param _dutchInfo           A struct of Dutch auction information
+        @param _aSignatures         A list of signatures generated by AUTHORIZER_ROLE (see `Management.authorizerThresholdOf()`)
+    */
+    function purchaseDutch(
+        uint256 _expiry,
+        uint256 _purchaseAmt,
+        DutchAuctionInfo calldata _dutchInfo,
+        bytes[] calldata _aSignatures
+    ) external payable nonReentrant {
+        _checkExpiry(_expiry);
+        _checkPaused(_dutchInfo.nftToken, _dutchInfo.paymentToken);
+        require(
+            _dutchInfo.nftType == NFT721 || _dutchInfo.nftType == NFT1155,
+            "Invalid type"
+        );
+        require(block.timestamp >= _dutchInfo.startTime, "Sale not started");
+
+        uint256 _unitPrice = getDutchPrice(_dutchInfo);
+        uint256 _totalPrice = _unitPrice * _purchaseAmt;
+        _updateOnSale(
+            _dutchInfo.seller,
+            _dutchInfo.saleID,
+            _dutchInfo.nftType,
+            _dutchInfo.onSaleAmt,
+            _purchaseAmt
+        );
+        if (_dutchInfo.paymentToken == address(0))
+            require(msg.value >= _totalPrice, "Insufficient payment");
+        else {
+            require(msg.value == 0, "Invalid payment");
+            require(
+                management.paymentTokens(_dutchInfo.paymentToken),
+                "Invalid payment token"
+            );
+        }
+
+        address _buyer = _msgSender();
+        _checkNonce(_dutchInfo.seller, _dutchInfo.nonce);
+        _checkDutchSignatures(
+            _dutchInfo,
+            _buyer,
+            _purchaseAmt,
+            _expiry,
+            _aSignatures,
+            _totalPrice
+        );
+
+        _fillDutch(_dutchInfo, _buyer, _unitPrice, _purchaseAmt);
+        if (_dutchInfo.paymentToken == address(0) && msg.value > _totalPrice)
+            _makePayment(
+                address(0),
+                address(this),
+                _buyer,
+                msg.value - _totalPrice
+            );
+    }
+
+    /**
+        @notice Query current unit price of a Dutch auction listing
+        @dev    Caller can be ANY
+
+        @param _dutchInfo           A struct of Dutch auction information
+    */
+    function getDutchPrice(DutchAuctionInfo calldata _dutchInfo)
+        public
+        view
+        returns (uint256)
+    {
+        require(
+            _dutchInfo.startPrice >= _dutchInfo.endPrice &&
+                _dutchInfo.endTime > _dutchInfo.startTime,
+            "Invalid price schedule"
+        );
+
+        if (block.timestamp <= _dutchInfo.startTime)
+            return _dutchInfo.startPrice;
+        if (block.timestamp >= _dutchInfo.endTime) return _dutchInfo.endPrice;
+
+        uint256 _elapsed = block.timestamp - _dutchInfo.startTime;
+        if (_dutchInfo.stepDuration != 0)
+            _elapsed -= _elapsed % _dutchInfo.stepDuration;
+
+        return
+            _dutchInfo.startPrice -
+            ((_dutchInfo.startPrice - _dutchInfo.endPrice) * _elapsed) /
+            (_dutchInfo.endTime - _dutchInfo.startTime);
+    }
+
+    //  Pay the sale of a Dutch auction at `_unitPrice`, then transfer items to Buyer
+    function _fillDutch(
+        DutchAuctionInfo calldata _dutchInfo,
+        address _buyer,
+        uint256 _unitPrice,
+        uint256 _purchaseAmt
+    ) private {
+        Payout memory _payment = _payout(
+            _dutchInfo.paymentToken,
+            _buyer,
+            _dutchInfo.seller,
+            _dutchInfo.nftToken,
+            _dutchInfo.tokenID,
+            _unitPrice,
+            _purchaseAmt,
+            0,
+            address(0)
+        );
+
+        _transferItem(
+            _dutchInfo.nftToken,
+            _dutchInfo.nftType,
+            _dutchInfo.seller,
+            _buyer,
+            _dutchInfo.tokenID,
+            _purchaseAmt
+        );
+
+        emit Purchased(
+            _dutchInfo.saleID,
+            _buyer,
+            _dutchInfo.seller,
+            _purchaseAmt,
+            _payment.buyerFee,
+            _payment.sellerFee,
+            _payment.royaltyFee,
+            _payment.payToSeller,
+            _payment.generation
+        );
+    }
+
+    //  Return the state of an auction that has ended, and has been neither settled nor reclaimed
+    //  The escrow of a paused auction is kept until it is resumed, thus neither party can take it
+    function _endedAuction(AuctionInfo calldata _auction)
+        private
+        view
+        returns (bytes32 _auctionId, AuctionState storage _state)
+    {
+        _checkPaused(_auction.nftToken, _auction.paymentToken);
+
+        _auctionId = _hashTypedDataV4(_hashAuctionInfo(_auction));
+        _state = auctions[_auctionId];
+        require(_state.bidder != address(0), "Auction not started");
+        require(block.timestamp >= _state.endTime, "Auction not ended");
+        require(!_state.settled, "Auction settled");
+    }
+
+    //  Transfer the item to `_to` on behalf of the highest bidder, then pay the escrowed bid to Seller
+    function _settle(
+        bytes32 _auctionId,
+        AuctionState storage _state,
+        AuctionInfo calldata _auction,
+        address _to
+    ) private {
+        _state.settled = true;
+
+        _transferItem(
+            _auction.nftToken,
+            _auction.nftType,
+            address(this),
+            _to,
+            _auction.tokenID,
+            _auction.amount
+        );
+
+        Payout memory _payment = _payout(
+            _auction.paymentToken,
+            address(this),
+            _auction.seller,
+            _auction.nftToken,
+            _auction.tokenID,
+            _state.bid,
+            1,
+            0,
+            address(0)
+        );
+
+        emit Settled(
+            _auctionId,
+            _auction.saleID,
+            _state.bidder,
+            _auction.seller,
+            _state.bid,
+            _payment.sellerFee,
+            _payment.royaltyFee,
+            _payment.payToSeller
+        );
+        emit Purchased(
+            _auction.saleID,
+            _state.bidder,
+            _auction.seller,
+            _auction.amount,
+            _payment.buyerFee,
+            _payment.sellerFee,
+            _payment.royaltyFee,
+            _payment.payToSeller,
+            _payment.generation
+        );
+    }
+
+    function _checkAuction(bytes32 _auctionId, AuctionInfo calldata _auction)
+        private
+        view
+    {
+        require(
+            !archive.isCanceled(_auction.seller, _auction.saleID),
+            "Sale canceled"
+        );
+        require(
+            archive.nonces(_auction.seller) == _auction.nonce,
+            "Invalid nonce"
+        );
+        require(
+            (_auction.nftType == NFT721 && _auction.amount == 1) ||
+                (_auction.nftType == NFT1155 && _auction.amount != 0),
+            "Invalid type"
+        );
+        require(
+            _auction.paymentToken == address(0) ||
+                management.paymentTokens(_auction.paymentToken),
+            "Invalid payment token"
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(
+                _auction.seller,
+                _auctionId,
+                _auction.sSignature
+            ),
+            "Invalid seller signature"
+        );
+    }
+
+    //  Authorizer threshold of a Dutch auction purchase depends on the price of the block being mined
+    function _checkDutchSignatures(
+        DutchAuctionInfo calldata _dutchInfo,
+        address _buyer,
+        uint256 _purchaseAmt,
+        uint256 _expiry,
+        bytes[] calldata _aSignatures,
+        uint256 _totalPrice
+    ) private view {
+        bytes32 _listingHash = _hashDutchAuctionInfo(_dutchInfo);
+        _checkSellerSignature(
+            _listingHash,
+            _dutchInfo.seller,
+            _dutchInfo.sSignature
+        );
+        _checkAuthorizedSignatures(
+            keccak256(
+                abi.encode(
+                    DUTCH_PURCHASE_TYPEHASH,
+                    _buyer,
+                    _purchaseAmt,
+                    _expiry,
+                    _authorizerEpoch(),
+                    _listingHash
+                )
+            ),
+            _aSignatures,
+            management.authorizerThresholdOf(
+                _dutchInfo.paymentToken,
+                _totalPrice
+            )
+        );
+    }
+
+    function _hashAuctionInfo(AuctionInfo calldata _auction)
+        private
+        pure
+        returns (bytes32)
+    {
+        //  Encoding is split into two parts to avoid "Stack too deep"
+        return
+            keccak256(
+                bytes.concat(
+                    abi.encode(
+                        AUCTION_INFO_TYPEHASH,
+                        _auction.saleID,
+                        _auction.seller,
+                        _auction.nftToken,
+                        _auction.paymentToken,
+                        _auction.nftType,
+                        _auction.tokenID
+                    ),
+                    abi.encode(
+                        _auction.amount,
+                        _auction.reservePrice,
+                        _auction.minIncrement,
+                        _auction.endTime,
+                        _auction.extension,
+                        _auction.nonce
+                    )
+                )
+            );
+    }
+
+    function _hashDutchAuctionInfo(DutchAuctionInfo calldata _dutchInfo)
+        private
+        pure
+        returns (bytes32)
+    {
+        //  Encoding is split into two parts to avoid "Stack too deep"
+        //  Concatenating `abi.encode()` of static values is identical to encoding them at once
+        return
+            keccak256(
+                bytes.concat(
+                    abi.encode(
+                        DUTCH_AUCTION_INFO_TYPEHASH,
+                        _dutchInfo.saleID,
+                        _dutchInfo.seller,
+                        _dutchInfo.nftToken,
+                        _dutchInfo.paymentToken,
+                        _dutchInfo.nftType,
+                        _dutchInfo.tokenID
+                    ),
+                    abi.encode(
+                        _dutchInfo.onSaleAmt,
+                        _dutchInfo.startPrice,
+                        _dutchInfo.endPrice,
+                        _dutchInfo.startTime,
+                        _dutchInfo.endTime,
+                        _dutchInfo.stepDuration,
+                        _dutchInfo.nonce
+                    )
+                )
+            );
+    }
+}
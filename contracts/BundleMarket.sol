@@ -0,0 +1,264 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./utils/MarketBase.sol";
+
+//  Bundle listings: several ERC721/ERC1155 items, possibly from different Collections, sold as a whole
+contract BundleMarket is MarketBase {
+    //  `price` is the portion of the bundle price attributed to one item
+    //  Royalty of each item is calculated on its portion, and Buyer pays the sum of all portions
+    struct BundleItem {
+        address nftToken;
+        uint256 nftType;
+        uint256 tokenID;
+        uint256 amount;
+        uint256 price;
+    }
+
+    struct BundleInfo {
+        uint256 saleID;
+        address seller;
+        address paymentToken;
+        BundleItem[] items;
+        uint256 startTime; //  Bundle is on sale from `startTime` (timestamp, inclusive)
+        uint256 endTime; //  Bundle is off sale after `endTime` (timestamp, inclusive). Zero means no end
+        uint256 nonce;
+        bytes sSignature; //  Signature generated by Seller
+    }
+
+    bytes32 public constant VERSION = keccak256("BUNDLE_MARKET_v1");
+    bytes32 private constant BUNDLE_ITEM_TYPEHASH =
+        keccak256(
+            "BundleItem(address nftToken,uint256 nftType,uint256 tokenID,uint256 amount,uint256 price)"
+        );
+    bytes32 private constant BUNDLE_INFO_TYPEHASH =
+        keccak256(
+            "BundleInfo(uint256 saleID,address seller,address paymentToken,BundleItem[] items,uint256 startTime,uint256 endTime,uint256 nonce)BundleItem(address nftToken,uint256 nftType,uint256 tokenID,uint256 amount,uint256 price)"
+        );
+    bytes32 private constant BUNDLE_PURCHASE_TYPEHASH =
+        keccak256(
+            "BundlePurchase(address buyer,uint256 purchaseAmt,uint256 expiry,uint256 epoch,BundleInfo bundleInfo)BundleInfo(uint256 saleID,address seller,address paymentToken,BundleItem[] items,uint256 startTime,uint256 endTime,uint256 nonce)BundleItem(address nftToken,uint256 nftType,uint256 tokenID,uint256 amount,uint256 price)"
+        );
+
+    constructor(IManagement _management, IArchive _archive)
+        MarketBase(_management, _archive, "BundleMarket")
+    {}
+
+    /**
+        @notice Purchase a bundle of items (ERC721/ERC1155, possibly from different Collections) at once
+        @dev    Caller can be ANY
+            Note: A bundle is sold as a whole, thus its `saleID` is locked in Archive after the purchase
+
+        @param _expiry              Expiry (blocknumber or timestamp) of authorized signature
+        @param _bundle              A struct of bundle information
+        @param _aSignatures         A list of signatures generated by AUTHORIZER_ROLE (see `Management.authorizerThresholdOf()`)
+    */
+    function purchaseBundle(
+        uint256 _expiry,
+        BundleInfo calldata _bundle,
+        bytes[] calldata _aSignatures
+    ) external payable nonReentrant {
+        _checkExpiry(_expiry);
+        _checkSaleWindow(_bundle.startTime, _bundle.endTime);
+        require(_bundle.items.length != 0, "Empty bundle");
+        require(
+            _bundle.paymentToken == address(0) ||
+                management.paymentTokens(_bundle.paymentToken),
+            "Invalid payment token"
+        );
+
+        //  Bundle is recorded as a sale of one unit
+        _updateOnSale(_bundle.seller, _bundle.saleID, NFT721, 1, 1);
+
+        address _buyer = _msgSender();
+        _checkNonce(_bundle.seller, _bundle.nonce);
+        _checkBundleSignatures(_bundle, _buyer, _expiry, _aSignatures);
+
+        (
+            uint256 _totalPrice,
+            uint256 _commissionFee,
+            uint256 _royaltyFee,
+            uint256 _generation
+        ) = _transferBundle(_bundle, _buyer);
+        uint256 _buyerFee = (_commissionFee * management.buyerFeeShare()) /
+            FEE_DENOMINATOR;
+        if (_bundle.paymentToken == address(0))
+            require(
+                _totalPrice + _buyerFee == msg.value,
+                "Insufficient payment"
+            );
+        else require(msg.value == 0, "Invalid payment");
+
+        if (_commissionFee != 0)
+            _payCommission(
+                _bundle.paymentToken,
+                _buyer,
+                _commissionFee,
+                address(0)
+            );
+
+        uint256 _payToSeller = _totalPrice +
+            _buyerFee -
+            _commissionFee -
+            _royaltyFee;
+        _makePayment(
+            _bundle.paymentToken,
+            _buyer,
+            _bundle.seller,
+            _payToSeller
+        );
+
+        emit Purchased(
+            _bundle.saleID,
+            _buyer,
+            _bundle.seller,
+            1,
+            _buyerFee,
+            _commissionFee - _buyerFee,
+            _royaltyFee,
+            _payToSeller,
+            _generation
+        );
+    }
+
+    //  Authorizer threshold of a bundle depends on the total price of its items
+    function _checkBundleSignatures(
+        BundleInfo calldata _bundle,
+        address _buyer,
+        uint256 _expiry,
+        bytes[] calldata _aSignatures
+    ) private view {
+        uint256 _totalPrice;
+        for (uint256 i; i < _bundle.items.length; i++)
+            _totalPrice += _bundle.items[i].price;
+
+        bytes32 _listingHash = _hashBundleInfo(_bundle);
+        _checkSellerSignature(_listingHash, _bundle.seller, _bundle.sSignature);
+        _checkAuthorizedSignatures(
+            keccak256(
+                abi.encode(
+                    BUNDLE_PURCHASE_TYPEHASH,
+                    _buyer,
+                    1,
+                    _expiry,
+                    _authorizerEpoch(),
+                    _listingHash
+                )
+            ),
+            _aSignatures,
+            management.authorizerThresholdOf(_bundle.paymentToken, _totalPrice)
+        );
+    }
+
+    //  Transfer every item of `_bundle` to Buyer, and pay royalty of each item to the receivers of its Collection
+    function _transferBundle(BundleInfo calldata _bundle, address _buyer)
+        private
+        returns (
+            uint256 _totalPrice,
+            uint256 _commissionFee,
+            uint256 _royaltyFee,
+            uint256 _generation
+        )
+    {
+        uint256 _len = _bundle.items.length;
+        for (uint256 i; i < _len; i++) {
+            BundleItem calldata _item = _bundle.items[i];
+            (
+                uint256 _fee,
+                uint256 _itemRoyalty,
+                uint256 _itemGeneration
+            ) = _sellBundleItem(
+                    _item,
+                    _bundle.paymentToken,
+                    _bundle.seller,
+                    _buyer
+                );
+
+            _totalPrice += _item.price;
+            _commissionFee += _fee;
+            _royaltyFee += _itemRoyalty;
+            if (_itemGeneration > _generation) _generation = _itemGeneration;
+        }
+    }
+
+    //  Each item of a bundle is recorded as a sale, and its fee schedule depends on whether Seller is its creator
+    function _sellBundleItem(
+        BundleItem calldata _item,
+        address _paymentToken,
+        address _seller,
+        address _buyer
+    )
+        private
+        returns (
+            uint256 _fee,
+            uint256 _royalty,
+            uint256 _generation
+        )
+    {
+        _checkPaused(_item.nftToken, _paymentToken);
+        require(
+            (_item.nftType == NFT721 && _item.amount == 1) ||
+                (_item.nftType == NFT1155 && _item.amount != 0),
+            "Invalid type"
+        );
+
+        _generation = archive.recordSale(_item.nftToken, _item.tokenID);
+
+        address[] memory _receivers;
+        uint256[] memory _amounts;
+        (_fee, _royalty, _receivers, _amounts, ) = _calcPayment(
+            _item.nftToken,
+            _item.tokenID,
+            _paymentToken,
+            _seller,
+            _item.price,
+            1
+        );
+        _payRoyalty(_paymentToken, _buyer, _receivers, _amounts);
+
+        _transferItem(
+            _item.nftToken,
+            _item.nftType,
+            _seller,
+            _buyer,
+            _item.tokenID,
+            _item.amount
+        );
+    }
+
+    function _hashBundleInfo(BundleInfo calldata _bundle)
+        private
+        pure
+        returns (bytes32)
+    {
+        uint256 _len = _bundle.items.length;
+        bytes32[] memory _itemHashes = new bytes32[](_len);
+        for (uint256 i; i < _len; i++) {
+            BundleItem calldata _item = _bundle.items[i];
+            _itemHashes[i] = keccak256(
+                abi.encode(
+                    BUNDLE_ITEM_TYPEHASH,
+                    _item.nftToken,
+                    _item.nftType,
+                    _item.tokenID,
+                    _item.amount,
+                    _item.price
+                )
+            );
+        }
+
+        return
+            keccak256(
+                abi.encode(
+                    BUNDLE_INFO_TYPEHASH,
+                    _bundle.saleID,
+                    _bundle.seller,
+                    _bundle.paymentToken,
+                    keccak256(abi.encodePacked(_itemHashes)),
+                    _bundle.startTime,
+                    _bundle.endTime,
+                    _bundle.nonce
+                )
+            );
+    }
+}
@@ -0,0 +1,265 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
+import "./utils/MarketBase.sol";
+import "./interfaces/IPermit2.sol";
+import "./Marketplace.sol";
+
+//  Purchases of Marketplace listings paid in one step: a shopping cart of many sales, or an ERC-20 permit
+//  Each sale is filled by `Marketplace.executePurchase()`, paid by this contract on behalf of Buyer
+contract Checkout is MarketBase {
+    using SafeERC20 for IERC20;
+
+    //  Approval of the payment signed by Buyer (see `purchaseWithPermit()`)
+    //  - EIP-2612: `signature` (r, s, v) of `permit()` of the payment token, approving `amount` until `deadline`
+    //  - Permit2: `signature` of `PermitTransferFrom` (`amount`, `nonce`, `deadline`) with this contract as spender
+    struct PaymentPermit {
+        bool permit2;
+        uint256 amount;
+        uint256 nonce; //  Nonce of Permit2. Unused by EIP-2612
+        uint256 deadline;
+        bytes signature;
+    }
+
+    bytes32 public constant VERSION = keccak256("CHECKOUT_v1");
+
+    event PurchaseSkipped(uint256 indexed saleId, address indexed buyer);
+
+    constructor(IManagement _management, IArchive _archive)
+        MarketBase(_management, _archive, "Checkout")
+    {}
+
+    /**
+        @notice Purchase item paid by ERC-20 with an approval signed by Buyer, thus no `approve()` is required
+        @dev    Caller can be ANY
+            Note: The price plus buyer fee is received from Buyer by the permit (EIP-2612 `permit()` of the payment token,
+                or a Permit2 signature transfer), then the sale is purchased from Marketplace.
+                If an EIP-2612 permit has been used (i.e. front-run), the existing allowance of this contract is used
+
+        @param _expiry              Expiry (blocknumber or timestamp) of authorized signature
+        @param _purchaseAmt         A purchasing amount
+        @param _saleInfo            A struct of sale information
+        @param _aSignatures         A list of signatures generated by AUTHORIZER_ROLE (see `Management.authorizerThresholdOf()`)
+        @param _referrer            Address of the referrer (i.e. a partner storefront). 0x00 - No referrer
+        @param _permit              A struct of payment approval signed by Buyer
+    */
+    function purchaseWithPermit(
+        uint256 _expiry,
+        uint256 _purchaseAmt,
+        Marketplace.SaleInfo calldata _saleInfo,
+        bytes[] calldata _aSignatures,
+        address _referrer,
+        PaymentPermit calldata _permit
+    ) external nonReentrant {
+        address _token = _saleInfo.paymentToken;
+        require(_token != address(0), "Invalid payment token");
+
+        address _buyer = _msgSender();
+        uint256 _cost = _costOf(_saleInfo, _purchaseAmt);
+        _usePermit(_buyer, _token, _cost, _permit);
+
+        Marketplace _market = Marketplace(management.marketplace());
+        IERC20(_token).safeApprove(address(_market), _cost);
+        _market.executePurchase(
+            _buyer,
+            _expiry,
+            _purchaseAmt,
+            _saleInfo,
+            _aSignatures,
+            _referrer
+        );
+    }
+
+    /**
+        @notice Purchase items of many sales at once (i.e. checkout a shopping cart)
+        @dev    Caller can be ANY
+            Note: Payments are aggregated per payment token. Buyer pays the total of the cart (prices + buyer fees) upfront
+                (`msg.value` for native coin, one `transferFrom` per ERC20), then each sale is paid from this contract.
+                If `_skipFailed` is set, a failed sale is skipped (emit `PurchaseSkipped`) and its payment is refunded.
+                Otherwise, one failed sale reverts the whole batch. Sales of a batch have no referrer
+
+        @param _expiries            A list of expiries (blocknumber or timestamp) of authorized signatures
+        @param _purchaseAmts        A list of purchasing amounts
+        @param _saleInfos           A list of sale information
+        @param _aSignatures         A list of signatures generated by AUTHORIZER_ROLE, per sale
+        @param _skipFailed          Skip failed sales instead of reverting the batch
+    */
+    function purchaseBatch(
+        uint256[] calldata _expiries,
+        uint256[] calldata _purchaseAmts,
+        Marketplace.SaleInfo[] calldata _saleInfos,
+        bytes[][] calldata _aSignatures,
+        bool _skipFailed
+    ) external payable nonReentrant {
+        uint256 _len = _saleInfos.length;
+        require(
+            _expiries.length == _len &&
+                _purchaseAmts.length == _len &&
+                _aSignatures.length == _len,
+            "Length mismatch"
+        );
+
+        (
+            address[] memory _tokens,
+            uint256[] memory _remains
+        ) = _collectPayments(_msgSender(), _purchaseAmts, _saleInfos);
+        for (uint256 i; i < _len; i++)
+            _tryPurchase(
+                _tokens,
+                _remains,
+                _expiries[i],
+                _purchaseAmts[i],
+                _saleInfos[i],
+                _aSignatures[i],
+                _skipFailed
+            );
+
+        //  Refund the payment of skipped sales. Unused slots of `_tokens` have nothing to refund
+        for (uint256 i; i < _len; i++)
+            if (_remains[i] != 0)
+                _makePayment(
+                    _tokens[i],
+                    address(this),
+                    _msgSender(),
+                    _remains[i]
+                );
+    }
+
+    //  Receive `_cost` of a purchase from Buyer by `_permit`
+    function _usePermit(
+        address _buyer,
+        address _token,
+        uint256 _cost,
+        PaymentPermit calldata _permit
+    ) private {
+        if (_permit.permit2) {
+            IPermit2(management.permit2()).permitTransferFrom(
+                IPermit2.PermitTransferFrom(
+                    IPermit2.TokenPermissions(_token, _permit.amount),
+                    _permit.nonce,
+                    _permit.deadline
+                ),
+                IPermit2.SignatureTransferDetails(address(this), _cost),
+                _buyer,
+                _permit.signature
+            );
+            return;
+        }
+
+        bytes calldata _sig = _permit.signature;
+        require(_sig.length == 65, "Invalid permit signature");
+        try
+            IERC20Permit(_token).permit(
+                _buyer,
+                address(this),
+                _permit.amount,
+                _permit.deadline,
+                uint8(_sig[64]),
+                bytes32(_sig[0:32]),
+                bytes32(_sig[32:64])
+            )
+        {} catch {}
+        IERC20(_token).safeTransferFrom(_buyer, address(this), _cost);
+    }
+
+    //  Fill one sale of a batch, and deduct its payment from `_remains` of its payment token
+    //  A failed sale is skipped if `_skipFailed` is set, otherwise the batch is reverted
+    function _tryPurchase(
+        address[] memory _tokens,
+        uint256[] memory _remains,
+        uint256 _expiry,
+        uint256 _purchaseAmt,
+        Marketplace.SaleInfo calldata _saleInfo,
+        bytes[] calldata _aSignatures,
+        bool _skipFailed
+    ) private {
+        //  Only payment tokens that passed `_collectPayments()` are paid. Sales of others fail in Marketplace
+        address _token = _saleInfo.paymentToken;
+        uint256 j;
+        while (j < _tokens.length && _tokens[j] != _token) j++;
+        uint256 _cost = j < _tokens.length
+            ? _costOf(_saleInfo, _purchaseAmt)
+            : 0;
+
+        address _buyer = _msgSender();
+        Marketplace _market = Marketplace(management.marketplace());
+        uint256 _value;
+        if (_token == address(0)) _value = _cost;
+        else if (_cost != 0)
+            IERC20(_token).safeApprove(address(_market), _cost);
+
+        try
+            _market.executePurchase{ value: _value }(
+                _buyer,
+                _expiry,
+                _purchaseAmt,
+                _saleInfo,
+                _aSignatures,
+                address(0)
+            )
+        {
+            _remains[j] -= _cost;
+        } catch (bytes memory _reason) {
+            //  Revert the batch with the reason of the failed sale
+            if (!_skipFailed)
+                assembly {
+                    revert(add(_reason, 32), mload(_reason))
+                }
+            if (_token != address(0) && _cost != 0)
+                IERC20(_token).safeApprove(address(_market), 0);
+
+            emit PurchaseSkipped(_saleInfo.saleID, _buyer);
+        }
+    }
+
+    //  Sum the prices and buyer fees of a cart per payment token, then receive the totals from Buyer
+    //  Sales of an unsupported payment token are left out, thus they fail in `Marketplace.executePurchase()`
+    function _collectPayments(
+        address _buyer,
+        uint256[] calldata _purchaseAmts,
+        Marketplace.SaleInfo[] calldata _saleInfos
+    ) private returns (address[] memory _tokens, uint256[] memory _totals) {
+        uint256 _len = _saleInfos.length;
+        _tokens = new address[](_len);
+        _totals = new uint256[](_len);
+        uint256 _count;
+        for (uint256 i; i < _len; i++) {
+            address _token = _saleInfos[i].paymentToken;
+            if (_token != address(0) && !management.paymentTokens(_token))
+                continue;
+
+            uint256 j;
+            while (j < _count && _tokens[j] != _token) j++;
+            if (j == _count) {
+                _tokens[j] = _token;
+                _count++;
+            }
+            _totals[j] += _costOf(_saleInfos[i], _purchaseAmts[i]);
+        }
+
+        uint256 _nativeTotal;
+        for (uint256 i; i < _count; i++) {
+            if (_tokens[i] == address(0)) _nativeTotal = _totals[i];
+            else _makePayment(_tokens[i], _buyer, address(this), _totals[i]);
+        }
+        require(_nativeTotal == msg.value, "Insufficient payment");
+    }
+
+    //  Payment of a purchase: price plus buyer fee, as Marketplace charges it
+    function _costOf(
+        Marketplace.SaleInfo calldata _saleInfo,
+        uint256 _purchaseAmt
+    ) private view returns (uint256) {
+        uint256 _price = _saleInfo.unitPrice * _purchaseAmt;
+        return
+            _price +
+            _buyerFee(
+                _saleInfo.nftToken,
+                _saleInfo.tokenID,
+                _saleInfo.paymentToken,
+                _saleInfo.seller,
+                _price
+            );
+    }
+}
@@ -4,24 +4,120 @@ pragma solidity ^0.8.0;
 import "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
 
 contract Management is AccessControlEnumerable {
+    struct CommissionOverride {
+        bool enabled;
+        uint256 commissionFee;
+    }
+
+    //  Fee settings of trading contracts (see `commissionOf()`)
+    //  - Commission of a Collection override takes precedence over a Payment Token override, then `commissionFee`
+    //  - `primaryCommission`: fee schedule of primary sales (i.e. sales by the creator of an item, see `creators`)
+    //      If enabled, primary sales are charged `primaryCommission.commissionFee` and pay no royalty
+    //  - `maxTotalFee`: maximum rate of commission + royalty of one sale (i.e. 20% => maxTotalFee = 2000)
+    //      Every schedule, including overrides, is capped at payout (see `MarketBase._calcPayment()`)
+    //  - `buyerFeeShare`: portion of commission charged to Buyer on top of the price (i.e. 50% => buyerFeeShare = 5000)
+    //      The rest is deducted from Seller's proceeds. Applied to purchases of Marketplace and BundleMarket only,
+    //      since Buyer of an auction, a Dutch auction or an offer pays no more than the bid, signed or escrowed price
+    //  - `referralShare`: portion of commission paid to the referrer of a purchase (i.e. 20% => referralShare = 2000)
+    //      The rest goes to Treasury. Referrers are approved by AUTHORIZER_ROLE per purchase
+    //  - `preferTokenRoyalty`: if true, royalty reported by `royaltyInfo()` of ERC-2981 collections takes precedence
+    //      over the manual setting
+    //  - `royaltyCap`: maximum rate of royalty reported by `royaltyInfo()` (i.e. 10% => royaltyCap = 1000), 10% by default
+    //  - `accrueCommission`: if true, commission is credited to Treasury instead of being transferred every sale
+    struct FeeSettings {
+        uint256 commissionFee;
+        mapping(address => CommissionOverride) collectionCommissions;
+        mapping(address => CommissionOverride) paymentCommissions;
+        CommissionOverride primaryCommission;
+        uint256 maxTotalFee;
+        uint256 buyerFeeShare;
+        uint256 referralShare;
+        bool preferTokenRoyalty;
+        uint256 royaltyCap;
+        bool accrueCommission;
+    }
+
+    struct ThresholdTier {
+        uint256 minValue; //  Purchases of at least `minValue` (in units of the Payment Token) ...
+        uint256 threshold; //  ... require `threshold` authorizer signatures
+    }
     
     bytes32 public constant VERSION = keccak256("MANAGEMENT_v1");
 
     bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant AUTHORIZER_ROLE = keccak256("AUTHORIZER_ROLE");
+    bytes32 public constant MARKET_ROLE = keccak256("MARKET_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    uint256 private constant FEE_DENOMINATOR = 10**4;
+    uint256 private constant DEFAULT_ROYALTY_CAP = 1000;
 
     address public treasury;
     address public marketplace;
-    uint256 public commissionFee;
+
+    //  ERC-2771 forwarder trusted by Marketplace and Minter to relay calls on behalf of users (0x00 - disabled)
+    address public trustedForwarder;
+
+    //  Permit2 contract used by `Checkout.purchaseWithPermit()` for ERC-20 tokens without EIP-2612
+    address public permit2;
+
+    //  Fee settings are queried by getters of the same names (i.e. `commissionFee()`, `maxTotalFee()`)
+    FeeSettings private fees;
+
+    //  Number of distinct AUTHORIZER_ROLE signatures required to approve a purchase, cancellation or mint
+    //  Purchases of high value may require more signatures by tiers of each Payment Token (see `authorizerThresholdOf()`)
+    uint256 public authorizerThreshold;
+    mapping(address => ThresholdTier[]) private thresholdTiers;
+
+    //  Authorized signatures are issued for the current epoch. Those of previous epochs are invalid
+    //  (see `invalidateAuthorizations()`)
+    uint256 public authorizerEpoch;
+
+    //  Recipients that opted in to be credited instead of being paid every sale (see `MarketBase.withdraw()`)
+    mapping(address => bool) public pullPayments;
 
     mapping(address => bool) public paymentTokens;
     mapping(address => bool) public collections;
 
+    //  Creator of each item: Collection => tokenId => creator (see `setCreators()`)
+    mapping(address => mapping(uint256 => address)) public creators;
+
+    //  Emergency stop of trading and minting (see `setPaused()`, `setCollectionPaused()` and `setPaymentPaused()`)
+    bool public paused;
+    mapping(address => bool) public pausedCollections;
+    mapping(address => bool) public pausedPayments;
+
+    //  Time each pause flag was last lifted (see `resumedAt()`)
+    uint256 private unpausedAt;
+    mapping(address => uint256) private collectionUnpausedAt;
+    mapping(address => uint256) private paymentUnpausedAt;
+
+    event Paused(address indexed pauser, bool paused);
+    event CollectionPaused(
+        address indexed pauser,
+        address indexed collection,
+        bool paused
+    );
+    event PaymentPaused(
+        address indexed pauser,
+        address indexed token,
+        bool paused
+    );
+    event PullPaymentSet(address indexed recipient, bool enabled);
+    event CreatorsSet(
+        address indexed collection,
+        address indexed creator,
+        uint256[] tokenIds
+    );
+    event AuthorizationsInvalidated(address indexed manager, uint256 epoch);
+
     constructor(address _admin, address _treasury, uint256 _commissionFee) {
         _setupRole(DEFAULT_ADMIN_ROLE, _admin);
         treasury = _treasury;
-        commissionFee = _commissionFee;
+        fees.commissionFee = _commissionFee;
+        fees.royaltyCap = DEFAULT_ROYALTY_CAP;
+        fees.maxTotalFee = FEE_DENOMINATOR;
+        authorizerThreshold = 1;
     }
 
     /**
@@ -46,6 +142,30 @@ contract Management is AccessControlEnumerable {
         marketplace = _newMarket;
     }
 
+    /**
+       @notice Update the trusted forwarder of meta-transactions (ERC-2771)
+       @dev Caller must have MANAGER_ROLE
+       @param _forwarder        Address of the forwarder. Set zero address to disable meta-transactions
+       Note: The forwarder is trusted to append the original sender to calldata
+    */
+    function setTrustedForwarder(address _forwarder)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        trustedForwarder = _forwarder;
+    }
+
+    /**
+       @notice Update the Permit2 contract of signature transfers
+       @dev Caller must have MANAGER_ROLE
+       @param _permit2          Address of the Permit2 contract
+    */
+    function setPermit2(address _permit2) external onlyRole(MANAGER_ROLE) {
+        require(_permit2 != address(0), "Set zero address");
+
+        permit2 = _permit2;
+    }
+
     /**
        @notice Update new Commission Fee Rate
        @dev Caller must have MANAGER_ROLE
@@ -53,7 +173,326 @@ contract Management is AccessControlEnumerable {
        Note: fee_rate = commissionFee / 10**4. If fee_rate = 1%, commissionFee = 100 (100 / 10,000 = 1 / 100 = 1%)
     */
     function setCommissionFee(uint256 _commissionFee) external onlyRole(MANAGER_ROLE) {
-        commissionFee = _commissionFee;
+        require(_commissionFee <= fees.maxTotalFee, "Invalid setting");
+
+        fees.commissionFee = _commissionFee;
+    }
+
+    /**
+       @notice Override Commission Fee Rate of one Collection
+       @dev Caller must have MANAGER_ROLE
+       @param _collection           Address of NFT Token (ERC721/ERC1155/Collection) contract
+       @param _enabled              True to apply the override, false to remove it
+       @param _commissionFee        A new value of Commission Fee of `_collection`
+    */
+    function setCollectionCommission(
+        address _collection,
+        bool _enabled,
+        uint256 _commissionFee
+    ) external onlyRole(MANAGER_ROLE) {
+        require(_commissionFee <= fees.maxTotalFee, "Invalid setting");
+
+        fees.collectionCommissions[_collection] = CommissionOverride(
+            _enabled,
+            _commissionFee
+        );
+    }
+
+    /**
+       @notice Override Commission Fee Rate of one Payment Token
+       @dev Caller must have MANAGER_ROLE
+       @param _token                Address of Payment Token (0x00 - Native Coin)
+       @param _enabled              True to apply the override, false to remove it
+       @param _commissionFee        A new value of Commission Fee of `_token`
+    */
+    function setPaymentCommission(
+        address _token,
+        bool _enabled,
+        uint256 _commissionFee
+    ) external onlyRole(MANAGER_ROLE) {
+        require(_commissionFee <= fees.maxTotalFee, "Invalid setting");
+
+        fees.paymentCommissions[_token] = CommissionOverride(
+            _enabled,
+            _commissionFee
+        );
+    }
+
+    /**
+       @notice Update fee schedule of primary sales
+       @dev Caller must have MANAGER_ROLE
+       @param _enabled              True to apply the primary schedule, false to charge primary sales as resales
+       @param _commissionFee        Commission Fee of primary sales
+       Note: Royalty is not paid in primary sales since Seller is the creator of the item (see `setCreators()`)
+    */
+    function setPrimaryCommission(bool _enabled, uint256 _commissionFee)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        require(_commissionFee <= fees.maxTotalFee, "Invalid setting");
+
+        fees.primaryCommission = CommissionOverride(_enabled, _commissionFee);
+    }
+
+    /**
+       @notice Update portion of commission charged to Buyer (taker fee)
+       @dev Caller must have MANAGER_ROLE
+       @param _buyerFeeShare        Portion of commission paid by Buyer on top of the price (i.e. 100% => _buyerFeeShare = 10,000)
+       Note: Set zero to deduct the whole commission from Seller's proceeds. Not applied to auctions and offers (see `FeeSettings`)
+    */
+    function setBuyerFeeShare(uint256 _buyerFeeShare)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        require(_buyerFeeShare <= FEE_DENOMINATOR, "Invalid setting");
+
+        fees.buyerFeeShare = _buyerFeeShare;
+    }
+
+    /**
+       @notice Update portion of commission paid to referrers
+       @dev Caller must have MANAGER_ROLE
+       @param _referralShare        Portion of commission paid to the referrer of a purchase (i.e. 20% => _referralShare = 2000)
+       Note: Set zero to stop paying referral fees
+    */
+    function setReferralShare(uint256 _referralShare)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        require(_referralShare <= FEE_DENOMINATOR, "Invalid setting");
+
+        fees.referralShare = _referralShare;
+    }
+
+    /**
+       @notice Update maximum rate of commission + royalty of one sale
+       @dev Caller must have MANAGER_ROLE
+       @param _maxTotalFee          A new value of maximum total fee (i.e. 20% => _maxTotalFee = 2000)
+       Note: The default and enabled primary commission must not exceed the maximum. Overrides of Collections and Payment Tokens
+            above the maximum are not enumerable, thus a sale whose commission + royalty exceeds it is reverted at payout
+    */
+    function setMaxTotalFee(uint256 _maxTotalFee)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        require(
+            _maxTotalFee <= FEE_DENOMINATOR &&
+                fees.commissionFee <= _maxTotalFee &&
+                (!fees.primaryCommission.enabled ||
+                    fees.primaryCommission.commissionFee <= _maxTotalFee),
+            "Invalid setting"
+        );
+
+        fees.maxTotalFee = _maxTotalFee;
+    }
+
+    /**
+       @notice Query effective Commission Fee Rate of a sale
+       @dev Caller can be ANY
+       @param _collection           Address of NFT Token (ERC721/ERC1155/Collection) contract
+       @param _token                Address of Payment Token (0x00 - Native Coin)
+    */
+    function commissionOf(address _collection, address _token)
+        external
+        view
+        returns (uint256)
+    {
+        CommissionOverride memory _override = fees.collectionCommissions[
+            _collection
+        ];
+        if (_override.enabled) return _override.commissionFee;
+
+        _override = fees.paymentCommissions[_token];
+        if (_override.enabled) return _override.commissionFee;
+
+        return fees.commissionFee;
+    }
+
+    //  Getters of `FeeSettings` (see `fees`)
+    function commissionFee() external view returns (uint256) {
+        return fees.commissionFee;
+    }
+
+    function collectionCommissions(address _collection)
+        external
+        view
+        returns (CommissionOverride memory)
+    {
+        return fees.collectionCommissions[_collection];
+    }
+
+    function paymentCommissions(address _token)
+        external
+        view
+        returns (CommissionOverride memory)
+    {
+        return fees.paymentCommissions[_token];
+    }
+
+    function primaryCommission()
+        external
+        view
+        returns (CommissionOverride memory)
+    {
+        return fees.primaryCommission;
+    }
+
+    function maxTotalFee() external view returns (uint256) {
+        return fees.maxTotalFee;
+    }
+
+    function buyerFeeShare() external view returns (uint256) {
+        return fees.buyerFeeShare;
+    }
+
+    function referralShare() external view returns (uint256) {
+        return fees.referralShare;
+    }
+
+    function preferTokenRoyalty() external view returns (bool) {
+        return fees.preferTokenRoyalty;
+    }
+
+    function royaltyCap() external view returns (uint256) {
+        return fees.royaltyCap;
+    }
+
+    function accrueCommission() external view returns (bool) {
+        return fees.accrueCommission;
+    }
+
+    /**
+       @notice Update Royalty policy of ERC-2981 collections
+       @dev Caller must have MANAGER_ROLE
+       @param _preferTokenRoyalty       Use royalty reported by the NFT Token before the manual setting of Marketplace
+       @param _royaltyCap               Maximum rate of royalty reported by the NFT Token
+       Note: Manual royalty setting is used for a collection that does not support ERC-2981, and vice versa
+    */
+    function setRoyaltyPolicy(bool _preferTokenRoyalty, uint256 _royaltyCap)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        require(_royaltyCap <= FEE_DENOMINATOR, "Invalid setting");
+
+        fees.preferTokenRoyalty = _preferTokenRoyalty;
+        fees.royaltyCap = _royaltyCap;
+    }
+
+    /**
+       @notice Invalidate all outstanding signatures of AUTHORIZER_ROLE at once (i.e. after rotating authorizer keys)
+       @dev Caller must have MANAGER_ROLE
+       Note: Purchases, cancellations and mints approved before this call must be signed again for the new epoch,
+            regardless of their `expiry`
+    */
+    function invalidateAuthorizations() external onlyRole(MANAGER_ROLE) {
+        authorizerEpoch++;
+
+        emit AuthorizationsInvalidated(msg.sender, authorizerEpoch);
+    }
+
+    /**
+       @notice Update number of AUTHORIZER_ROLE signatures required by default
+       @dev Caller must have MANAGER_ROLE
+       @param _threshold                Number of distinct authorizers that must sign a purchase, cancellation or mint
+       Note: Tiers of Payment Tokens below `_threshold` are ignored (see `authorizerThresholdOf()`)
+    */
+    function setAuthorizerThreshold(uint256 _threshold)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        require(_threshold != 0, "Invalid setting");
+
+        authorizerThreshold = _threshold;
+    }
+
+    /**
+       @notice Set tiers of authorizer thresholds of purchases paid by one Payment Token
+       @dev Caller must have MANAGER_ROLE
+       @param _token                    Address of Payment Token (0x00 - Native Coin)
+       @param _minValues                A list of minimum values (price * amount) of tiers, in ascending order
+       @param _thresholds               A list of numbers of authorizer signatures required by tiers
+       Note: Set empty lists to remove tiers of `_token`
+    */
+    function setThresholdTiers(
+        address _token,
+        uint256[] calldata _minValues,
+        uint256[] calldata _thresholds
+    ) external onlyRole(MANAGER_ROLE) {
+        require(_minValues.length == _thresholds.length, "Length mismatch");
+
+        delete thresholdTiers[_token];
+        for (uint256 i; i < _minValues.length; i++) {
+            require(
+                i == 0 ||
+                    (_minValues[i - 1] < _minValues[i] &&
+                        _thresholds[i - 1] <= _thresholds[i]),
+                "Invalid setting"
+            );
+            thresholdTiers[_token].push(
+                ThresholdTier(_minValues[i], _thresholds[i])
+            );
+        }
+    }
+
+    /**
+       @notice Query tiers of authorizer thresholds of one Payment Token
+       @dev Caller can be ANY
+       @param _token                    Address of Payment Token (0x00 - Native Coin)
+    */
+    function getThresholdTiers(address _token)
+        external
+        view
+        returns (ThresholdTier[] memory)
+    {
+        return thresholdTiers[_token];
+    }
+
+    /**
+       @notice Query number of AUTHORIZER_ROLE signatures required to approve a purchase
+       @dev Caller can be ANY
+       @param _token                    Address of Payment Token (0x00 - Native Coin)
+       @param _value                    Value of the purchase (price * amount)
+       Note: The highest tier whose `minValue` does not exceed `_value` applies, but never below `authorizerThreshold`
+    */
+    function authorizerThresholdOf(address _token, uint256 _value)
+        external
+        view
+        returns (uint256 _threshold)
+    {
+        _threshold = authorizerThreshold;
+
+        ThresholdTier[] storage _tiers = thresholdTiers[_token];
+        for (uint256 i = _tiers.length; i > 0; i--) {
+            if (_tiers[i - 1].minValue <= _value) {
+                if (_tiers[i - 1].threshold > _threshold)
+                    _threshold = _tiers[i - 1].threshold;
+                break;
+            }
+        }
+    }
+
+    /**
+       @notice Enable/Disable accruing commission for Treasury
+       @dev Caller must have MANAGER_ROLE
+       @param _accrueCommission         Credit commission to Treasury, which withdraws it later, instead of paying every sale
+    */
+    function setCommissionAccrual(bool _accrueCommission)
+        external
+        onlyRole(MANAGER_ROLE)
+    {
+        fees.accrueCommission = _accrueCommission;
+    }
+
+    /**
+       @notice Opt in/out pull payments of `msg.sender`
+       @dev Caller can be ANY
+       @param _enabled                  Credit payments (seller's proceeds, royalty) to caller instead of paying every sale
+       Note: Credited payments are withdrawn from each trading contract (i.e. Marketplace, Checkout, Auction, OfferBook, BundleMarket)
+    */
+    function setPullPayment(bool _enabled) external {
+        pullPayments[msg.sender] = _enabled;
+
+        emit PullPaymentSet(msg.sender, _enabled);
     }
 
     /**
@@ -100,4 +539,94 @@ contract Management is AccessControlEnumerable {
 
         delete collections[_collection];
     }
+
+    /**
+       @notice Register `_creator` as the creator of items of one Collection
+       @dev Caller must have MINTER_ROLE or MANAGER_ROLE
+       @param _collection           Address of NFT Token (ERC721/ERC1155/Collection) contract
+       @param _tokenIds             A list of IDs of the items
+       @param _creator              Address of the creator
+       Note: Minter registers the items it mints. Items of other Collections are registered by MANAGER_ROLE
+    */
+    function setCreators(
+        address _collection,
+        uint256[] calldata _tokenIds,
+        address _creator
+    ) external {
+        require(
+            hasRole(MINTER_ROLE, msg.sender) ||
+                hasRole(MANAGER_ROLE, msg.sender),
+            "Only Minter or Manager"
+        );
+        require(_creator != address(0), "Set zero address");
+
+        for (uint256 i; i < _tokenIds.length; i++)
+            creators[_collection][_tokenIds[i]] = _creator;
+
+        emit CreatorsSet(_collection, _creator, _tokenIds);
+    }
+
+    /**
+       @notice Pause/Unpause all trading and minting
+       @dev Caller must have PAUSER_ROLE
+       @param _paused               True to pause, false to unpause
+    */
+    function setPaused(bool _paused) external onlyRole(PAUSER_ROLE) {
+        paused = _paused;
+        if (!_paused) unpausedAt = block.timestamp;
+
+        emit Paused(msg.sender, _paused);
+    }
+
+    /**
+       @notice Pause/Unpause trading and minting items of one Collection (i.e. a compromised Collection)
+       @dev Caller must have PAUSER_ROLE
+       @param _collection           Address of NFT Token (ERC721/ERC1155/Collection) contract
+       @param _paused               True to pause, false to unpause
+    */
+    function setCollectionPaused(address _collection, bool _paused)
+        external
+        onlyRole(PAUSER_ROLE)
+    {
+        pausedCollections[_collection] = _paused;
+        if (!_paused) collectionUnpausedAt[_collection] = block.timestamp;
+
+        emit CollectionPaused(msg.sender, _collection, _paused);
+    }
+
+    /**
+       @notice Pause/Unpause trading with one Payment Token
+       @dev Caller must have PAUSER_ROLE
+       @param _token                Address of Payment Token (0x00 - Native Coin)
+       @param _paused               True to pause, false to unpause
+    */
+    function setPaymentPaused(address _token, bool _paused)
+        external
+        onlyRole(PAUSER_ROLE)
+    {
+        pausedPayments[_token] = _paused;
+        if (!_paused) paymentUnpausedAt[_token] = block.timestamp;
+
+        emit PaymentPaused(msg.sender, _token, _paused);
+    }
+
+    /**
+       @notice Query the last time trading of `_collection` with `_token` was resumed from a pause
+       @dev Caller can be ANY
+       @param _collection           Address of NFT Token (ERC721/ERC1155/Collection) contract
+       @param _token                Address of Payment Token (0x00 - Native Coin)
+       Note: Zero if neither trading, `_collection` nor `_token` has been unpaused.
+            Deadlines of escrowed trades restart from it (see `Auction.reclaim()`)
+    */
+    function resumedAt(address _collection, address _token)
+        external
+        view
+        returns (uint256 _time)
+    {
+        _time = unpausedAt;
+        if (collectionUnpausedAt[_collection] > _time)
+            _time = collectionUnpausedAt[_collection];
+        if (paymentUnpausedAt[_token] > _time)
+            _time = paymentUnpausedAt[_token];
+    }
 }
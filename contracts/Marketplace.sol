@@ -1,17 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
-import "@openzeppelin/contracts/utils/Address.sol";
-import "./interfaces/IManagement.sol";
-import "./interfaces/IArchive.sol";
-
-contract Marketplace is ReentrancyGuard {
-    using SafeERC20 for IERC20;
+import "./utils/MarketBase.sol";
+
+contract Marketplace is MarketBase {
 
     struct SaleInfo {
         uint256 saleID;
@@ -22,74 +14,178 @@ contract Marketplace is ReentrancyGuard {
         uint256 tokenID;
         uint256 onSaleAmt;
         uint256 unitPrice;
+        uint256 startTime; //  Sale is open from `startTime` (timestamp, inclusive)
+        uint256 endTime; //  Sale is closed after `endTime` (timestamp, inclusive). Zero means no end
+        address[] reservedBuyers; //  Only these Buyers can purchase (i.e. OTC deals). Empty means a public sale
+        uint256 nonce; //  Nonce of Seller when listing (see `incrementNonce()`)
         bytes sSignature;               //  Signature generated by Seller
     }
 
     struct RoyaltyInfo {
         uint256 royalty;
-        address receiver;
+        address[] receivers;
+        uint256[] shares; //  Portion of royalty paid to each receiver (i.e. 30% => share = 3000)
     }
 
-    bytes32 private constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
-    bytes32 private constant AUTHORIZER_ROLE = keccak256("AUTHORIZER_ROLE");
-    uint256 private constant NFT721 = 721;
-    uint256 private constant NFT1155 = 1155;
-    uint256 public constant FEE_DENOMINATOR = 10**4;
+    bytes32 private constant MARKET_ROLE = keccak256("MARKET_ROLE");
 
-    IManagement public management;
-    IArchive public archive;
+    //  EIP-712 type hashes of messages being signed by Seller and AUTHORIZER_ROLE
+    //  The domain (name, version, chainId, verifyingContract) binds every signature to one Marketplace on one network
+    bytes32 private constant SALE_INFO_TYPEHASH =
+        keccak256(
+            "SaleInfo(uint256 saleID,address seller,address nftToken,address paymentToken,uint256 nftType,uint256 tokenID,uint256 onSaleAmt,uint256 unitPrice,uint256 startTime,uint256 endTime,address[] reservedBuyers,uint256 nonce)"
+        );
+    bytes32 private constant PURCHASE_TYPEHASH =
+        keccak256(
+            "Purchase(address buyer,uint256 purchaseAmt,uint256 expiry,address referrer,uint256 epoch,SaleInfo saleInfo)SaleInfo(uint256 saleID,address seller,address nftToken,address paymentToken,uint256 nftType,uint256 tokenID,uint256 onSaleAmt,uint256 unitPrice,uint256 startTime,uint256 endTime,address[] reservedBuyers,uint256 nonce)"
+        );
+    bytes32 private constant CANCEL_TYPEHASH =
+        keccak256("Cancel(uint256 saleId,address seller,uint256 epoch)");
+    bytes32 private constant CANCEL_BATCH_TYPEHASH =
+        keccak256(
+            "CancelBatch(uint256[] saleIds,address seller,uint256 epoch)"
+        );
 
     mapping(address => RoyaltyInfo) public royalties;
 
-    event Purchased(
-        uint256 indexed saleId,
-        address indexed buyer,
-        address indexed seller,
-        uint256 purchasedAmt,
-        uint256 commissionFee,
-        uint256 royaltyFee,
-        uint256 payToSeller
-    );
-
     event Canceled(address indexed _seller, uint256 _saleId);
 
-    modifier onlyManager() {
-        require(
-            management.hasRole(MANAGER_ROLE, msg.sender), "Only Manager"
-        );
-        _;
-    }
-
-    constructor(IManagement _management, IArchive _archive) {
-        management = _management;
-        archive = _archive;
-    }
+    //  Emitted by `cancelSale()`, which cancels one listing (`_digest`) rather than every listing of `_saleId`
+    event ListingCanceled(
+        address indexed _seller,
+        uint256 _saleId,
+        bytes32 _digest
+    );
 
-    /**
-        @notice Change a new Management contract
-        @dev Caller must have MANAGER_ROLE
-        @param _newManagement       Address of new Management contract
-    */
-    function updateManagement(address _newManagement) external onlyManager {
-        require(_newManagement != address(0), "Set zero address");
+    event NonceIncremented(address indexed seller, uint256 nonce);
 
-        management = IManagement(_newManagement);
-    }
+    constructor(IManagement _management, IArchive _archive)
+        MarketBase(_management, _archive, "Marketplace")
+    {}
 
     /**
         @notice Set Royalty Fee of one Collection
         @dev    Caller must have MANAGER_ROLE
+            Note: Royalty fee is split among `_receivers` by `_shares` that must sum up to FEE_DENOMINATOR
 
         @param _collection       Address of new NFT Token (ERC721/ERC1155/Collection) contract
-        @param _receiver         Address of Receiver to transfer royalty fee
+        @param _receivers        A list of Receivers to transfer royalty fee
+        @param _shares           A list of portions of royalty fee (i.e. share = 30% => _share = 3000)
         @param _royalty          Royalty fee (i.e. royalty_fee = 5% => _royalty = 500 = 500 / 10,000 = 5 / 100)
     */
-    function setRoyalty(address _collection, address _receiver, uint256 _royalty) external onlyManager {
+    function setRoyalty(
+        address _collection,
+        address[] calldata _receivers,
+        uint256[] calldata _shares,
+        uint256 _royalty
+    ) external onlyManager {
         require(management.collections(_collection), "Collection not supported");
-        require(_royalty != 0, "Invalid setting");
+        require(_royalty != 0 && _receivers.length != 0, "Invalid setting");
+        require(_shares.length == _receivers.length, "Length mismatch");
+
+        uint256 _totalShares;
+        for (uint256 i; i < _receivers.length; i++) {
+            require(_receivers[i] != address(0), "Set zero address");
+            _totalShares += _shares[i];
+        }
+        require(_totalShares == FEE_DENOMINATOR, "Invalid shares");
+
+        royalties[_collection] = RoyaltyInfo(_royalty, _receivers, _shares);
+    }
+
+    /**
+        @notice Query Royalty setting of one Collection
+        @dev    Caller can be ANY
+
+        @param _collection       Address of NFT Token (ERC721/ERC1155/Collection) contract
+    */
+    function getRoyalty(address _collection)
+        external
+        view
+        returns (
+            uint256 _royalty,
+            address[] memory _receivers,
+            uint256[] memory _shares
+        )
+    {
+        return _royaltySetting(_collection);
+    }
+
+    /**
+        @notice Query the royalty paid for selling one item at `_price`, and how it is split among receivers
+        @dev    Caller can be ANY
+            Note: Amounts are exactly what a purchase transfers to each receiver
+
+        @param _nftToken         Address of NFT Token (ERC721/ERC1155/Collection) contract
+        @param _tokenId          ID of the item
+        @param _price            Total price of the sale
+    */
+    function getRoyaltySplit(
+        address _nftToken,
+        uint256 _tokenId,
+        uint256 _price
+    )
+        external
+        view
+        returns (
+            uint256 _royaltyFee,
+            address[] memory _receivers,
+            uint256[] memory _amounts
+        )
+    {
+        return _royaltyOf(_nftToken, _tokenId, _price);
+    }
+
+    /**
+        @notice Query fees of selling one item at `_price`
+        @dev    Caller can be ANY
+            Note: Commission rate is resolved by `Management.commissionOf()`. Royalty is resolved as `getRoyaltySplit()`
+                If `_seller` is the creator of the item and the primary schedule is enabled, primary fees are returned
+                `_buyerFee` is the part of `_commissionFee` that Buyer pays on top of `_price`
+
+        @param _nftToken         Address of NFT Token (ERC721/ERC1155/Collection) contract
+        @param _tokenId          ID of the item
+        @param _paymentToken     Address of Payment Token (0x00 - Native Coin)
+        @param _seller           Address of Seller
+        @param _price            Total price of the sale
+    */
+    function getFees(
+        address _nftToken,
+        uint256 _tokenId,
+        address _paymentToken,
+        address _seller,
+        uint256 _price
+    )
+        external
+        view
+        returns (
+            uint256 _commissionRate,
+            uint256 _commissionFee,
+            uint256 _royaltyFee,
+            uint256 _payToSeller,
+            uint256 _buyerFee
+        )
+    {
+        (_commissionRate, ) = PaymentMath.rateOf(
+            management,
+            _nftToken,
+            _tokenId,
+            _paymentToken,
+            _seller
+        );
 
-        royalties[_collection].royalty = _royalty;
-        royalties[_collection].receiver = _receiver;
+        (_commissionFee, _royaltyFee, , , _payToSeller) = _calcPayment(
+            _nftToken,
+            _tokenId,
+            _paymentToken,
+            _seller,
+            _price,
+            1
+        );
+        _buyerFee =
+            (_commissionFee * management.buyerFeeShare()) /
+            FEE_DENOMINATOR;
+        _payToSeller += _buyerFee;
     }
 
     /**
@@ -97,67 +193,227 @@ contract Marketplace is ReentrancyGuard {
         @dev    Caller can be ANY
 
         @param _saleId          An unique identification number of Sale Info
-        @param _signature       A signature generated by AUTHORIZER_ROLE
+        @param _signatures      A list of signatures generated by AUTHORIZER_ROLE (see `Management.authorizerThreshold()`)
     */
-    function cancelOnSale(uint256 _saleId, bytes calldata _signature) external {
-        require(!archive.prevSaleIds(_saleId), "SaleId already recorded");
-
-        address _seller = msg.sender;
-        _checkCancelSignature(_saleId, _seller, _signature);
+    function cancelOnSale(uint256 _saleId, bytes[] calldata _signatures)
+        external
+    {
+        require(!management.paused(), "Paused");
+        address _seller = _msgSender();
+        require(
+            !archive.isCanceled(_seller, _saleId),
+            "SaleId already recorded"
+        );
+        _checkCancelSignatures(
+            keccak256(
+                abi.encode(
+                    CANCEL_TYPEHASH,
+                    _saleId,
+                    _seller,
+                    _authorizerEpoch()
+                )
+            ),
+            _signatures
+        );
         
-        archive.cancel(_saleId);
+        archive.cancel(_seller, _saleId);
 
         emit Canceled(_seller, _saleId);
     }
 
+    /**
+        @notice Save a list of `_saleIds` when Seller cancels many 'On Sale' items at once
+        @dev    Caller can be ANY
+            Note: `_signatures` cover the whole list, and one `Canceled` event is emitted per `saleId`
+
+        @param _saleIds         A list of unique identification numbers of Sale Info
+        @param _signatures      A list of signatures generated by AUTHORIZER_ROLE (see `Management.authorizerThreshold()`)
+    */
+    function cancelOnSaleBatch(
+        uint256[] calldata _saleIds,
+        bytes[] calldata _signatures
+    ) external {
+        require(!management.paused(), "Paused");
+        address _seller = _msgSender();
+        _checkCancelSignatures(
+            keccak256(
+                abi.encode(
+                    CANCEL_BATCH_TYPEHASH,
+                    keccak256(abi.encodePacked(_saleIds)),
+                    _seller,
+                    _authorizerEpoch()
+                )
+            ),
+            _signatures
+        );
+
+        uint256 _len = _saleIds.length;
+        for (uint256 i; i < _len; i++) {
+            require(
+                !archive.isCanceled(_seller, _saleIds[i]),
+                "SaleId already recorded"
+            );
+
+            archive.cancel(_seller, _saleIds[i]);
+
+            emit Canceled(_seller, _saleIds[i]);
+        }
+    }
+
+    /**
+        @notice Cancel one listing of Seller without AUTHORIZER_ROLE
+        @dev    Caller must be the Seller of `_saleInfo`
+            Note: The listing is archived by its EIP-712 digest, so a Seller cannot cancel
+                listings of other Sellers that share the same `saleID`
+                Unlike `cancelOnSale()`, other listings of Seller with the same `saleID` are kept
+
+        @param _saleInfo            A struct of sale information signed by Seller
+    */
+    function cancelSale(SaleInfo calldata _saleInfo) external {
+        address _seller = _msgSender();
+        require(!management.paused(), "Paused");
+        require(_saleInfo.seller == _seller, "Only Seller");
+
+        bytes32 _digest = _hashTypedDataV4(_hashSaleInfo(_saleInfo));
+        require(
+            SignatureChecker.isValidSignatureNow(
+                _seller,
+                _digest,
+                _saleInfo.sSignature
+            ),
+            "Invalid seller signature"
+        );
+        require(
+            !archive.isCanceled(_seller, uint256(_digest)),
+            "SaleId already recorded"
+        );
+
+        archive.cancel(_seller, uint256(_digest));
+
+        emit ListingCanceled(_seller, _saleInfo.saleID, _digest);
+    }
+
+    /**
+        @notice Invalidate all outstanding listings of Seller at once
+        @dev    Caller can be ANY
+            Note: Listings signed with a nonce other than the current one cannot be purchased
+    */
+    function incrementNonce() external {
+        address _seller = _msgSender();
+
+        emit NonceIncremented(_seller, archive.incrementNonce(_seller));
+    }
+
     /**
         @notice Purchase item
         @dev    Caller can be ANY
+            Note: `_referrer` is covered by `_aSignatures`, and receives `referralShare` of the commission
 
-        @param _expiry              Expire blocknumber of authorized signature
+        @param _expiry              Expiry (blocknumber or timestamp) of authorized signature
         @param _purchaseAmt         A purchasing amount
         @param _saleInfo            A struct of sale information
-        @param _aSignature          A signature generated by AUTHORIZER_ROLE
+        @param _aSignatures         A list of signatures generated by AUTHORIZER_ROLE (see `Management.authorizerThresholdOf()`)
+        @param _referrer            Address of the referrer (i.e. a partner storefront). 0x00 - No referrer
     */
     function purchase(
         uint256 _expiry,
         uint256 _purchaseAmt,
         SaleInfo calldata _saleInfo,
-        bytes calldata _aSignature
+        bytes[] calldata _aSignatures,
+        address _referrer
     ) external payable nonReentrant {
-        require(block.number <= _expiry, "Authorized Signature expired");
+        address _buyer = _msgSender();
+        _purchase(
+            _expiry,
+            _purchaseAmt,
+            _saleInfo,
+            _aSignatures,
+            _referrer,
+            _buyer,
+            _buyer
+        );
+    }
+
+    /**
+        @notice Purchase item on behalf of `_buyer`, paid by the caller
+        @dev    Caller must have MARKET_ROLE (i.e. Checkout)
+            Note: The caller has received the payment from `_buyer`, and pays the price plus buyer fee (see `getFees()`)
+                as `_buyer` would pay it to `purchase()`: `msg.value` for native coin, otherwise an ERC20 allowance
+
+        @param _buyer               Address of Buyer
+        @param _expiry              Expiry (blocknumber or timestamp) of authorized signature
+        @param _purchaseAmt         A purchasing amount
+        @param _saleInfo            A struct of sale information
+        @param _aSignatures         A list of signatures generated by AUTHORIZER_ROLE (see `Management.authorizerThresholdOf()`)
+        @param _referrer            Address of the referrer (i.e. a partner storefront). 0x00 - No referrer
+    */
+    function executePurchase(
+        address _buyer,
+        uint256 _expiry,
+        uint256 _purchaseAmt,
+        SaleInfo calldata _saleInfo,
+        bytes[] calldata _aSignatures,
+        address _referrer
+    ) external payable nonReentrant {
+        require(management.hasRole(MARKET_ROLE, msg.sender), "Only Market");
+
+        _purchase(
+            _expiry,
+            _purchaseAmt,
+            _saleInfo,
+            _aSignatures,
+            _referrer,
+            _buyer,
+            msg.sender
+        );
+    }
+
+    //  Fill one purchase of `_buyer`. Payment is paid from `_from` (Buyer, or the contract that purchases for Buyer)
+    function _purchase(
+        uint256 _expiry,
+        uint256 _purchaseAmt,
+        SaleInfo calldata _saleInfo,
+        bytes[] calldata _aSignatures,
+        address _referrer,
+        address _buyer,
+        address _from
+    ) private {
+        _checkExpiry(_expiry);
+        _checkPaused(_saleInfo.nftToken, _saleInfo.paymentToken);
+        _checkSaleWindow(_saleInfo.startTime, _saleInfo.endTime);
+        _checkReservedBuyer(_saleInfo.reservedBuyers, _buyer);
         require(_saleInfo.nftType == NFT721 || _saleInfo.nftType == NFT1155, "Invalid type");
 
         //  Checking purchase and payment info
         //      + validate purchasing amount
         //      + validate payment token
-        //      + If payment token is native coin, checking msg.value
-        _checkPurchase(
-            _saleInfo.saleID, _saleInfo.nftType, _saleInfo.onSaleAmt, 
-            _saleInfo.unitPrice, _purchaseAmt, _saleInfo.paymentToken
-        );
+        //      + If payment token is native coin, checking msg.value (price + buyer fee)
+        _checkPurchase(_saleInfo, _purchaseAmt);
 
         //  Validate two signatures
         //  - `sSignatrue` is generated by Seller
-        //  - `aSignature` is generated by Authorizer
-        address _buyer = msg.sender;
-        _checkSignatures(_buyer, _expiry, _purchaseAmt, _saleInfo, _aSignature);
-
-        (uint256 _commissionFee, uint256 _royaltyFee, uint256 _payToSeller) = _calcPayment(
-            _saleInfo.unitPrice, _purchaseAmt, management.commissionFee(), royalties[_saleInfo.nftToken].royalty
+        //  - `aSignatures` are generated by a threshold of Authorizers
+        _checkNonce(_saleInfo.seller, _saleInfo.nonce);
+        _checkPurchaseSignatures(
+            _saleInfo,
+            _buyer,
+            _purchaseAmt,
+            _expiry,
+            _referrer,
+            _aSignatures
         );
 
-        if (_commissionFee != 0)
-            _makePayment(
-                _saleInfo.paymentToken, _buyer, management.treasury(), _commissionFee
-            );
-
-        if (_royaltyFee != 0)
-            _makePayment(
-                _saleInfo.paymentToken, _buyer, royalties[_saleInfo.nftToken].receiver, _royaltyFee
-            );
-
-        _makePayment(_saleInfo.paymentToken, _buyer, _saleInfo.seller, _payToSeller);
+        Payout memory _payment = _payout(
+            _saleInfo.paymentToken,
+            _from,
+            _saleInfo.seller,
+            _saleInfo.nftToken,
+            _saleInfo.tokenID,
+            _saleInfo.unitPrice,
+            _purchaseAmt,
+            management.buyerFeeShare(),
+            _referrer
+        );
 
         //  transfer NFT item to Buyer
         //  - If Seller has not yet setApproveForAll, this transaction is likely reverted
@@ -167,112 +423,146 @@ contract Marketplace is ReentrancyGuard {
         );
 
         emit Purchased(
-            _saleInfo.saleID, _buyer, _saleInfo.seller, _purchaseAmt,
-            _commissionFee, _royaltyFee, _payToSeller
+            _saleInfo.saleID,
+            _buyer,
+            _saleInfo.seller,
+            _purchaseAmt,
+            _payment.buyerFee,
+            _payment.sellerFee,
+            _payment.royaltyFee,
+            _payment.payToSeller,
+            _payment.generation
         );
     }
 
-    function _checkCancelSignature(uint256 _saleId, address _seller, bytes calldata _signature) private view {
-        bytes32 _data = ECDSA.toEthSignedMessageHash(
-            keccak256(abi.encodePacked(_saleId, _seller))
-        );
+    function _checkCancelSignatures(
+        bytes32 _structHash,
+        bytes[] calldata _signatures
+    ) private view {
         require(
-            management.hasRole(AUTHORIZER_ROLE, ECDSA.recover(_data, _signature)), "Invalid signature"
+            _countAuthorizers(_hashTypedDataV4(_structHash), _signatures) >=
+                management.authorizerThreshold(),
+            "Invalid signature"
         );
     }
 
-    function _checkSignatures(
+    //  Validate signatures of Seller and Authorizer. `_referrer` is approved by Authorizer along with the purchase
+    function _checkPurchaseSignatures(
+        SaleInfo calldata _saleInfo,
         address _buyer,
-        uint256 _expiry,
         uint256 _purchaseAmt,
-        SaleInfo calldata _saleInfo,
-        bytes calldata _aSignature
+        uint256 _expiry,
+        address _referrer,
+        bytes[] calldata _aSignatures
     ) private view {
-        bytes32 _txHash = ECDSA.toEthSignedMessageHash(
+        bytes32 _listingHash = _hashSaleInfo(_saleInfo);
+        _checkSellerSignature(
+            _listingHash,
+            _saleInfo.seller,
+            _saleInfo.sSignature
+        );
+        _checkAuthorizedSignatures(
             keccak256(
-                abi.encodePacked(
-                    _saleInfo.saleID, _saleInfo.seller, _saleInfo.nftToken, _saleInfo.paymentToken,
-                    _saleInfo.nftType, _saleInfo.tokenID, _saleInfo.onSaleAmt, _saleInfo.unitPrice
+                abi.encode(
+                    PURCHASE_TYPEHASH,
+                    _buyer,
+                    _purchaseAmt,
+                    _expiry,
+                    _referrer,
+                    _authorizerEpoch(),
+                    _listingHash
                 )
+            ),
+            _aSignatures,
+            management.authorizerThresholdOf(
+                _saleInfo.paymentToken,
+                _saleInfo.unitPrice * _purchaseAmt
             )
         );
-        require(
-            ECDSA.recover(_txHash, _saleInfo.sSignature) == _saleInfo.seller, "Invalid seller signature"
-        );
+    }
+
+    function _checkReservedBuyer(
+        address[] calldata _reservedBuyers,
+        address _buyer
+    ) private pure {
+        uint256 _len = _reservedBuyers.length;
+        if (_len == 0) return;
+
+        for (uint256 i; i < _len; i++) if (_reservedBuyers[i] == _buyer) return;
+        revert("Not a reserved buyer");
+    }
 
-        _txHash = ECDSA.toEthSignedMessageHash(
+    function _hashSaleInfo(SaleInfo calldata _saleInfo)
+        private
+        pure
+        returns (bytes32)
+    {
+        return
             keccak256(
-                abi.encodePacked(_saleInfo.sSignature, _buyer, _purchaseAmt, _expiry)
-            )
-        );
-        require(
-            management.hasRole(AUTHORIZER_ROLE, ECDSA.recover(_txHash, _aSignature)), "Invalid authorized signature"
-        );
+                bytes.concat(
+                    abi.encode(
+                        SALE_INFO_TYPEHASH,
+                        _saleInfo.saleID,
+                        _saleInfo.seller,
+                        _saleInfo.nftToken,
+                        _saleInfo.paymentToken,
+                        _saleInfo.nftType,
+                        _saleInfo.tokenID,
+                        _saleInfo.onSaleAmt
+                    ),
+                    abi.encode(
+                        _saleInfo.unitPrice,
+                        _saleInfo.startTime,
+                        _saleInfo.endTime,
+                        keccak256(abi.encodePacked(_saleInfo.reservedBuyers)),
+                        _saleInfo.nonce
+                    )
+                )
+            );
     }
 
-    function _checkPurchase(uint256 _saleId, uint256 _nftType, uint256 _onSaleAmt, uint256 _price, uint256 _amount, address _token) private {
-        require(!archive.prevSaleIds(_saleId), "Sale canceled");
-        
-        //  Then, checking purchasing amount
-        //  If '_amount' is greater than 'currentOnSale' -> revert
-        //  In success, update 'currentOnSale'
-        require(
-            _nftType == NFT721 && _onSaleAmt == 1 ||
-            _nftType == NFT1155 && _onSaleAmt != 0,
-            "Invalid OnSaleAmt"
+    function _checkPurchase(SaleInfo calldata _saleInfo, uint256 _amount)
+        private
+    {
+        _updateOnSale(
+            _saleInfo.seller,
+            _saleInfo.saleID,
+            _saleInfo.nftType,
+            _saleInfo.onSaleAmt,
+            _amount
         );
 
-        //  For first purchase, the 'currentOnSale' is updated for the `saleId`. Then, locl `OnSale` state
-        //  For next purchases, 'currentOnSale' will be deducted until reaching zero
-        //  The 'OnSale' state will bind to the 'saleId' and won't be reset
-        if ( archive.getLocked(_saleId) ) {
-            //  if `currentOnSale` < `_amount` -> underflow -> revert
-            archive.setCurrentOnSale(
-                _saleId, archive.getCurrentOnSale(_saleId) - _amount
-            );
-        }
+        address _token = _saleInfo.paymentToken;
+        if (_token != address(0))
+            require(management.paymentTokens(_token), "Invalid payment token");
         else {
-            archive.setLocked(_saleId);
-            archive.setCurrentOnSale(_saleId, _onSaleAmt - _amount);
+            uint256 _price = _saleInfo.unitPrice * _amount;
+            require(
+                _price +
+                    _buyerFee(
+                        _saleInfo.nftToken,
+                        _saleInfo.tokenID,
+                        _token,
+                        _saleInfo.seller,
+                        _price
+                    ) ==
+                    msg.value,
+                "Insufficient payment"
+            );
         }
-
-        if (_token == address(0)) 
-            require(_price * _amount == msg.value, "Insufficient payment");
-        else 
-            require(management.paymentTokens(_token), "Invalid payment token");
-    }
-
-    function _makePayment(address _token, address _from, address _to, uint256 _amount) private {
-        if (_token == address(0))
-            Address.sendValue(payable(_to), _amount);
-        else
-            IERC20(_token).safeTransferFrom(_from, _to, _amount);
-    }
-
-    function _transferItem(
-        address _nftToken,
-        uint256 _nftType,
-        address _from,
-        address _to,
-        uint256 _id,
-        uint256 _amount
-    ) private {
-        if (_nftType == NFT721)
-            IERC721(_nftToken).safeTransferFrom(_from, _to, _id);
-        else 
-            IERC1155(_nftToken).safeTransferFrom(_from, _to, _id, _amount, "");
     }
 
-    function _calcPayment(
-        uint256 _unitPrice,
-        uint256 _purchaseAmt,
-        uint256 _commissionFeeRate,
-        uint256 _royaltyFeeRate
-    ) private pure returns (uint256 _fee, uint256 _royalty, uint256 _payToSeller) {
-        uint256 _totalPrice = _unitPrice * _purchaseAmt;
-
-        _fee = (_totalPrice * _commissionFeeRate) / FEE_DENOMINATOR;
-        _royalty = (_totalPrice * _royaltyFeeRate) / FEE_DENOMINATOR;
-        _payToSeller = _totalPrice - _fee - _royalty;
+    function _royaltySetting(address _nftToken)
+        internal
+        view
+        override
+        returns (
+            uint256,
+            address[] memory,
+            uint256[] memory
+        )
+    {
+        RoyaltyInfo storage _info = royalties[_nftToken];
+        return (_info.royalty, _info.receivers, _info.shares);
     }
 }
@@ -0,0 +1,327 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./utils/MarketBase.sol";
+
+//  Buyer offers on specific tokens, and criteria offers on a set of tokenIds or a whole collection,
+//  accepted by the owners of the items
+contract OfferBook is MarketBase {
+    //  Buyer offers to buy `amount` items of `tokenID` at `unitPrice` (ERC-20 only)
+    //  The offer can be filled partially (ERC1155) by the current owner until `expiry` (timestamp)
+    struct OfferInfo {
+        uint256 offerID;
+        address buyer;
+        address nftToken;
+        address paymentToken;
+        uint256 nftType;
+        uint256 tokenID;
+        uint256 amount;
+        uint256 unitPrice;
+        uint256 expiry;
+        bytes bSignature; //  Signature generated by Buyer
+    }
+
+    //  Buyer offers to buy items of any tokenId satisfying the criteria
+    //  - `merkleRoot` != 0: tokenId must be a leaf (i.e. keccak256(abi.encodePacked(tokenId))) of the Merkle tree
+    //  - `merkleRoot` = 0: any tokenId of `nftToken`, which must be registered in Management
+    struct CriteriaOfferInfo {
+        uint256 offerID;
+        address buyer;
+        address nftToken;
+        address paymentToken;
+        uint256 nftType;
+        bytes32 merkleRoot;
+        uint256 amount;
+        uint256 unitPrice;
+        uint256 expiry;
+        bytes bSignature; //  Signature generated by Buyer
+    }
+
+    bytes32 public constant VERSION = keccak256("OFFER_BOOK_v1");
+    bytes32 private constant OFFER_INFO_TYPEHASH =
+        keccak256(
+            "OfferInfo(uint256 offerID,address buyer,address nftToken,address paymentToken,uint256 nftType,uint256 tokenID,uint256 amount,uint256 unitPrice,uint256 expiry)"
+        );
+    bytes32 private constant CRITERIA_OFFER_INFO_TYPEHASH =
+        keccak256(
+            "CriteriaOfferInfo(uint256 offerID,address buyer,address nftToken,address paymentToken,uint256 nftType,bytes32 merkleRoot,uint256 amount,uint256 unitPrice,uint256 expiry)"
+        );
+
+    event OfferAccepted(
+        uint256 indexed offerId,
+        address indexed buyer,
+        address indexed seller,
+        uint256 soldAmt,
+        uint256 commissionFee,
+        uint256 royaltyFee,
+        uint256 payToSeller
+    );
+
+    event OfferCanceled(address indexed buyer, uint256 offerId);
+
+    constructor(IManagement _management, IArchive _archive)
+        MarketBase(_management, _archive, "OfferBook")
+    {}
+
+    /**
+        @notice Accept an offer made by Buyer
+        @dev    Caller must be the owner of the item being offered
+            Note: Offers are tracked in Archive by `offerId` (i.e. uint256 of the EIP-712 digest of `OfferInfo`),
+                thus, a partially filled offer (ERC1155) can be accepted until the offered amount runs out
+
+        @param _amount              An amount of items being sold
+        @param _offer               A struct of offer information
+    */
+    function acceptOffer(uint256 _amount, OfferInfo calldata _offer)
+        external
+        nonReentrant
+    {
+        _checkOffer(_offer.expiry, _offer.nftType, _offer.paymentToken);
+
+        uint256 _offerId = _checkBuyerSignature(
+            _hashOfferInfo(_offer),
+            _offer.buyer,
+            _offer.bSignature
+        );
+        _updateOnSale(
+            _offer.buyer,
+            _offerId,
+            _offer.nftType,
+            _offer.amount,
+            _amount
+        );
+
+        _fillOffer(
+            _offerId,
+            _offer.buyer,
+            _offer.nftToken,
+            _offer.paymentToken,
+            _offer.nftType,
+            _offer.tokenID,
+            _offer.unitPrice,
+            _amount
+        );
+    }
+
+    /**
+        @notice Accept a criteria offer (collection-wide or a set of tokenIds) made by Buyer
+        @dev    Caller must be the owner of `_tokenId`
+            Note: Criteria offers share the `offerId` bookkeeping of `acceptOffer()`.
+                The offered amount can be filled by items of different tokenIds, one ERC721 item per call
+
+        @param _tokenId             TokenId of the item being sold
+        @param _amount              An amount of items being sold
+        @param _proof               Merkle proof of `_tokenId` (empty when `merkleRoot` = 0)
+        @param _offer               A struct of criteria offer information
+    */
+    function acceptCriteriaOffer(
+        uint256 _tokenId,
+        uint256 _amount,
+        bytes32[] calldata _proof,
+        CriteriaOfferInfo calldata _offer
+    ) external nonReentrant {
+        _checkOffer(_offer.expiry, _offer.nftType, _offer.paymentToken);
+        if (_offer.merkleRoot == bytes32(0))
+            require(
+                management.collections(_offer.nftToken),
+                "Collection not supported"
+            );
+        else
+            require(
+                MerkleProof.verifyCalldata(
+                    _proof,
+                    _offer.merkleRoot,
+                    keccak256(abi.encodePacked(_tokenId))
+                ),
+                "Invalid proof"
+            );
+
+        //  Each ERC721 item is sold by its own fill, and fills are counted against `amount` of the offer
+        require(
+            _amount != 0 && (_offer.nftType == NFT1155 || _amount == 1),
+            "Invalid amount"
+        );
+        uint256 _offerId = _checkBuyerSignature(
+            _hashCriteriaOfferInfo(_offer),
+            _offer.buyer,
+            _offer.bSignature
+        );
+        _deductOnSale(_offer.buyer, _offerId, _offer.amount, _amount);
+
+        _fillOffer(
+            _offerId,
+            _offer.buyer,
+            _offer.nftToken,
+            _offer.paymentToken,
+            _offer.nftType,
+            _tokenId,
+            _offer.unitPrice,
+            _amount
+        );
+    }
+
+    /**
+        @notice Cancel an offer
+        @dev    Caller must be Buyer of the offer
+
+        @param _offer               A struct of offer information
+    */
+    function cancelOffer(OfferInfo calldata _offer) external {
+        _cancelOffer(
+            _offer.buyer,
+            uint256(_hashTypedDataV4(_hashOfferInfo(_offer)))
+        );
+    }
+
+    /**
+        @notice Cancel a criteria offer
+        @dev    Caller must be Buyer of the offer
+
+        @param _offer               A struct of criteria offer information
+    */
+    function cancelCriteriaOffer(CriteriaOfferInfo calldata _offer) external {
+        _cancelOffer(
+            _offer.buyer,
+            uint256(_hashTypedDataV4(_hashCriteriaOfferInfo(_offer)))
+        );
+    }
+
+    function _checkOffer(
+        uint256 _expiry,
+        uint256 _nftType,
+        address _paymentToken
+    ) private view {
+        require(block.timestamp <= _expiry, "Offer expired");
+        require(_nftType == NFT721 || _nftType == NFT1155, "Invalid type");
+        require(
+            _paymentToken != address(0) &&
+                management.paymentTokens(_paymentToken),
+            "Invalid payment token"
+        );
+    }
+
+    //  Return `offerId` (i.e. uint256 of the EIP-712 digest of the offer) after validating Buyer signature
+    function _checkBuyerSignature(
+        bytes32 _structHash,
+        address _buyer,
+        bytes calldata _bSignature
+    ) private view returns (uint256) {
+        bytes32 _offerHash = _hashTypedDataV4(_structHash);
+        require(
+            SignatureChecker.isValidSignatureNow(
+                _buyer,
+                _offerHash,
+                _bSignature
+            ),
+            "Invalid buyer signature"
+        );
+
+        return uint256(_offerHash);
+    }
+
+    function _fillOffer(
+        uint256 _offerId,
+        address _buyer,
+        address _nftToken,
+        address _paymentToken,
+        uint256 _nftType,
+        uint256 _tokenId,
+        uint256 _unitPrice,
+        uint256 _amount
+    ) private {
+        _checkPaused(_nftToken, _paymentToken);
+
+        address _seller = _msgSender();
+        Payout memory _payment = _payout(
+            _paymentToken,
+            _buyer,
+            _seller,
+            _nftToken,
+            _tokenId,
+            _unitPrice,
+            _amount,
+            0,
+            address(0)
+        );
+
+        _transferItem(_nftToken, _nftType, _seller, _buyer, _tokenId, _amount);
+
+        emit OfferAccepted(
+            _offerId,
+            _buyer,
+            _seller,
+            _amount,
+            _payment.sellerFee,
+            _payment.royaltyFee,
+            _payment.payToSeller
+        );
+        emit Purchased(
+            _offerId,
+            _buyer,
+            _seller,
+            _amount,
+            _payment.buyerFee,
+            _payment.sellerFee,
+            _payment.royaltyFee,
+            _payment.payToSeller,
+            _payment.generation
+        );
+    }
+
+    function _cancelOffer(address _buyer, uint256 _offerId) private {
+        require(_buyer == _msgSender(), "Only Buyer");
+        require(
+            !archive.isCanceled(_buyer, _offerId),
+            "Offer already canceled"
+        );
+
+        archive.cancel(_buyer, _offerId);
+
+        emit OfferCanceled(_buyer, _offerId);
+    }
+
+    function _hashOfferInfo(OfferInfo calldata _offer)
+        private
+        pure
+        returns (bytes32)
+    {
+        return
+            keccak256(
+                abi.encode(
+                    OFFER_INFO_TYPEHASH,
+                    _offer.offerID,
+                    _offer.buyer,
+                    _offer.nftToken,
+                    _offer.paymentToken,
+                    _offer.nftType,
+                    _offer.tokenID,
+                    _offer.amount,
+                    _offer.unitPrice,
+                    _offer.expiry
+                )
+            );
+    }
+
+    function _hashCriteriaOfferInfo(CriteriaOfferInfo calldata _offer)
+        private
+        pure
+        returns (bytes32)
+    {
+        return
+            keccak256(
+                abi.encode(
+                    CRITERIA_OFFER_INFO_TYPEHASH,
+                    _offer.offerID,
+                    _offer.buyer,
+                    _offer.nftToken,
+                    _offer.paymentToken,
+                    _offer.nftType,
+                    _offer.merkleRoot,
+                    _offer.amount,
+                    _offer.unitPrice,
+                    _offer.expiry
+                )
+            );
+    }
+}
@@ -3,47 +3,136 @@ pragma solidity ^0.8.0;
 
 interface IArchive {
     /**
-        @notice Query archived `saleId`
+        @notice Query the key of one sale, i.e. `saleId` namespaced by its Seller
+            Note: Sale state of different Sellers sharing the same `saleId` is kept apart
+        @dev Caller can be ANY
+        @param _seller       Address of Seller (or Buyer of an offer)
+        @param _saleId       An unique identification number of Sale Info
+    */
+    function saleKey(address _seller, uint256 _saleId)
+        external
+        pure
+        returns (bytes32);
+
+    /**
+        @notice Query the key of 'on sale' state of one sale, i.e. `saleId` namespaced by its trading contract and Seller
+            Note: The same `saleId` used on different trading contracts is kept apart
+        @dev Caller can be ANY
+        @param _market       Address of the trading contract that executes the sale
+        @param _seller       Address of Seller (or Buyer of an offer)
+        @param _saleId       An unique identification number of Sale Info
+    */
+    function onSaleKey(
+        address _market,
+        address _seller,
+        uint256 _saleId
+    ) external pure returns (bytes32);
+
+    /**
+        @notice Query whether `saleId` of `_seller` is archived
             Note: `saleId` is archived when Seller cancels the 'on sale' item
+                Listings and offers canceled without AUTHORIZER_ROLE are archived by their EIP-712 digests
         @dev Caller can be ANY
+        @param _seller       Address of Seller (or Buyer of an offer)
         @param _saleId       An unique identification number of Sale Info
     */
-    function prevSaleIds(uint256 _saleId) external view returns (bool);
+    function isCanceled(address _seller, uint256 _saleId)
+        external
+        view
+        returns (bool);
+
+    /**
+        @notice Query current nonce of `_seller`
+            Note: Listings must be signed with the current nonce of Seller
+        @dev Caller can be ANY
+        @param _seller       Address of Seller
+    */
+    function nonces(address _seller) external view returns (uint256);
+
+    /**
+        @notice Query number of sales of one item
+            Note: Zero means the item has never been sold through trading contracts
+        @dev Caller can be ANY
+        @param _nftToken     Address of NFT Token (ERC721/ERC1155/Collection) contract
+        @param _tokenId      ID of the item
+    */
+    function saleGenerations(address _nftToken, uint256 _tokenId)
+        external
+        view
+        returns (uint256);
 
     /**
         @notice Query an amount of item that is current 'on sale'
         @dev Caller can be ANY
+        @param _market       Address of the trading contract
+        @param _seller       Address of Seller
         @param _saleId       An unique identification number of Sale Info
     */
-    function getCurrentOnSale(uint256 _saleId) external view returns (uint256 _currentAmt);
+    function getCurrentOnSale(
+        address _market,
+        address _seller,
+        uint256 _saleId
+    ) external view returns (uint256 _currentAmt);
 
     /**
         @notice Update new amount of item that is 'on sale'
+            Note: The state is kept in the namespace of the calling trading contract
         @dev Caller is restricted
+        @param _seller          Address of Seller
         @param _saleId          An unique identification number of Sale Info
         @param _newAmt          New amount is 'on sale'  
     */
-    function setCurrentOnSale(uint256 _saleId, uint256 _newAmt) external;
+    function setCurrentOnSale(
+        address _seller,
+        uint256 _saleId,
+        uint256 _newAmt
+    ) external;
 
     /**
-        @notice Query locking state of one `saleId`
+        @notice Query locking state of one `saleId` of `_seller`
         @dev Caller can be ANY
+        @param _market       Address of the trading contract
+        @param _seller       Address of Seller
         @param _saleId       An unique identification number of Sale Info
     */
-    function getLocked(uint256 _saleId) external view returns (bool _locked);
+    function getLocked(
+        address _market,
+        address _seller,
+        uint256 _saleId
+    ) external view returns (bool _locked);
 
     /**
-        @notice Set locking state of one `saleId`
+        @notice Set locking state of one `saleId` of `_seller`
             Note: Once locking state of one `saleId` is set, it cannot be reset
+                The state is kept in the namespace of the calling trading contract
         @dev Caller is restricted
+        @param _seller          Address of Seller
         @param _saleId          An unique identification number of Sale Info
     */
-    function setLocked(uint256 _saleId) external;
+    function setLocked(address _seller, uint256 _saleId) external;
 
     /**
-        @notice Archive `saleId`
+        @notice Archive `saleId` of `_seller`
         @dev Caller is restricted
+        @param _seller          Address of Seller (or Buyer of an offer)
         @param _saleId          An unique identification number of Sale Info
     */
-    function cancel(uint256 _saleId) external;
+    function cancel(address _seller, uint256 _saleId) external;
+
+    /**
+        @notice Increase nonce of `_seller`
+        @dev Caller is restricted
+        @param _seller          Address of Seller
+    */
+    function incrementNonce(address _seller) external returns (uint256 _nonce);
+
+    /**
+        @notice Record a sale of one item, and return the generation of this sale (0 = first sale)
+        @dev Caller is restricted
+        @param _nftToken        Address of NFT Token (ERC721/ERC1155/Collection) contract
+        @param _tokenId         ID of the item
+    */
+    function recordSale(address _nftToken, uint256 _tokenId)
+        external
+        returns (uint256 _generation);
 }
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+//  Read-only interface of the previous Archive, which kept sale state by bare `saleId` (see `Archive.migrateSales()`)
+interface IArchiveV1 {
+    /**
+        @notice Query archived `saleId`
+            Note: `saleId` is archived when Seller cancels the 'on sale' item
+        @dev Caller can be ANY
+        @param _saleId       An unique identification number of Sale Info
+    */
+    function prevSaleIds(uint256 _saleId) external view returns (bool);
+
+    /**
+        @notice Query an amount of item that is current 'on sale'
+        @dev Caller can be ANY
+        @param _saleId       An unique identification number of Sale Info
+    */
+    function getCurrentOnSale(uint256 _saleId)
+        external
+        view
+        returns (uint256 _currentAmt);
+
+    /**
+        @notice Query locking state of one `saleId`
+        @dev Caller can be ANY
+        @param _saleId       An unique identification number of Sale Info
+    */
+    function getLocked(uint256 _saleId) external view returns (bool _locked);
+}
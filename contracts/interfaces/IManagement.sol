@@ -6,11 +6,73 @@ interface IManagement {
 
     function marketplace() external view returns (address);
 
+    function trustedForwarder() external view returns (address);
+
+    function permit2() external view returns (address);
+
     function commissionFee() external view returns (uint256);
 
+    function commissionOf(address _collection, address _token)
+        external
+        view
+        returns (uint256);
+
+    function maxTotalFee() external view returns (uint256);
+
+    function primaryCommission()
+        external
+        view
+        returns (bool enabled, uint256 commissionFee);
+
+    function buyerFeeShare() external view returns (uint256);
+
+    function referralShare() external view returns (uint256);
+
+    function preferTokenRoyalty() external view returns (bool);
+
+    function royaltyCap() external view returns (uint256);
+
+    function authorizerThreshold() external view returns (uint256);
+
+    function authorizerEpoch() external view returns (uint256);
+
+    function authorizerThresholdOf(address _token, uint256 _value)
+        external
+        view
+        returns (uint256);
+
+    function accrueCommission() external view returns (bool);
+
+    function pullPayments(address _recipient) external view returns (bool);
+
     function paymentTokens(address _token) external view returns (bool);
 
     function collections(address _collection) external view returns (bool);
+
+    function creators(address _collection, uint256 _tokenId)
+        external
+        view
+        returns (address);
+
+    function setCreators(
+        address _collection,
+        uint256[] calldata _tokenIds,
+        address _creator
+    ) external;
+
+    function paused() external view returns (bool);
+
+    function pausedCollections(address _collection)
+        external
+        view
+        returns (bool);
+
+    function pausedPayments(address _token) external view returns (bool);
+
+    function resumedAt(address _collection, address _token)
+        external
+        view
+        returns (uint256);
     
     function hasRole(bytes32 role, address account) external view returns (bool);
 }
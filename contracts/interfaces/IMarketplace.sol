@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IMarketplace {
+    /**
+        @notice Query Royalty setting of one Collection
+        @dev Caller can be ANY
+        @param _collection       Address of NFT Token (ERC721/ERC1155/Collection) contract
+    */
+    function getRoyalty(address _collection)
+        external
+        view
+        returns (
+            uint256 _royalty,
+            address[] memory _receivers,
+            uint256[] memory _shares
+        );
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+//  Signature transfers of Permit2 (https://github.com/Uniswap/permit2), used for ERC-20 tokens without EIP-2612
+interface IPermit2 {
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    struct PermitTransferFrom {
+        TokenPermissions permitted;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;
+    }
+
+    /**
+        @notice Transfer tokens of `_owner` with a signed permit. The spender of the permit is the caller
+        @dev Caller can be ANY
+        @param _permit              Token, maximum amount, nonce and deadline signed by `_owner`
+        @param _transferDetails     Recipient and amount of the transfer
+        @param _owner               Address of the token owner, who signed the permit
+        @param _signature           A signature generated by `_owner`
+    */
+    function permitTransferFrom(
+        PermitTransferFrom calldata _permit,
+        SignatureTransferDetails calldata _transferDetails,
+        address _owner,
+        bytes calldata _signature
+    ) external;
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+//  This contract is used for testing only
+contract ERC1155Test is ERC1155 {
+    constructor() ERC1155("") {}
+
+    function mint(
+        address _to,
+        uint256 _tokenId,
+        uint256 _amount
+    ) external {
+        _mint(_to, _tokenId, _amount, "");
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Royalty.sol";
+
+//  This contract is used for testing only
+contract ERC721RoyaltyTest is ERC721Royalty {
+    constructor(string memory _name, string memory _symbol)
+        ERC721(_name, _symbol)
+    {}
+
+    function mint(address _to, uint256 _tokenId) external {
+        _mint(_to, _tokenId);
+    }
+
+    function setDefaultRoyalty(address _receiver, uint96 _feeNumerator)
+        external
+    {
+        _setDefaultRoyalty(_receiver, _feeNumerator);
+    }
+
+    function setTokenRoyalty(
+        uint256 _tokenId,
+        address _receiver,
+        uint96 _feeNumerator
+    ) external {
+        _setTokenRoyalty(_tokenId, _receiver, _feeNumerator);
+    }
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+//  This contract is used for testing only
+//  A local ERC-2771 forwarder that relays requests signed by users (see `helpers/relayer.js`)
+contract ForwarderTest is MinimalForwarder {
+
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+
+//  This contract is used for testing only
+//  It burns all gas forwarded with native coin, and forwards calls (i.e. `bid()`) to other contracts
+contract GasBurnerTest {
+    receive() external payable {
+        while (true) {}
+    }
+
+    function execute(address _target, bytes calldata _data)
+        external
+        payable
+        returns (bytes memory)
+    {
+        return Address.functionCallWithValue(_target, _data, msg.value);
+    }
+}
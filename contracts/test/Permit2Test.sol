@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../interfaces/IPermit2.sol";
+
+//  This contract is used for testing only
+//  Signature transfers of Permit2 with the same EIP-712 domain (name, chainId, verifyingContract) and messages
+//  Nonces are unordered, and each nonce can be used once
+contract Permit2Test is IPermit2 {
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 private constant TOKEN_PERMISSIONS_TYPEHASH =
+        keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 private constant PERMIT_TRANSFER_FROM_TYPEHASH =
+        keccak256(
+            "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)"
+        );
+
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+
+    function permitTransferFrom(
+        PermitTransferFrom calldata _permit,
+        SignatureTransferDetails calldata _transferDetails,
+        address _owner,
+        bytes calldata _signature
+    ) external override {
+        require(block.timestamp <= _permit.deadline, "Signature expired");
+        require(
+            _transferDetails.requestedAmount <= _permit.permitted.amount,
+            "Invalid amount"
+        );
+        require(!usedNonces[_owner][_permit.nonce], "Invalid nonce");
+        usedNonces[_owner][_permit.nonce] = true;
+
+        bytes32 _structHash = keccak256(
+            abi.encode(
+                PERMIT_TRANSFER_FROM_TYPEHASH,
+                keccak256(
+                    abi.encode(
+                        TOKEN_PERMISSIONS_TYPEHASH,
+                        _permit.permitted.token,
+                        _permit.permitted.amount
+                    )
+                ),
+                msg.sender,
+                _permit.nonce,
+                _permit.deadline
+            )
+        );
+        require(
+            ECDSA.recover(
+                ECDSA.toTypedDataHash(domainSeparator(), _structHash),
+                _signature
+            ) == _owner,
+            "Invalid signer"
+        );
+
+        IERC20(_permit.permitted.token).safeTransferFrom(
+            _owner,
+            _transferDetails.to,
+            _transferDetails.requestedAmount
+        );
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256("Permit2"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+
+//  This contract is used for testing only
+//  It rejects native coin (no `receive()`) and NFT items (not an ERC721/ERC1155 receiver),
+//  and forwards calls (i.e. `bid()`, `claim()`) to other contracts
+contract RejectEtherTest {
+    function execute(address _target, bytes calldata _data)
+        external
+        returns (bytes memory)
+    {
+        return Address.functionCall(_target, _data);
+    }
+}
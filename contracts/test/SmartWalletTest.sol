@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+//  This contract is used for testing only
+//  A minimal ERC-1271 contract wallet (i.e. like a Gnosis Safe with one owner):
+//  signatures of its owner are valid signatures of the wallet, and the owner executes calls through it
+contract SmartWalletTest is IERC1271, ERC721Holder, ERC1155Holder {
+    address public owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    receive() external payable {}
+
+    function execute(
+        address _target,
+        bytes calldata _data,
+        uint256 _value
+    ) external returns (bytes memory) {
+        require(msg.sender == owner, "Only owner");
+        return Address.functionCallWithValue(_target, _data, _value);
+    }
+
+    function isValidSignature(bytes32 _hash, bytes memory _signature)
+        external
+        view
+        override
+        returns (bytes4)
+    {
+        (address _signer, ECDSA.RecoverError _error) = ECDSA.tryRecover(
+            _hash,
+            _signature
+        );
+        if (_error == ECDSA.RecoverError.NoError && _signer == owner)
+            return IERC1271.isValidSignature.selector;
+
+        return 0xffffffff;
+    }
+}
@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "../interfaces/IManagement.sol";
+
+/**
+    @dev Shared settings and helpers of contracts governed by Management (i.e. trading contracts, Minter)
+        + Authorized signatures expire by block number, or by timestamp if flagged in `expiry` (see `_isExpired()`)
+        + Signatures of a threshold of distinct Authorizers are counted by `_countAuthorizers()`
+        + Authorizers can be EOAs or ERC-1271 contract wallets (see `_recoverAuthorizer()`)
+        + Collections are stopped by pause flags of Management (see `_checkPaused()`)
+        + Calls relayed by the trusted forwarder of Management carry the original sender (see `_msgSender()`)
+*/
+abstract contract ManagedBase {
+    bytes32 internal constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
+    bytes32 internal constant AUTHORIZER_ROLE = keccak256("AUTHORIZER_ROLE");
+    //  Flag (highest bit) of a signed `expiry` that is a timestamp rather than a block number
+    uint256 public constant TIMESTAMP_EXPIRY = 1 << 255;
+
+    IManagement public management;
+
+    modifier onlyManager() {
+        require(management.hasRole(MANAGER_ROLE, msg.sender), "Only Manager");
+        _;
+    }
+
+    constructor(IManagement _management) {
+        management = _management;
+    }
+
+    /**
+        @notice Change a new Management contract
+        @dev Caller must have MANAGER_ROLE
+        @param _newManagement       Address of new Management contract
+    */
+    function updateManagement(address _newManagement) external onlyManager {
+        require(_newManagement != address(0), "Set zero address");
+
+        management = IManagement(_newManagement);
+    }
+
+    /**
+        @notice Check whether `_forwarder` is trusted to relay meta-transactions (ERC-2771)
+        @dev Caller can be ANY
+        @param _forwarder           Address of the forwarder
+    */
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder == management.trustedForwarder();
+    }
+
+    //  Epoch of authorized signatures, covered by every message signed by Authorizers
+    function _authorizerEpoch() internal view returns (uint256) {
+        return management.authorizerEpoch();
+    }
+
+    //  Return the number of distinct AUTHORIZER_ROLE holders that signed `_digest`
+    //  Invalid signatures are not counted, and two signatures of the same Authorizer are rejected
+    function _countAuthorizers(bytes32 _digest, bytes[] calldata _signatures)
+        internal
+        view
+        returns (uint256 _count)
+    {
+        address[] memory _authorizers = new address[](_signatures.length);
+        for (uint256 i; i < _signatures.length; i++) {
+            address _authorizer = _recoverAuthorizer(_digest, _signatures[i]);
+            if (!management.hasRole(AUTHORIZER_ROLE, _authorizer)) continue;
+
+            for (uint256 j; j < _count; j++)
+                require(_authorizers[j] != _authorizer, "Duplicate authorizer");
+            _authorizers[_count++] = _authorizer;
+        }
+    }
+
+    //  Return the signer of an authorized signature, or address(0) if the signature is invalid
+    //  - An EOA signs as usual (64 or 65 bytes)
+    //  - An ERC-1271 contract wallet signs as `abi.encode(address wallet, bytes signature)`, since
+    //      a contract signer cannot be recovered from its signature
+    function _recoverAuthorizer(bytes32 _digest, bytes calldata _signature)
+        internal
+        view
+        returns (address)
+    {
+        if (_signature.length <= 65) {
+            (address _recovered, ) = ECDSA.tryRecover(_digest, _signature);
+            return _recovered;
+        }
+
+        //  A malformed encoding is an invalid signature, thus it fails no other signature of the call
+        if (
+            _signature.length < 96 ||
+            uint256(bytes32(_signature[0:32])) >> 160 != 0 ||
+            uint256(bytes32(_signature[32:64])) != 64 ||
+            uint256(bytes32(_signature[64:96])) > _signature.length - 96
+        ) return address(0);
+
+        address _wallet = address(uint160(uint256(bytes32(_signature[0:32]))));
+        bytes calldata _walletSignature = _signature[96:96 +
+            uint256(bytes32(_signature[64:96]))];
+        if (
+            !SignatureChecker.isValidSignatureNow(
+                _wallet,
+                _digest,
+                _walletSignature
+            )
+        ) return address(0);
+
+        return _wallet;
+    }
+
+    //  Sender of the call. A call relayed by the trusted forwarder (ERC-2771) has the original sender
+    //  appended to its calldata
+    function _msgSender() internal view returns (address _sender) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            assembly {
+                _sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else _sender = msg.sender;
+    }
+
+    //  Revert if Management is paused globally, or for `_collection`
+    function _checkPaused(address _collection) internal view {
+        require(!management.paused(), "Paused");
+        require(
+            !management.pausedCollections(_collection),
+            "Collection paused"
+        );
+    }
+
+    //  `_expiry` is a block number, or a timestamp flagged by `TIMESTAMP_EXPIRY` (i.e. `timestamp | TIMESTAMP_EXPIRY`)
+    //  The unit is covered by Authorizer signatures, thus a signed `expiry` is never read in another unit
+    function _isExpired(uint256 _expiry) internal view returns (bool) {
+        uint256 _now = (_expiry & TIMESTAMP_EXPIRY) == 0
+            ? block.number
+            : block.timestamp | TIMESTAMP_EXPIRY;
+        return _now > _expiry;
+    }
+}
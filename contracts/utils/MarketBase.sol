@@ -0,0 +1,478 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "../interfaces/IArchive.sol";
+import "../interfaces/IMarketplace.sol";
+import "./ManagedBase.sol";
+import "./PaymentMath.sol";
+
+/**
+    @dev Shared settings and helpers of contracts that trade NFT items
+        Each kind of trade has its own contract, thus each of them stays within the EIP-170 contract size limit:
+        listings (Marketplace), carts and permit payments of listings (Checkout), English and Dutch auctions (Auction),
+        buyer offers (OfferBook) and bundle listings (BundleMarket)
+        + Payments (commission, royalty and seller's proceeds) are split by `_payout()`
+        + Royalty is resolved by the external `PaymentMath` library, which must be linked at deployment
+        + Payments that cannot be pushed, or that recipients opted to pull, are credited and withdrawn later
+        + Items are transferred by `_transferItem()`
+        + Listings are validated by `_checkSellerSignature()`, `_checkNonce()` and recorded in Archive by `_updateOnSale()`
+        + Purchases are approved by a threshold of distinct Authorizers set in Management (see `_checkAuthorizedSignatures()`)
+        + Trading is stopped by pause flags of Management, also for payment tokens (see `_checkPaused()`)
+        + Signatures are verified against an EIP-712 domain named by the inheriting contract,
+            thus a message is signed for the contract that executes the trade
+        + Expiry, Authorizer recovery and relayed senders are shared with Minter (see `ManagedBase`)
+*/
+abstract contract MarketBase is ManagedBase, ReentrancyGuard, EIP712 {
+    using SafeERC20 for IERC20;
+
+    uint256 internal constant NFT721 = 721;
+    uint256 internal constant NFT1155 = 1155;
+    uint256 public constant FEE_DENOMINATOR = 10**4;
+    //  Gas forwarded with a native coin payment. Enough for a contract wallet to receive it (i.e. emit an event)
+    uint256 internal constant NATIVE_PAYMENT_GAS = 30000;
+
+    //  Result of `_payout()`. Commission is split into the part paid by Buyer on top of the price (`buyerFee`)
+    //  and the part deducted from Seller's proceeds (`sellerFee`)
+    struct Payout {
+        uint256 buyerFee;
+        uint256 sellerFee;
+        uint256 royaltyFee;
+        uint256 payToSeller;
+        uint256 generation;
+    }
+
+    IArchive public archive;
+
+    //  Credited payments: recipient => payment token (0x00 - Native Coin) => amount (see `withdraw()`)
+    mapping(address => mapping(address => uint256)) public credits;
+
+    //  Total referral fees earned: referrer => payment token (0x00 - Native Coin) => amount
+    mapping(address => mapping(address => uint256)) public referralEarnings;
+
+    //  Emitted by every sale: listings, Dutch auctions, settled auctions and accepted offers (`saleId` is the offer ID)
+    //  A bundle is emitted once, with the highest generation of its items
+    event Purchased(
+        uint256 indexed saleId,
+        address indexed buyer,
+        address indexed seller,
+        uint256 purchasedAmt,
+        uint256 buyerFee, //  Part of commission paid by Buyer on top of the price
+        uint256 sellerFee, //  Part of commission deducted from Seller's proceeds
+        uint256 royaltyFee,
+        uint256 payToSeller,
+        uint256 generation //  Generation of the sale (0 = first sale of the item)
+    );
+
+    event ReferralPaid(
+        address indexed referrer,
+        address indexed token,
+        uint256 amount
+    );
+
+    event Credited(
+        address indexed recipient,
+        address indexed token,
+        uint256 amount
+    );
+
+    event Withdrawn(
+        address indexed recipient,
+        address indexed token,
+        address to,
+        uint256 amount
+    );
+
+    constructor(
+        IManagement _management,
+        IArchive _archive,
+        string memory _name
+    ) ManagedBase(_management) EIP712(_name, "1") {
+        archive = _archive;
+    }
+
+    /**
+        @notice Withdraw payments credited to the caller
+        @dev Caller can be ANY, also relayed by the trusted forwarder
+            Note: A recipient that rejects native coin withdraws to another address `_to`
+        @param _token               Address of Payment Token (0x00 - Native Coin)
+        @param _to                  Address that receives the payments
+    */
+    function withdraw(address _token, address _to) external nonReentrant {
+        require(_to != address(0), "Set zero address");
+
+        address _recipient = _msgSender();
+        uint256 _amount = credits[_recipient][_token];
+        require(_amount != 0, "Nothing to withdraw");
+
+        delete credits[_recipient][_token];
+        if (_token == address(0)) Address.sendValue(payable(_to), _amount);
+        else IERC20(_token).safeTransfer(_to, _amount);
+
+        emit Withdrawn(_recipient, _token, _to, _amount);
+    }
+
+    /**
+        @dev Query manual Royalty setting of `_nftToken`
+            Note: Royalty settings are managed by Marketplace contract, which overrides this to read its own storage
+    */
+    function _royaltySetting(address _nftToken)
+        internal
+        view
+        virtual
+        returns (
+            uint256 _royalty,
+            address[] memory _receivers,
+            uint256[] memory _shares
+        )
+    {
+        return IMarketplace(management.marketplace()).getRoyalty(_nftToken);
+    }
+
+    //  Validate the signature of Seller over a listing, and the listing has not been canceled by its digest
+    function _checkSellerSignature(
+        bytes32 _listingHash,
+        address _seller,
+        bytes calldata _sSignature
+    ) internal view {
+        bytes32 _listingDigest = _hashTypedDataV4(_listingHash);
+        require(
+            SignatureChecker.isValidSignatureNow(
+                _seller,
+                _listingDigest,
+                _sSignature
+            ),
+            "Invalid seller signature"
+        );
+        require(
+            !archive.isCanceled(_seller, uint256(_listingDigest)),
+            "Sale canceled"
+        );
+    }
+
+    //  Validate signatures of at least `_threshold` Authorizers over the EIP-712 struct hash of a purchase
+    function _checkAuthorizedSignatures(
+        bytes32 _purchaseHash,
+        bytes[] calldata _aSignatures,
+        uint256 _threshold
+    ) internal view {
+        require(
+            _countAuthorizers(_hashTypedDataV4(_purchaseHash), _aSignatures) >=
+                _threshold,
+            "Invalid authorized signature"
+        );
+    }
+
+    //  Revert if trading is paused globally, or for `_nftToken` or `_paymentToken`
+    function _checkPaused(address _nftToken, address _paymentToken)
+        internal
+        view
+    {
+        _checkPaused(_nftToken);
+        require(!management.pausedPayments(_paymentToken), "Payment paused");
+    }
+
+    function _checkExpiry(uint256 _expiry) internal view {
+        require(!_isExpired(_expiry), "Authorized Signature expired");
+    }
+
+    //  Listings signed by Seller are on sale between `_startTime` and `_endTime` (zero means no end)
+    function _checkSaleWindow(uint256 _startTime, uint256 _endTime)
+        internal
+        view
+    {
+        require(block.timestamp >= _startTime, "Sale not started");
+        require(_endTime == 0 || block.timestamp <= _endTime, "Sale ended");
+    }
+
+    function _checkNonce(address _seller, uint256 _nonce) internal view {
+        require(archive.nonces(_seller) == _nonce, "Invalid nonce");
+    }
+
+    //  Sale state is kept in the namespace of this contract and `_seller` in Archive (see `Archive.onSaleKey()`)
+    function _updateOnSale(
+        address _seller,
+        uint256 _saleId,
+        uint256 _nftType,
+        uint256 _onSaleAmt,
+        uint256 _amount
+    ) internal {
+        //  Then, checking purchasing amount
+        //  If '_amount' is greater than 'currentOnSale' -> revert
+        //  In success, update 'currentOnSale'
+        require(
+            (_nftType == NFT721 && _onSaleAmt == 1) ||
+                (_nftType == NFT1155 && _onSaleAmt != 0),
+            "Invalid OnSaleAmt"
+        );
+
+        _deductOnSale(_seller, _saleId, _onSaleAmt, _amount);
+    }
+
+    //  Deduct `_amount` from the remaining amount of `_saleId`, which starts at `_onSaleAmt` on the first fill
+    //  Unlike `_updateOnSale()`, `_onSaleAmt` is a count of fills regardless of the NFT type
+    //  (i.e. a criteria offer buys many ERC721 items of different tokenIds)
+    function _deductOnSale(
+        address _seller,
+        uint256 _saleId,
+        uint256 _onSaleAmt,
+        uint256 _amount
+    ) internal {
+        require(!archive.isCanceled(_seller, _saleId), "Sale canceled");
+
+        //  For first purchase, the 'currentOnSale' is updated for the `saleId`. Then, locl `OnSale` state
+        //  For next purchases, 'currentOnSale' will be deducted until reaching zero
+        //  The 'OnSale' state will bind to the 'saleId' and won't be reset
+        if (archive.getLocked(address(this), _seller, _saleId)) {
+            //  if `currentOnSale` < `_amount` -> underflow -> revert
+            archive.setCurrentOnSale(
+                _seller,
+                _saleId,
+                archive.getCurrentOnSale(address(this), _seller, _saleId) -
+                    _amount
+            );
+        } else {
+            archive.setLocked(_seller, _saleId);
+            archive.setCurrentOnSale(_seller, _saleId, _onSaleAmt - _amount);
+        }
+    }
+
+    //  Split `_unitPrice * _amount` into commission, royalty and seller's proceeds, then pay them from `_from`
+    //  The sale is recorded in Archive, and the fee schedule depends on whether `_seller` is the creator of the item
+    //  `_buyerFeeShare` of the commission is charged to Buyer on top of the price, thus `_from` pays `price + buyerFee`
+    //  If `_referrer` is set, a share of the commission is paid to `_referrer` (see `_payCommission()`)
+    function _payout(
+        address _paymentToken,
+        address _from,
+        address _seller,
+        address _nftToken,
+        uint256 _tokenId,
+        uint256 _unitPrice,
+        uint256 _amount,
+        uint256 _buyerFeeShare,
+        address _referrer
+    ) internal returns (Payout memory _payment) {
+        _payment.generation = archive.recordSale(_nftToken, _tokenId);
+
+        uint256 _commissionFee;
+        address[] memory _receivers;
+        uint256[] memory _amounts;
+        (
+            _commissionFee,
+            _payment.royaltyFee,
+            _receivers,
+            _amounts,
+            _payment.payToSeller
+        ) = _calcPayment(
+            _nftToken,
+            _tokenId,
+            _paymentToken,
+            _seller,
+            _unitPrice,
+            _amount
+        );
+
+        _payment.buyerFee = (_commissionFee * _buyerFeeShare) / FEE_DENOMINATOR;
+        _payment.sellerFee = _commissionFee - _payment.buyerFee;
+        _payment.payToSeller += _payment.buyerFee;
+
+        if (_commissionFee != 0)
+            _payCommission(_paymentToken, _from, _commissionFee, _referrer);
+
+        _payRoyalty(_paymentToken, _from, _receivers, _amounts);
+
+        _makePayment(_paymentToken, _from, _seller, _payment.payToSeller);
+    }
+
+    function _payRoyalty(
+        address _paymentToken,
+        address _from,
+        address[] memory _receivers,
+        uint256[] memory _amounts
+    ) internal {
+        uint256 _len = _receivers.length;
+        for (uint256 i; i < _len; i++)
+            if (_amounts[i] != 0)
+                _makePayment(_paymentToken, _from, _receivers[i], _amounts[i]);
+    }
+
+    //  Native coin is always paid from the contract's balance (i.e. `msg.value` or escrow)
+    //  ERC-20 is paid from the contract's balance when `_from` is this contract, otherwise pulled from `_from`
+    //  Commission is credited to Treasury if `accrueCommission` is set in Management
+    //  If `_referrer` is set, `referralShare` of the commission is paid to `_referrer` instead of Treasury
+    function _payCommission(
+        address _token,
+        address _from,
+        uint256 _amount,
+        address _referrer
+    ) internal {
+        if (_referrer != address(0)) {
+            uint256 _referralFee = (_amount * management.referralShare()) /
+                FEE_DENOMINATOR;
+            if (_referralFee != 0) {
+                _amount -= _referralFee;
+                referralEarnings[_referrer][_token] += _referralFee;
+                _makePayment(_token, _from, _referrer, _referralFee);
+
+                emit ReferralPaid(_referrer, _token, _referralFee);
+            }
+        }
+
+        address _treasury = management.treasury();
+        if (management.accrueCommission())
+            _credit(_token, _from, _treasury, _amount);
+        else _makePayment(_token, _from, _treasury, _amount);
+    }
+
+    //  Payment is credited to `_to` if `_to` opted in pull payments or rejects native coin
+    //  Native coin is sent with `NATIVE_PAYMENT_GAS` only, and its return data is not copied
+    //  Thus, one recipient can neither block a sale nor burn the gas of it
+    function _makePayment(
+        address _token,
+        address _from,
+        address _to,
+        uint256 _amount
+    ) internal {
+        if (management.pullPayments(_to)) _credit(_token, _from, _to, _amount);
+        else if (_token == address(0)) {
+            bool _success;
+            assembly {
+                _success := call(NATIVE_PAYMENT_GAS, _to, _amount, 0, 0, 0, 0)
+            }
+            if (!_success) _credit(_token, _from, _to, _amount);
+        } else if (_from == address(this))
+            IERC20(_token).safeTransfer(_to, _amount);
+        else IERC20(_token).safeTransferFrom(_from, _to, _amount);
+    }
+
+    //  Native coin has been received by this contract. ERC20 is moved from `_from` to this contract
+    function _credit(
+        address _token,
+        address _from,
+        address _to,
+        uint256 _amount
+    ) private {
+        if (_token != address(0) && _from != address(this))
+            IERC20(_token).safeTransferFrom(_from, address(this), _amount);
+
+        credits[_to][_token] += _amount;
+
+        emit Credited(_to, _token, _amount);
+    }
+
+    function _transferItem(
+        address _nftToken,
+        uint256 _nftType,
+        address _from,
+        address _to,
+        uint256 _id,
+        uint256 _amount
+    ) internal {
+        if (_nftType == NFT721)
+            IERC721(_nftToken).safeTransferFrom(_from, _to, _id);
+        else IERC1155(_nftToken).safeTransferFrom(_from, _to, _id, _amount, "");
+    }
+
+    //  The primary schedule applies to a sale by the creator of the item (see `PaymentMath.rateOf()`)
+    function _calcPayment(
+        address _nftToken,
+        uint256 _tokenId,
+        address _paymentToken,
+        address _seller,
+        uint256 _unitPrice,
+        uint256 _purchaseAmt
+    )
+        internal
+        view
+        returns (
+            uint256 _fee,
+            uint256 _royalty,
+            address[] memory _receivers,
+            uint256[] memory _amounts,
+            uint256 _payToSeller
+        )
+    {
+        uint256 _totalPrice = _unitPrice * _purchaseAmt;
+
+        //  `_fee` holds the commission rate until the fee is calculated
+        bool _primary;
+        (_fee, _primary) = PaymentMath.rateOf(
+            management,
+            _nftToken,
+            _tokenId,
+            _paymentToken,
+            _seller
+        );
+        if (!_primary)
+            (_royalty, _receivers, _amounts) = _royaltyOf(
+                _nftToken,
+                _tokenId,
+                _totalPrice
+            );
+
+        _fee = (_totalPrice * _fee) / FEE_DENOMINATOR;
+        require(
+            _fee + _royalty <=
+                (_totalPrice * management.maxTotalFee()) / FEE_DENOMINATOR,
+            "Fees exceed maximum"
+        );
+        _payToSeller = _totalPrice - _fee - _royalty;
+    }
+
+    //  Buyer fee of selling one item at `_price` by `_seller`. It equals `Payout.buyerFee` of the sale
+    function _buyerFee(
+        address _nftToken,
+        uint256 _tokenId,
+        address _paymentToken,
+        address _seller,
+        uint256 _price
+    ) internal view returns (uint256) {
+        (uint256 _rate, ) = PaymentMath.rateOf(
+            management,
+            _nftToken,
+            _tokenId,
+            _paymentToken,
+            _seller
+        );
+        return
+            (((_price * _rate) / FEE_DENOMINATOR) *
+                management.buyerFeeShare()) / FEE_DENOMINATOR;
+    }
+
+    //  Query royalty of selling `_tokenId` at `_price` (see `PaymentMath.royaltyOf()`)
+    function _royaltyOf(
+        address _nftToken,
+        uint256 _tokenId,
+        uint256 _price
+    )
+        internal
+        view
+        returns (
+            uint256,
+            address[] memory,
+            uint256[] memory
+        )
+    {
+        (
+            uint256 _royalty,
+            address[] memory _receivers,
+            uint256[] memory _shares
+        ) = _royaltySetting(_nftToken);
+        return
+            PaymentMath.royaltyOf(
+                management,
+                _nftToken,
+                _tokenId,
+                _price,
+                _royalty,
+                _receivers,
+                _shares
+            );
+    }
+}
@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "../interfaces/IManagement.sol";
+
+/**
+    @dev Fee math shared by trading contracts (see `MarketBase._calcPayment()`)
+        Functions are external, thus the library is deployed once and linked to Marketplace, Checkout, Auction,
+        OfferBook and BundleMarket rather than copied into each of them
+*/
+library PaymentMath {
+    uint256 private constant FEE_DENOMINATOR = 10**4;
+
+    /**
+        @notice Query royalty of selling `_tokenId` at `_price`
+        @dev    Caller can be ANY
+            Note: The manual setting (`_royalty`, `_receivers`, `_shares`) is used unless Management prefers
+                royalty reported by ERC-2981 `royaltyInfo()`. Either source falls back to the other one when
+                it has no royalty for `_nftToken`
+                The manual royalty is split among its receivers by shares. The last receiver takes the rounding dust,
+                thus `_amounts` always sums up to `_royaltyFee`
+
+        @param _management       Address of Management contract
+        @param _nftToken         Address of NFT Token (ERC721/ERC1155/Collection) contract
+        @param _tokenId          ID of the item
+        @param _price            Total price of the sale
+        @param _royalty          Manual royalty rate of `_nftToken`
+        @param _receivers        Receivers of the manual royalty
+        @param _shares           Portions of the manual royalty paid to each receiver
+    */
+    function royaltyOf(
+        IManagement _management,
+        address _nftToken,
+        uint256 _tokenId,
+        uint256 _price,
+        uint256 _royalty,
+        address[] memory _receivers,
+        uint256[] memory _shares
+    )
+        external
+        view
+        returns (
+            uint256 _royaltyFee,
+            address[] memory,
+            uint256[] memory _amounts
+        )
+    {
+        if (_royalty == 0 || _management.preferTokenRoyalty()) {
+            (uint256 _tokenRoyaltyFee, address _receiver) = _tokenRoyalty(
+                _management,
+                _nftToken,
+                _tokenId,
+                _price
+            );
+            if (_receiver != address(0)) {
+                _receivers = new address[](1);
+                _receivers[0] = _receiver;
+                _amounts = new uint256[](1);
+                _amounts[0] = _tokenRoyaltyFee;
+                return (_tokenRoyaltyFee, _receivers, _amounts);
+            }
+        }
+
+        _royaltyFee = (_price * _royalty) / FEE_DENOMINATOR;
+        uint256 _len = _shares.length;
+        _amounts = new uint256[](_len);
+        uint256 _remain = _royaltyFee;
+        for (uint256 i; i + 1 < _len; i++) {
+            _amounts[i] = (_royaltyFee * _shares[i]) / FEE_DENOMINATOR;
+            _remain -= _amounts[i];
+        }
+        if (_len != 0) _amounts[_len - 1] = _remain;
+
+        return (_royaltyFee, _receivers, _amounts);
+    }
+
+    /**
+        @notice Query commission rate of a sale by `_seller`, and whether the primary schedule applies
+        @dev    Caller can be ANY
+            Note: A sale by the creator of the item (see `Management.creators()`) is a primary sale, thus every fill
+                of a creator's ERC1155 listing is primary, and a resale is not, wherever the item was bought before.
+                If the primary schedule is enabled in Management, a primary sale is charged the primary commission
+                and pays no royalty. Otherwise, the rate is `Management.commissionOf()`
+
+        @param _management       Address of Management contract
+        @param _nftToken         Address of NFT Token (ERC721/ERC1155/Collection) contract
+        @param _tokenId          ID of the item
+        @param _paymentToken     Address of Payment Token (0x00 - Native Coin)
+        @param _seller           Address of Seller
+    */
+    function rateOf(
+        IManagement _management,
+        address _nftToken,
+        uint256 _tokenId,
+        address _paymentToken,
+        address _seller
+    ) external view returns (uint256 _rate, bool _primary) {
+        if (_management.creators(_nftToken, _tokenId) == _seller)
+            (_primary, _rate) = _management.primaryCommission();
+        if (!_primary)
+            _rate = _management.commissionOf(_nftToken, _paymentToken);
+    }
+
+    //  Royalty reported by an ERC-2981 NFT Token, capped at `royaltyCap()` of Management
+    //  A token that does not support ERC-2981 (or reverts on `royaltyInfo()`) reports no royalty
+    function _tokenRoyalty(
+        IManagement _management,
+        address _nftToken,
+        uint256 _tokenId,
+        uint256 _price
+    ) private view returns (uint256 _royaltyFee, address _receiver) {
+        if (
+            !ERC165Checker.supportsInterface(
+                _nftToken,
+                type(IERC2981).interfaceId
+            )
+        ) return (0, address(0));
+
+        try IERC2981(_nftToken).royaltyInfo(_tokenId, _price) returns (
+            address _tokenReceiver,
+            uint256 _amount
+        ) {
+            if (_tokenReceiver == address(0) || _amount == 0)
+                return (0, address(0));
+
+            uint256 _maxRoyalty = (_price * _management.royaltyCap()) /
+                FEE_DENOMINATOR;
+            return (
+                _amount > _maxRoyalty ? _maxRoyalty : _amount,
+                _tokenReceiver
+            );
+        } catch {
+            return (0, address(0));
+        }
+    }
+}
@@ -17,7 +17,29 @@ module.exports = {
             {
                 version: "0.8.6"
             }
-        ]
+        ],
+        //  Marketplace and Auction exceed the EIP-170 contract size limit (24576 bytes) without the optimizer
+        //  Other contracts keep the default settings, so deployed bytecode of e.g. Collection still verifies
+        overrides: {
+            "contracts/Marketplace.sol": {
+                version: "0.8.6",
+                settings: {
+                    optimizer: {
+                        enabled: true,
+                        runs: 200
+                    }
+                }
+            },
+            "contracts/Auction.sol": {
+                version: "0.8.6",
+                settings: {
+                    optimizer: {
+                        enabled: true,
+                        runs: 200
+                    }
+                }
+            }
+        }
     },
 
     gasReporter: {
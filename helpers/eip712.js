@@ -0,0 +1,480 @@
+const { ethers } = require('ethers');
+
+//  EIP-712 typed data of messages verified by Marketplace, Auction, OfferBook and BundleMarket contracts
+//  The struct definitions below MUST match the type hashes declared in the contracts,
+//  so wallets can display a listing field by field instead of an opaque hash
+
+const NAME = 'Marketplace';
+const AUCTION_NAME = 'Auction';
+const OFFER_BOOK_NAME = 'OfferBook';
+const BUNDLE_MARKET_NAME = 'BundleMarket';
+const VERSION = '1';
+
+//  Flag (highest bit) of an `expiry` measured in timestamp rather than block number (see `ManagedBase.TIMESTAMP_EXPIRY`)
+const TIMESTAMP_EXPIRY = ethers.constants.One.shl(255);
+
+const EIP712_DOMAIN = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+];
+
+const SALE_INFO = [
+    { name: 'saleID', type: 'uint256' },
+    { name: 'seller', type: 'address' },
+    { name: 'nftToken', type: 'address' },
+    { name: 'paymentToken', type: 'address' },
+    { name: 'nftType', type: 'uint256' },
+    { name: 'tokenID', type: 'uint256' },
+    { name: 'onSaleAmt', type: 'uint256' },
+    { name: 'unitPrice', type: 'uint256' },
+    { name: 'startTime', type: 'uint256' },
+    { name: 'endTime', type: 'uint256' },
+    { name: 'reservedBuyers', type: 'address[]' },
+    { name: 'nonce', type: 'uint256' },
+];
+
+const DUTCH_AUCTION_INFO = [
+    { name: 'saleID', type: 'uint256' },
+    { name: 'seller', type: 'address' },
+    { name: 'nftToken', type: 'address' },
+    { name: 'paymentToken', type: 'address' },
+    { name: 'nftType', type: 'uint256' },
+    { name: 'tokenID', type: 'uint256' },
+    { name: 'onSaleAmt', type: 'uint256' },
+    { name: 'startPrice', type: 'uint256' },
+    { name: 'endPrice', type: 'uint256' },
+    { name: 'startTime', type: 'uint256' },
+    { name: 'endTime', type: 'uint256' },
+    { name: 'stepDuration', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+];
+
+const OFFER_INFO = [
+    { name: 'offerID', type: 'uint256' },
+    { name: 'buyer', type: 'address' },
+    { name: 'nftToken', type: 'address' },
+    { name: 'paymentToken', type: 'address' },
+    { name: 'nftType', type: 'uint256' },
+    { name: 'tokenID', type: 'uint256' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'unitPrice', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+];
+
+const CRITERIA_OFFER_INFO = [
+    { name: 'offerID', type: 'uint256' },
+    { name: 'buyer', type: 'address' },
+    { name: 'nftToken', type: 'address' },
+    { name: 'paymentToken', type: 'address' },
+    { name: 'nftType', type: 'uint256' },
+    { name: 'merkleRoot', type: 'bytes32' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'unitPrice', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+];
+
+const BUNDLE_ITEM = [
+    { name: 'nftToken', type: 'address' },
+    { name: 'nftType', type: 'uint256' },
+    { name: 'tokenID', type: 'uint256' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'price', type: 'uint256' },
+];
+
+const BUNDLE_INFO = [
+    { name: 'saleID', type: 'uint256' },
+    { name: 'seller', type: 'address' },
+    { name: 'paymentToken', type: 'address' },
+    { name: 'items', type: 'BundleItem[]' },
+    { name: 'startTime', type: 'uint256' },
+    { name: 'endTime', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+];
+
+const AUCTION_INFO = [
+    { name: 'saleID', type: 'uint256' },
+    { name: 'seller', type: 'address' },
+    { name: 'nftToken', type: 'address' },
+    { name: 'paymentToken', type: 'address' },
+    { name: 'nftType', type: 'uint256' },
+    { name: 'tokenID', type: 'uint256' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'reservePrice', type: 'uint256' },
+    { name: 'minIncrement', type: 'uint256' },
+    { name: 'endTime', type: 'uint256' },
+    { name: 'extension', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+];
+
+const TYPES = {
+    SaleInfo: { SaleInfo: SALE_INFO },
+    Purchase: {
+        Purchase: [
+            { name: 'buyer', type: 'address' },
+            { name: 'purchaseAmt', type: 'uint256' },
+            { name: 'expiry', type: 'uint256' },
+            { name: 'referrer', type: 'address' },
+            { name: 'epoch', type: 'uint256' },
+            { name: 'saleInfo', type: 'SaleInfo' },
+        ],
+        SaleInfo: SALE_INFO,
+    },
+    DutchAuctionInfo: { DutchAuctionInfo: DUTCH_AUCTION_INFO },
+    DutchPurchase: {
+        DutchPurchase: [
+            { name: 'buyer', type: 'address' },
+            { name: 'purchaseAmt', type: 'uint256' },
+            { name: 'expiry', type: 'uint256' },
+            { name: 'epoch', type: 'uint256' },
+            { name: 'dutchAuctionInfo', type: 'DutchAuctionInfo' },
+        ],
+        DutchAuctionInfo: DUTCH_AUCTION_INFO,
+    },
+    OfferInfo: { OfferInfo: OFFER_INFO },
+    CriteriaOfferInfo: { CriteriaOfferInfo: CRITERIA_OFFER_INFO },
+    BundleInfo: { BundleInfo: BUNDLE_INFO, BundleItem: BUNDLE_ITEM },
+    BundlePurchase: {
+        BundlePurchase: [
+            { name: 'buyer', type: 'address' },
+            { name: 'purchaseAmt', type: 'uint256' },
+            { name: 'expiry', type: 'uint256' },
+            { name: 'epoch', type: 'uint256' },
+            { name: 'bundleInfo', type: 'BundleInfo' },
+        ],
+        BundleInfo: BUNDLE_INFO,
+        BundleItem: BUNDLE_ITEM,
+    },
+    Cancel: {
+        Cancel: [
+            { name: 'saleId', type: 'uint256' },
+            { name: 'seller', type: 'address' },
+            { name: 'epoch', type: 'uint256' },
+        ],
+    },
+    CancelBatch: {
+        CancelBatch: [
+            { name: 'saleIds', type: 'uint256[]' },
+            { name: 'seller', type: 'address' },
+            { name: 'epoch', type: 'uint256' },
+        ],
+    },
+    AuctionInfo: { AuctionInfo: AUCTION_INFO },
+};
+
+//  Build the EIP-712 domain of one Marketplace (or Auction, OfferBook, BundleMarket) deployment
+//  - `chainId`             Chain ID of the network that the contract is deployed on
+//  - `verifyingContract`   Address of the contract
+//  - `name`                Domain name of the contract (default: 'Marketplace')
+function domain(chainId, verifyingContract, name = NAME) {
+    return { name: name, version: VERSION, chainId: chainId, verifyingContract: verifyingContract };
+}
+
+//  Pick the signed fields of a struct (i.e. `sSignature` is omitted)
+function pick(fields, values) {
+    const message = {};
+    fields.forEach(field => { message[field.name] = values[field.name] });
+    return message;
+}
+
+function saleMessage(saleInfo) {
+    return pick(SALE_INFO, saleInfo);
+}
+
+//  Return `{ domain, types, primaryType, message }` of a `SaleInfo` signed by Seller
+//  `types` omits `EIP712Domain`, as ethers' `_signTypedData()` expects (same for all typed data below).
+//  Use `walletTypedData()` to pass it to `eth_signTypedData_v4` of a wallet
+function saleInfoTypedData(chainId, market, saleInfo) {
+    return {
+        domain: domain(chainId, market),
+        types: TYPES.SaleInfo,
+        primaryType: 'SaleInfo',
+        message: saleMessage(saleInfo),
+    };
+}
+
+//  `epoch` MUST be `authorizerEpoch()` of Management when an approval is issued.
+//  It has no default, since an approval of a stale epoch is rejected on-chain
+function requireEpoch(epoch) {
+    if (epoch === undefined || epoch === null)
+        throw new Error('epoch is required');
+    return epoch;
+}
+
+//  Return typed data of a purchase approval signed by AUTHORIZER_ROLE
+//  - `referrer`            Address receiving a share of commission (`AddressZero` if none)
+//  - `epoch`               `authorizerEpoch` of Management when the approval is issued (same for all approvals below)
+function purchaseTypedData(chainId, market, saleInfo, buyer, purchaseAmt, expiry, referrer, epoch) {
+    return {
+        domain: domain(chainId, market),
+        types: TYPES.Purchase,
+        primaryType: 'Purchase',
+        message: {
+            buyer: buyer,
+            purchaseAmt: purchaseAmt,
+            expiry: expiry,
+            referrer: referrer,
+            epoch: requireEpoch(epoch),
+            saleInfo: saleMessage(saleInfo),
+        },
+    };
+}
+
+//  Return typed data of a `DutchAuctionInfo` signed by Seller
+function dutchAuctionInfoTypedData(chainId, auction, dutchInfo) {
+    return {
+        domain: domain(chainId, auction, AUCTION_NAME),
+        types: TYPES.DutchAuctionInfo,
+        primaryType: 'DutchAuctionInfo',
+        message: pick(DUTCH_AUCTION_INFO, dutchInfo),
+    };
+}
+
+//  Return typed data of a Dutch auction purchase approval signed by AUTHORIZER_ROLE
+function dutchPurchaseTypedData(chainId, auction, dutchInfo, buyer, purchaseAmt, expiry, epoch) {
+    return {
+        domain: domain(chainId, auction, AUCTION_NAME),
+        types: TYPES.DutchPurchase,
+        primaryType: 'DutchPurchase',
+        message: {
+            buyer: buyer,
+            purchaseAmt: purchaseAmt,
+            expiry: expiry,
+            epoch: requireEpoch(epoch),
+            dutchAuctionInfo: pick(DUTCH_AUCTION_INFO, dutchInfo),
+        },
+    };
+}
+
+//  Return typed data of an `OfferInfo` signed by Buyer
+function offerInfoTypedData(chainId, offerBook, offerInfo) {
+    return {
+        domain: domain(chainId, offerBook, OFFER_BOOK_NAME),
+        types: TYPES.OfferInfo,
+        primaryType: 'OfferInfo',
+        message: pick(OFFER_INFO, offerInfo),
+    };
+}
+
+//  Return typed data of a `CriteriaOfferInfo` signed by Buyer
+//  `merkleRoot` can be built by `merkleRoot()` of `helpers/merkle.js`
+function criteriaOfferInfoTypedData(chainId, offerBook, offerInfo) {
+    return {
+        domain: domain(chainId, offerBook, OFFER_BOOK_NAME),
+        types: TYPES.CriteriaOfferInfo,
+        primaryType: 'CriteriaOfferInfo',
+        message: pick(CRITERIA_OFFER_INFO, offerInfo),
+    };
+}
+
+function bundleMessage(bundleInfo) {
+    const message = pick(BUNDLE_INFO, bundleInfo);
+    message.items = bundleInfo.items.map(item => pick(BUNDLE_ITEM, item));
+    return message;
+}
+
+//  Return typed data of a `BundleInfo` signed by Seller
+function bundleInfoTypedData(chainId, bundleMarket, bundleInfo) {
+    return {
+        domain: domain(chainId, bundleMarket, BUNDLE_MARKET_NAME),
+        types: TYPES.BundleInfo,
+        primaryType: 'BundleInfo',
+        message: bundleMessage(bundleInfo),
+    };
+}
+
+//  Return typed data of a bundle purchase approval signed by AUTHORIZER_ROLE
+//  A bundle is always purchased as a whole, thus `purchaseAmt` is fixed to 1
+function bundlePurchaseTypedData(chainId, bundleMarket, bundleInfo, buyer, expiry, epoch) {
+    return {
+        domain: domain(chainId, bundleMarket, BUNDLE_MARKET_NAME),
+        types: TYPES.BundlePurchase,
+        primaryType: 'BundlePurchase',
+        message: {
+            buyer: buyer,
+            purchaseAmt: 1,
+            expiry: expiry,
+            epoch: requireEpoch(epoch),
+            bundleInfo: bundleMessage(bundleInfo),
+        },
+    };
+}
+
+//  Return typed data of a cancel approval signed by AUTHORIZER_ROLE
+function cancelTypedData(chainId, market, saleId, seller, epoch) {
+    return {
+        domain: domain(chainId, market),
+        types: TYPES.Cancel,
+        primaryType: 'Cancel',
+        message: { saleId: saleId, seller: seller, epoch: requireEpoch(epoch) },
+    };
+}
+
+//  Return typed data of a batch cancel approval signed by AUTHORIZER_ROLE
+function cancelBatchTypedData(chainId, market, saleIds, seller, epoch) {
+    return {
+        domain: domain(chainId, market),
+        types: TYPES.CancelBatch,
+        primaryType: 'CancelBatch',
+        message: { saleIds: saleIds, seller: seller, epoch: requireEpoch(epoch) },
+    };
+}
+
+//  Return typed data of an `AuctionInfo` signed by Seller
+function auctionInfoTypedData(chainId, auction, auctionInfo) {
+    return {
+        domain: domain(chainId, auction, AUCTION_NAME),
+        types: TYPES.AuctionInfo,
+        primaryType: 'AuctionInfo',
+        message: pick(AUCTION_INFO, auctionInfo),
+    };
+}
+
+//  Return the `expiry` of an approval that expires at `timestamp` (seconds), rather than at a block number
+function timestampExpiry(timestamp) {
+    return ethers.BigNumber.from(timestamp).or(TIMESTAMP_EXPIRY);
+}
+
+//  Return a copy of `typedData` with the `EIP712Domain` type, as required by `eth_signTypedData_v4`
+//  i.e. `provider.send('eth_signTypedData_v4', [signer, JSON.stringify(walletTypedData(typedData))])`
+function walletTypedData(typedData) {
+    return Object.assign({}, typedData, { types: Object.assign({ EIP712Domain: EIP712_DOMAIN }, typedData.types) });
+}
+
+async function sign(signer, typedData) {
+    return signer._signTypedData(typedData.domain, typedData.types, typedData.message);
+}
+
+//  Sign `saleInfo` by Seller. The returned value is used as `saleInfo.sSignature`
+async function signSaleInfo(seller, market, saleInfo) {
+    return sign(seller, saleInfoTypedData(await seller.getChainId(), market, saleInfo));
+}
+
+//  Sign a purchase approval by AUTHORIZER_ROLE
+async function signPurchase(authorizer, market, saleInfo, buyer, purchaseAmt, expiry, referrer, epoch) {
+    return sign(
+        authorizer,
+        purchaseTypedData(await authorizer.getChainId(), market, saleInfo, buyer, purchaseAmt, expiry, referrer, epoch)
+    );
+}
+
+//  Wrap `signature` of an ERC-1271 contract wallet holding AUTHORIZER_ROLE (i.e. signed by its owner)
+//  A contract signer cannot be recovered, thus the authorized signature carries the wallet address
+function walletSignature(wallet, signature) {
+    return ethers.utils.defaultAbiCoder.encode(['address', 'bytes'], [wallet, signature]);
+}
+
+//  Sign `dutchInfo` by Seller. The returned value is used as `dutchInfo.sSignature`
+async function signDutchAuctionInfo(seller, auction, dutchInfo) {
+    return sign(seller, dutchAuctionInfoTypedData(await seller.getChainId(), auction, dutchInfo));
+}
+
+//  Sign a Dutch auction purchase approval by AUTHORIZER_ROLE
+async function signDutchPurchase(authorizer, auction, dutchInfo, buyer, purchaseAmt, expiry, epoch) {
+    return sign(
+        authorizer,
+        dutchPurchaseTypedData(await authorizer.getChainId(), auction, dutchInfo, buyer, purchaseAmt, expiry, epoch)
+    );
+}
+
+//  Sign `offerInfo` by Buyer. The returned value is used as `offerInfo.bSignature`
+async function signOfferInfo(buyer, offerBook, offerInfo) {
+    return sign(buyer, offerInfoTypedData(await buyer.getChainId(), offerBook, offerInfo));
+}
+
+//  Sign `offerInfo` of a criteria offer by Buyer. The returned value is used as `offerInfo.bSignature`
+async function signCriteriaOfferInfo(buyer, offerBook, offerInfo) {
+    return sign(buyer, criteriaOfferInfoTypedData(await buyer.getChainId(), offerBook, offerInfo));
+}
+
+//  Sign `bundleInfo` by Seller. The returned value is used as `bundleInfo.sSignature`
+async function signBundleInfo(seller, bundleMarket, bundleInfo) {
+    return sign(seller, bundleInfoTypedData(await seller.getChainId(), bundleMarket, bundleInfo));
+}
+
+//  Sign a bundle purchase approval by AUTHORIZER_ROLE
+async function signBundlePurchase(authorizer, bundleMarket, bundleInfo, buyer, expiry, epoch) {
+    return sign(
+        authorizer, bundlePurchaseTypedData(await authorizer.getChainId(), bundleMarket, bundleInfo, buyer, expiry, epoch)
+    );
+}
+
+//  Sign a cancel approval by AUTHORIZER_ROLE
+async function signCancel(authorizer, market, saleId, seller, epoch) {
+    return sign(authorizer, cancelTypedData(await authorizer.getChainId(), market, saleId, seller, epoch));
+}
+
+//  Sign a batch cancel approval of `saleIds` by AUTHORIZER_ROLE
+async function signCancelBatch(authorizer, market, saleIds, seller, epoch) {
+    return sign(authorizer, cancelBatchTypedData(await authorizer.getChainId(), market, saleIds, seller, epoch));
+}
+
+//  Sign `auctionInfo` by Seller. The returned value is used as `auctionInfo.sSignature`
+async function signAuctionInfo(seller, auction, auctionInfo) {
+    return sign(seller, auctionInfoTypedData(await seller.getChainId(), auction, auctionInfo));
+}
+
+function hash(typedData) {
+    return ethers.utils._TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.message);
+}
+
+//  Compute the EIP-712 digest of `SaleInfo` (i.e. the hash being signed by Seller)
+function hashSaleInfo(chainId, market, saleInfo) {
+    return hash(saleInfoTypedData(chainId, market, saleInfo));
+}
+
+//  Compute the `offerId` of `OfferInfo` (i.e. its EIP-712 digest as uint256) that Archive tracks the offer by
+function offerId(chainId, offerBook, offerInfo) {
+    return ethers.BigNumber.from(hash(offerInfoTypedData(chainId, offerBook, offerInfo)));
+}
+
+//  Compute the `offerId` of `CriteriaOfferInfo`
+function criteriaOfferId(chainId, offerBook, offerInfo) {
+    return ethers.BigNumber.from(hash(criteriaOfferInfoTypedData(chainId, offerBook, offerInfo)));
+}
+
+//  Compute the EIP-712 digest of `AuctionInfo`. Auction contract uses this digest as `auctionId`
+function hashAuctionInfo(chainId, auction, auctionInfo) {
+    return hash(auctionInfoTypedData(chainId, auction, auctionInfo));
+}
+
+module.exports = {
+    NAME,
+    AUCTION_NAME,
+    OFFER_BOOK_NAME,
+    BUNDLE_MARKET_NAME,
+    VERSION,
+    TYPES,
+    TIMESTAMP_EXPIRY,
+    domain,
+    saleInfoTypedData,
+    purchaseTypedData,
+    dutchAuctionInfoTypedData,
+    dutchPurchaseTypedData,
+    offerInfoTypedData,
+    criteriaOfferInfoTypedData,
+    bundleInfoTypedData,
+    bundlePurchaseTypedData,
+    cancelTypedData,
+    cancelBatchTypedData,
+    auctionInfoTypedData,
+    walletTypedData,
+    timestampExpiry,
+    signSaleInfo,
+    signPurchase,
+    signDutchAuctionInfo,
+    signDutchPurchase,
+    signOfferInfo,
+    signCriteriaOfferInfo,
+    signBundleInfo,
+    signBundlePurchase,
+    signCancel,
+    signCancelBatch,
+    signAuctionInfo,
+    walletSignature,
+    hashSaleInfo,
+    offerId,
+    criteriaOfferId,
+    hashAuctionInfo,
+};
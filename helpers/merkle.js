@@ -0,0 +1,69 @@
+const { ethers } = require('ethers');
+
+//  Merkle tree of tokenIds used by criteria offers (see `OfferBook.acceptCriteriaOffer()`)
+//  - Leaf = keccak256(abi.encodePacked(uint256 tokenId))
+//  - Pairs are sorted before hashing, matching OpenZeppelin's `MerkleProof`
+
+function leaf(tokenId) {
+    return ethers.utils.solidityKeccak256(['uint256'], [tokenId]);
+}
+
+function hashPair(a, b) {
+    return ethers.BigNumber.from(a).lt(b)
+        ? ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [a, b])
+        : ethers.utils.solidityKeccak256(['bytes32', 'bytes32'], [b, a]);
+}
+
+//  Build all layers of the tree from a list of tokenIds. `layers[0]` are leaves, the last layer is the root
+//  Duplicated tokenIds are removed. An odd node is promoted to the next layer as is
+function buildTree(tokenIds) {
+    if (tokenIds.length == 0)
+        throw new Error('Empty list of tokenIds');
+
+    const leaves = [...new Set(tokenIds.map(tokenId => leaf(tokenId)))];
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const nodes = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < nodes.length; i += 2)
+            next.push(i + 1 < nodes.length ? hashPair(nodes[i], nodes[i + 1]) : nodes[i]);
+        layers.push(next);
+    }
+    return layers;
+}
+
+//  Compute `merkleRoot` of a criteria offer from a list of eligible tokenIds
+function merkleRoot(tokenIds) {
+    const layers = buildTree(tokenIds);
+    return layers[layers.length - 1][0];
+}
+
+//  Compute the proof of `tokenId` that is submitted by the owner when accepting a criteria offer
+function merkleProof(tokenIds, tokenId) {
+    const layers = buildTree(tokenIds);
+    let index = layers[0].indexOf(leaf(tokenId));
+    if (index < 0)
+        throw new Error(`TokenId ${tokenId} is not in the list`);
+
+    const proof = [];
+    for (let i = 0; i < layers.length - 1; i++) {
+        const sibling = index % 2 == 0 ? index + 1 : index - 1;
+        if (sibling < layers[i].length)
+            proof.push(layers[i][sibling]);
+        index = Math.floor(index / 2);
+    }
+    return proof;
+}
+
+//  Verify `proof` of `tokenId` against `root` off-chain
+function verifyProof(root, tokenId, proof) {
+    return proof.reduce((hash, node) => hashPair(hash, node), leaf(tokenId)) == root;
+}
+
+module.exports = {
+    leaf,
+    buildTree,
+    merkleRoot,
+    merkleProof,
+    verifyProof,
+};
@@ -0,0 +1,60 @@
+//  Payment approvals signed by Buyer, used by `Checkout.purchaseWithPermit()`
+//  - EIP-2612: `permit()` of the payment token approves the spender
+//  - Permit2: `PermitTransferFrom` lets the spender transfer tokens once (Buyer approves Permit2 beforehand)
+
+const PERMIT = [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+];
+
+const TOKEN_PERMISSIONS = [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+];
+
+const PERMIT_TRANSFER_FROM = [
+    { name: 'permitted', type: 'TokenPermissions' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+];
+
+//  Sign an EIP-2612 permit of `token` by `owner`, approving `value` to `spender` until `deadline`
+//  The token's domain is read from the token (name, version '1') and its current nonce of `owner` is used
+async function signPermit(owner, token, spender, value, deadline) {
+    const domain = {
+        name: await token.name(),
+        version: '1',
+        chainId: await owner.getChainId(),
+        verifyingContract: token.address,
+    };
+    const message = {
+        owner: await owner.getAddress(),
+        spender: spender,
+        value: value,
+        nonce: await token.nonces(await owner.getAddress()),
+        deadline: deadline,
+    };
+    return owner._signTypedData(domain, { Permit: PERMIT }, message);
+}
+
+//  Sign a Permit2 signature transfer by `owner`, letting `spender` transfer up to `amount` of `token` once
+async function signPermit2Transfer(owner, permit2, token, amount, spender, nonce, deadline) {
+    const domain = { name: 'Permit2', chainId: await owner.getChainId(), verifyingContract: permit2 };
+    const types = { PermitTransferFrom: PERMIT_TRANSFER_FROM, TokenPermissions: TOKEN_PERMISSIONS };
+    const message = {
+        permitted: { token: token, amount: amount },
+        spender: spender,
+        nonce: nonce,
+        deadline: deadline,
+    };
+    return owner._signTypedData(domain, types, message);
+}
+
+module.exports = {
+    signPermit,
+    signPermit2Transfer,
+};
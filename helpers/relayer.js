@@ -0,0 +1,82 @@
+const { ethers } = require('ethers');
+
+//  Meta-transactions (ERC-2771) relayed through a `MinimalForwarder` (i.e. `contracts/test/ForwarderTest.sol`)
+//  - User signs a `ForwardRequest` off-chain, thus User needs no gas
+//  - Relayer submits the request by `forwarder.execute()` and pays gas (and `value`, if any)
+//  - Trading contracts and Minter recover User by `_msgSender()` when the forwarder is trusted by Management
+
+const FORWARDER_NAME = 'MinimalForwarder';
+const FORWARDER_VERSION = '0.0.1';
+const DEFAULT_GAS = 2000000;
+
+const FORWARD_REQUEST = [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+];
+
+//  Build a request of `signer` calling `functionName(...args)` of `contract`
+//  - `value`               Native coin forwarded with the call (paid by Relayer)
+//  - `gas`                 Gas limit of the inner call
+async function buildRequest(forwarder, signer, contract, functionName, args, value = 0, gas = DEFAULT_GAS) {
+    const from = await signer.getAddress();
+    return {
+        from: from,
+        to: contract.address,
+        value: value,
+        gas: gas,
+        nonce: await forwarder.getNonce(from),
+        data: contract.interface.encodeFunctionData(functionName, args),
+    };
+}
+
+//  Return typed data of a `ForwardRequest` verified by `forwarder`
+function forwardRequestTypedData(chainId, forwarder, request) {
+    return {
+        domain: { name: FORWARDER_NAME, version: FORWARDER_VERSION, chainId: chainId, verifyingContract: forwarder },
+        types: { ForwardRequest: FORWARD_REQUEST },
+        primaryType: 'ForwardRequest',
+        message: request,
+    };
+}
+
+//  Sign `request` by its sender
+async function signRequest(signer, forwarder, request) {
+    const typedData = forwardRequestTypedData(await signer.getChainId(), forwarder.address, request);
+    return signer._signTypedData(typedData.domain, typedData.types, typedData.message);
+}
+
+//  `forwarder.execute()` does not revert when the inner call fails, thus decode its revert reason
+function revertReason(returndata) {
+    if (ethers.utils.hexDataSlice(returndata, 0, 4) != '0x08c379a0')
+        return 'Relayed call reverted';
+    return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(returndata, 4))[0];
+}
+
+//  Sign a call of `functionName(...args)` by `signer`, then relay it by `relayer`
+//  The call is simulated first, and a failed call throws with its revert reason
+//  Return the transaction of `forwarder.execute()`
+async function relay(relayer, forwarder, signer, contract, functionName, args, value = 0) {
+    const request = await buildRequest(forwarder, signer, contract, functionName, args, value);
+    const signature = await signRequest(signer, forwarder, request);
+
+    const [success, returndata] = await forwarder.connect(relayer).callStatic.execute(
+        request, signature, { value: value }
+    );
+    if (!success)
+        throw new Error(revertReason(returndata));
+
+    return forwarder.connect(relayer).execute(request, signature, { value: value });
+}
+
+module.exports = {
+    FORWARDER_NAME,
+    FORWARDER_VERSION,
+    buildRequest,
+    forwardRequestTypedData,
+    signRequest,
+    relay,
+};
@@ -0,0 +1,579 @@
+const chai = require('chai');
+const chaiAsPromise = require('chai-as-promised');
+const { ethers } = require('hardhat');
+const {
+    signAuctionInfo, signCancel, hashAuctionInfo, signDutchAuctionInfo, signDutchPurchase, signPurchase
+} = require('../helpers/eip712');
+const { relay } = require('../helpers/relayer');
+
+chai.use(chaiAsPromise);
+const expect = chai.expect;
+
+describe('Auction Contract Testing', () => {
+    let provider;
+    let admin, treasury, seller, bidder1, bidder2, royaltyReceiver, verifier;
+    let management, archive, market, auction;
+    let erc20, token721, token1155;
+
+    const NFT721 = 721;
+    const NFT1155 = 1155;
+    const SINGLE_UNIT = 1;
+    const COMMISSION_FEE = 250;
+    const ROYALTY_FEE = 500;
+    const FEE_DENOMINATOR = 10000;
+    const ONE_HOUR = 3600;
+    const TEN_MINUTES = 600;
+    const MAX_EXPIRY = ethers.constants.MaxUint256;
+    const NO_REFERRER = ethers.constants.AddressZero;
+    //  `authorizerEpoch` of a freshly deployed Management
+    const EPOCH = 0;
+
+    async function now() {
+        return (await provider.getBlock('latest')).timestamp;
+    }
+
+    async function setNextTimestamp(timestamp) {
+        await provider.send('evm_setNextBlockTimestamp', [timestamp]);
+    }
+
+    async function increaseTime(seconds) {
+        await provider.send('evm_increaseTime', [seconds]);
+        await provider.send('evm_mine', []);
+    }
+
+    function payments(unitPrice, amount) {
+        const total = ethers.BigNumber.from(unitPrice).mul(amount);
+        const fee = total.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+        const royalty = total.mul(ROYALTY_FEE).div(FEE_DENOMINATOR);
+        return { fee: fee, royalty: royalty, payToSeller: total.sub(fee).sub(royalty) };
+    }
+
+    async function auctionInfo(saleID, nftToken, nftType, tokenID, amount, paymentToken, reservePrice) {
+        const info = {
+            saleID: saleID,
+            seller: seller.address,
+            nftToken: nftToken,
+            paymentToken: paymentToken,
+            nftType: nftType,
+            tokenID: tokenID,
+            amount: amount,
+            reservePrice: reservePrice,
+            minIncrement: 500,
+            endTime: (await now()) + ONE_HOUR,
+            extension: TEN_MINUTES,
+            nonce: await archive.nonces(seller.address),
+        };
+        info.sSignature = await signAuctionInfo(seller, auction.address, info);
+        return info;
+    }
+
+    before(async() => {
+        //  Get pre-fund accounts
+        [admin, treasury, seller, bidder1, bidder2, royaltyReceiver, verifier] = await ethers.getSigners();
+        provider = ethers.provider;
+
+        //  Deploy some Token contracts. These contracts are used for testing only
+        const ERC20 = await ethers.getContractFactory('ERC20Test', admin);
+        erc20 = await ERC20.deploy('ERC20', 'ERC20');
+        const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+        token721 = await ERC721.deploy('ERC721', '721');
+        const ERC1155 = await ethers.getContractFactory('ERC1155Test', admin);
+        token1155 = await ERC1155.deploy();
+
+        //  Deploy Management, Archive, Marketplace and Auction contracts. Trading contracts are linked to PaymentMath library
+        const Management = await ethers.getContractFactory('Management', admin);
+        management = await Management.deploy(admin.address, treasury.address, COMMISSION_FEE);
+        const Archive = await ethers.getContractFactory('Archive', admin);
+        archive = await Archive.deploy(management.address);
+        const PaymentMath = await ethers.getContractFactory('PaymentMath', admin);
+        const paymentMath = await PaymentMath.deploy();
+        const libraries = { PaymentMath: paymentMath.address };
+        const Marketplace = await ethers.getContractFactory('Marketplace', { signer: admin, libraries: libraries });
+        market = await Marketplace.deploy(management.address, archive.address);
+        const Auction = await ethers.getContractFactory('Auction', { signer: admin, libraries: libraries });
+        auction = await Auction.deploy(management.address, archive.address);
+
+        await management.connect(admin).grantRole(await management.MANAGER_ROLE(), admin.address);
+        await management.connect(admin).grantRole(await management.MARKET_ROLE(), auction.address);
+        await management.connect(admin).updateMarketplace(market.address);
+        await management.connect(admin).addPayment(erc20.address);
+        await management.connect(admin).addCollection(token721.address);
+        await management.connect(admin).addCollection(token1155.address);
+        await market.connect(admin).setRoyalty(token721.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+
+        //  Mint items to Seller and approve Auction
+        await token721.mint(seller.address, 1);
+        await token1155.mint(seller.address, 1, 100);
+        await token721.connect(seller).setApprovalForAll(auction.address, true);
+        await token1155.connect(seller).setApprovalForAll(auction.address, true);
+
+        for (const bidder of [bidder1, bidder2]) {
+            await erc20.mint(bidder.address, ethers.utils.parseEther('1000'));
+            await erc20.connect(bidder).approve(auction.address, ethers.constants.MaxUint256);
+        }
+    });
+
+    describe('ERC721 auction - ERC20', async() => {
+        let info, auctionId;
+        const reservePrice = ethers.utils.parseEther('10');
+
+        before(async() => {
+            info = await auctionInfo(1, token721.address, NFT721, 1, SINGLE_UNIT, erc20.address, reservePrice);
+            auctionId = hashAuctionInfo(31337, auction.address, info);
+        });
+
+        it('Should fail to bid below reserve price', async() => {
+            await expect(
+                auction.connect(bidder1).bid(info, reservePrice.sub(1))
+            ).to.be.revertedWith('Bid below reserve price');
+        });
+
+        it('Should fail to bid when Seller signature is invalid', async() => {
+            const invalidInfo = Object.assign({}, info, { reservePrice: 1 });
+            await expect(
+                auction.connect(bidder1).bid(invalidInfo, reservePrice)
+            ).to.be.revertedWith('Invalid seller signature');
+        });
+
+        it('Should succeed to place the first bid and escrow the item', async() => {
+            await expect(
+                auction.connect(bidder1).bid(info, reservePrice)
+            ).to.emit(auction, 'BidPlaced');
+
+            const state = await auction.auctions(auctionId);
+            expect(state.bidder).deep.equal(bidder1.address);
+            expect(state.bid).deep.equal(reservePrice);
+            expect(state.endTime).deep.equal(ethers.BigNumber.from(info.endTime));
+            expect(await token721.ownerOf(1)).deep.equal(auction.address);
+            expect(await erc20.balanceOf(auction.address)).deep.equal(reservePrice);
+        });
+
+        it('Should fail to bid lower than minimum increment', async() => {
+            const bid = reservePrice.add(reservePrice.mul(info.minIncrement).div(FEE_DENOMINATOR)).sub(1);
+            await expect(
+                auction.connect(bidder2).bid(info, bid)
+            ).to.be.revertedWith('Bid increment too low');
+        });
+
+        it('Should succeed to outbid and refund the previous bidder', async() => {
+            const bid = ethers.utils.parseEther('11');
+            const balBidder1 = await erc20.balanceOf(bidder1.address);
+
+            await auction.connect(bidder2).bid(info, bid);
+
+            const state = await auction.auctions(auctionId);
+            expect(state.bidder).deep.equal(bidder2.address);
+            expect(state.bid).deep.equal(bid);
+            expect(await erc20.balanceOf(bidder1.address)).deep.equal(balBidder1.add(reservePrice));
+            expect(await erc20.balanceOf(auction.address)).deep.equal(bid);
+        });
+
+        it('Should fail to settle before the auction ends', async() => {
+            await expect(
+                auction.connect(admin).settle(info)
+            ).to.be.revertedWith('Auction not ended');
+        });
+
+        it('Should extend the auction when bidding close to the end', async() => {
+            await increaseTime(ONE_HOUR - 60);
+
+            const bid = ethers.utils.parseEther('12');
+            await auction.connect(bidder1).bid(info, bid);
+
+            const state = await auction.auctions(auctionId);
+            expect(state.endTime).deep.equal(ethers.BigNumber.from((await now()) + TEN_MINUTES));
+        });
+
+        it('Should succeed to settle and split payment as a purchase', async() => {
+            await increaseTime(TEN_MINUTES);
+
+            const price = ethers.utils.parseEther('12');
+            const fee = price.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+            const royalty = price.mul(ROYALTY_FEE).div(FEE_DENOMINATOR);
+            const payToSeller = price.sub(fee).sub(royalty);
+
+            await expect(
+                auction.connect(admin).settle(info)
+            ).to.emit(auction, 'Settled').withArgs(
+                auctionId, info.saleID, bidder1.address, seller.address, price, fee, royalty, payToSeller
+            ).and.to.emit(auction, 'Purchased').withArgs(
+                info.saleID, bidder1.address, seller.address, SINGLE_UNIT, 0, fee, royalty, payToSeller, 0
+            );
+
+            expect(await token721.ownerOf(1)).deep.equal(bidder1.address);
+            expect(await erc20.balanceOf(seller.address)).deep.equal(payToSeller);
+            expect(await erc20.balanceOf(treasury.address)).deep.equal(fee);
+            expect(await erc20.balanceOf(royaltyReceiver.address)).deep.equal(royalty);
+            expect(await erc20.balanceOf(auction.address)).deep.equal(0);
+
+            await expect(
+                auction.connect(admin).settle(info)
+            ).to.be.revertedWith('Auction settled');
+            await expect(
+                auction.connect(bidder2).bid(info, ethers.utils.parseEther('20'))
+            ).to.be.revertedWith('Auction ended');
+        });
+    });
+
+    describe('ERC1155 auction - Native Coin', async() => {
+        let info;
+        const reservePrice = ethers.utils.parseEther('1');
+
+        before(async() => {
+            info = await auctionInfo(2, token1155.address, NFT1155, 1, 10, ethers.constants.AddressZero, reservePrice);
+        });
+
+        it('Should fail to bid when msg.value mismatches', async() => {
+            await expect(
+                auction.connect(bidder1).bid(info, reservePrice, { value: reservePrice.sub(1) })
+            ).to.be.revertedWith('Insufficient payment');
+        });
+
+        it('Should refund native coin to the outbid bidder and settle', async() => {
+            await auction.connect(bidder1).bid(info, reservePrice, { value: reservePrice });
+            expect(await token1155.balanceOf(auction.address, 1)).deep.equal(ethers.BigNumber.from(10));
+
+            const bid = ethers.utils.parseEther('2');
+            const balBidder1 = await provider.getBalance(bidder1.address);
+            await auction.connect(bidder2).bid(info, bid, { value: bid });
+            expect(await provider.getBalance(bidder1.address)).deep.equal(balBidder1.add(reservePrice));
+
+            await increaseTime(ONE_HOUR);
+
+            //  No royalty is set for this collection
+            const fee = bid.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+            const balSeller = await provider.getBalance(seller.address);
+            await auction.connect(admin).settle(info);
+
+            expect(await token1155.balanceOf(bidder2.address, 1)).deep.equal(ethers.BigNumber.from(10));
+            expect(await provider.getBalance(seller.address)).deep.equal(balSeller.add(bid.sub(fee)));
+            expect(await provider.getBalance(auction.address)).deep.equal(0);
+        });
+
+        it('Should credit the refund of an outbid bidder that burns the gas of Native Coin payments', async() => {
+            const GasBurner = await ethers.getContractFactory('GasBurnerTest', admin);
+            const burner = await GasBurner.deploy();
+            const info = await auctionInfo(7, token1155.address, NFT1155, 1, 10, ethers.constants.AddressZero, reservePrice);
+            await burner.execute(
+                auction.address, auction.interface.encodeFunctionData('bid', [info, reservePrice]), { value: reservePrice }
+            );
+
+            //  The refund is sent with a fixed stipend, thus the outbid costs a bounded amount of gas
+            const bid = ethers.utils.parseEther('2');
+            const tx = await auction.connect(bidder1).bid(info, bid, { value: bid, gasLimit: 1000000 });
+            await expect(tx).to.emit(auction, 'Credited').withArgs(burner.address, ethers.constants.AddressZero, reservePrice);
+            expect((await tx.wait()).gasUsed.toNumber()).to.be.below(200000);
+            expect(await auction.credits(burner.address, ethers.constants.AddressZero)).deep.equal(reservePrice);
+
+            await burner.execute(
+                auction.address, auction.interface.encodeFunctionData('withdraw', [ethers.constants.AddressZero, bidder2.address])
+            );
+            await increaseTime(ONE_HOUR);
+            await auction.connect(admin).settle(info);
+            expect(await provider.getBalance(auction.address)).deep.equal(0);
+        });
+
+        it('Should fail to start an auction whose saleId was canceled', async() => {
+            await management.connect(admin).grantRole(await management.AUTHORIZER_ROLE(), admin.address);
+            const saleId = 3;
+            const signature = await signCancel(admin, market.address, saleId, seller.address, EPOCH);
+            await market.connect(seller).cancelOnSale(saleId, [signature]);
+
+            const canceled = await auctionInfo(saleId, token1155.address, NFT1155, 1, 10, ethers.constants.AddressZero, reservePrice);
+            await expect(
+                auction.connect(bidder1).bid(canceled, reservePrice, { value: reservePrice })
+            ).to.be.revertedWith('Sale canceled');
+        });
+
+        it('Should fail to start an auction after Seller increments nonce', async() => {
+            const stale = await auctionInfo(4, token1155.address, NFT1155, 1, 10, ethers.constants.AddressZero, reservePrice);
+            await market.connect(seller).incrementNonce();
+
+            await expect(
+                auction.connect(bidder1).bid(stale, reservePrice, { value: reservePrice })
+            ).to.be.revertedWith('Invalid nonce');
+        });
+    });
+
+    describe('Unsettled Auctions', async() => {
+        const tokenId = 10;
+        const reservePrice = ethers.utils.parseEther('10');
+        const GRACE_PERIOD = 7 * 24 * ONE_HOUR;
+        let bidder;
+
+        //  `bidder` is a contract that accepts ERC20 but is not an ERC721 receiver
+        async function execute(method, args) {
+            return bidder.execute(auction.address, auction.interface.encodeFunctionData(method, args));
+        }
+
+        before(async() => {
+            const RejectEther = await ethers.getContractFactory('RejectEtherTest', admin);
+            bidder = await RejectEther.deploy();
+            await erc20.mint(bidder.address, ethers.utils.parseEther('100'));
+            await bidder.execute(
+                erc20.address, erc20.interface.encodeFunctionData('approve', [auction.address, ethers.constants.MaxUint256])
+            );
+            for (const id of [tokenId, tokenId + 1])
+                await token721.mint(seller.address, id);
+        });
+
+        it('Should fail to settle to a non-receiver bidder, then succeed when the bidder claims to another address', async() => {
+            const info = await auctionInfo(5, token721.address, NFT721, tokenId, SINGLE_UNIT, erc20.address, reservePrice);
+            const auctionId = hashAuctionInfo(31337, auction.address, info);
+            await execute('bid', [info, reservePrice]);
+            await increaseTime(ONE_HOUR);
+
+            await expect(
+                auction.connect(admin).settle(info)
+            ).to.be.revertedWith('ERC721: transfer to non ERC721Receiver implementer');
+            await expect(
+                auction.connect(bidder1).claim(info, bidder1.address)
+            ).to.be.revertedWith('Only highest bidder');
+
+            const { fee, royalty, payToSeller } = payments(reservePrice, SINGLE_UNIT);
+            const balSeller = await erc20.balanceOf(seller.address);
+            await expect(
+                execute('claim', [info, bidder2.address])
+            ).to.emit(auction, 'Settled').withArgs(
+                auctionId, info.saleID, bidder.address, seller.address, reservePrice, fee, royalty, payToSeller
+            ).and.to.emit(auction, 'Purchased').withArgs(
+                info.saleID, bidder.address, seller.address, SINGLE_UNIT, 0, fee, royalty, payToSeller, 0
+            );
+            expect(await token721.ownerOf(tokenId)).deep.equal(bidder2.address);
+            expect(await erc20.balanceOf(seller.address)).deep.equal(balSeller.add(payToSeller));
+        });
+
+        it('Should fail to reclaim before the grace period ends, then return the item to Seller and refund the bid', async() => {
+            const info = await auctionInfo(6, token721.address, NFT721, tokenId + 1, SINGLE_UNIT, erc20.address, reservePrice);
+            const auctionId = hashAuctionInfo(31337, auction.address, info);
+            const balBidder = await erc20.balanceOf(bidder.address);
+            await execute('bid', [info, reservePrice]);
+            await increaseTime(ONE_HOUR);
+
+            await expect(
+                auction.connect(bidder1).reclaim(info)
+            ).to.be.revertedWith('Only Seller');
+            await expect(
+                auction.connect(seller).reclaim(info)
+            ).to.be.revertedWith('Grace period not ended');
+
+            await increaseTime(GRACE_PERIOD);
+            await expect(
+                auction.connect(seller).reclaim(info)
+            ).to.emit(auction, 'Reclaimed').withArgs(auctionId, info.saleID, bidder.address, seller.address, reservePrice);
+            expect(await token721.ownerOf(tokenId + 1)).deep.equal(seller.address);
+            expect(await erc20.balanceOf(bidder.address)).deep.equal(balBidder);
+
+            await expect(
+                auction.connect(admin).settle(info)
+            ).to.be.revertedWith('Auction settled');
+        });
+
+        it('Should keep the escrow while paused, then restart the grace period when resumed', async() => {
+            const info = await auctionInfo(7, token721.address, NFT721, tokenId + 2, SINGLE_UNIT, erc20.address, reservePrice);
+            await token721.mint(seller.address, tokenId + 2);
+            await auction.connect(bidder1).bid(info, reservePrice);
+            await increaseTime(ONE_HOUR);
+            await management.connect(admin).grantRole(await management.PAUSER_ROLE(), admin.address);
+
+            await management.connect(admin).setPaused(true);
+            await expect(
+                auction.connect(admin).settle(info)
+            ).to.be.revertedWith('Paused');
+            await management.connect(admin).setPaused(false);
+
+            await management.connect(admin).setCollectionPaused(token721.address, true);
+            await expect(
+                auction.connect(bidder1).claim(info, bidder1.address)
+            ).to.be.revertedWith('Collection paused');
+            await management.connect(admin).setCollectionPaused(token721.address, false);
+
+            //  The grace period from the end of the auction passes while the payment is paused
+            await management.connect(admin).setPaymentPaused(erc20.address, true);
+            await increaseTime(GRACE_PERIOD);
+            await expect(
+                auction.connect(seller).reclaim(info)
+            ).to.be.revertedWith('Payment paused');
+            await management.connect(admin).setPaymentPaused(erc20.address, false);
+            expect(await management.resumedAt(token721.address, erc20.address)).deep.equal(ethers.BigNumber.from(await now()));
+
+            await expect(
+                auction.connect(seller).reclaim(info)
+            ).to.be.revertedWith('Grace period not ended');
+            await increaseTime(GRACE_PERIOD);
+            await expect(
+                auction.connect(seller).reclaim(info)
+            ).to.emit(auction, 'Reclaimed');
+            expect(await token721.ownerOf(tokenId + 2)).deep.equal(seller.address);
+        });
+    });
+
+    describe('Dutch Auction', async() => {
+        const tokenId = 2;
+        const onSaleAmt = 20;
+        const startPrice = ethers.utils.parseEther('10');
+        const endPrice = ethers.utils.parseEther('2');
+        const duration = 8000;
+
+        async function dutchInfo(saleID, paymentToken, startTime, stepDuration) {
+            const info = {
+                saleID: saleID,
+                seller: seller.address,
+                nftToken: token1155.address,
+                paymentToken: paymentToken,
+                nftType: NFT1155,
+                tokenID: tokenId,
+                onSaleAmt: onSaleAmt,
+                startPrice: startPrice,
+                endPrice: endPrice,
+                startTime: startTime,
+                endTime: startTime + duration,
+                stepDuration: stepDuration,
+                nonce: await archive.nonces(seller.address),
+            };
+            info.sSignature = await signDutchAuctionInfo(seller, auction.address, info);
+            return info;
+        }
+
+        before(async() => {
+            await management.connect(admin).grantRole(await management.AUTHORIZER_ROLE(), verifier.address);
+            await market.connect(admin).setRoyalty(token1155.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+            await token1155.mint(seller.address, tokenId, 100);
+        });
+
+        it('Should fail to purchase before the sale starts', async() => {
+            const info = await dutchInfo(10, erc20.address, (await now()) + 1000, 0);
+            const aSignature = await signDutchPurchase(
+                verifier, auction.address, info, bidder1.address, 1, MAX_EXPIRY, EPOCH
+            );
+
+            await expect(
+                auction.connect(bidder1).purchaseDutch(MAX_EXPIRY, 1, info, [aSignature])
+            ).to.be.revertedWith('Sale not started');
+        });
+
+        it('Should succeed to purchase at a linearly decayed price - ERC20', async() => {
+            const startTime = await now();
+            const info = await dutchInfo(11, erc20.address, startTime, 0);
+            const purchaseAmt = 3;
+            const aSignature = await signDutchPurchase(
+                verifier, auction.address, info, bidder1.address, purchaseAmt, MAX_EXPIRY, EPOCH
+            );
+
+            //  1/8 of the duration has passed -> 1/8 of the price range has been deducted
+            const unitPrice = ethers.utils.parseEther('9');
+            const { fee, royalty, payToSeller } = payments(unitPrice, purchaseAmt);
+            await setNextTimestamp(startTime + 1000);
+            await expect(
+                auction.connect(bidder1).purchaseDutch(MAX_EXPIRY, purchaseAmt, info, [aSignature])
+            ).to.emit(auction, 'Purchased').withArgs(
+                info.saleID, bidder1.address, seller.address, purchaseAmt, 0, fee, royalty, payToSeller, 0
+            );
+
+            expect(await token1155.balanceOf(bidder1.address, tokenId)).deep.equal(ethers.BigNumber.from(purchaseAmt));
+            expect(await archive.getCurrentOnSale(auction.address, seller.address, info.saleID)).deep.equal(ethers.BigNumber.from(onSaleAmt - purchaseAmt));
+        });
+
+        it('Should succeed to purchase at a stepwise decayed price and refund excess Native Coin', async() => {
+            const startTime = await now();
+            const info = await dutchInfo(12, ethers.constants.AddressZero, startTime, 3600);
+            const aSignature = await signDutchPurchase(
+                verifier, auction.address, info, bidder1.address, SINGLE_UNIT, MAX_EXPIRY, EPOCH
+            );
+
+            //  5000 seconds passed -> only one step (3600 seconds) is deducted
+            const unitPrice = ethers.utils.parseEther('6.4');
+            const { payToSeller } = payments(unitPrice, SINGLE_UNIT);
+            const balSeller = await provider.getBalance(seller.address);
+            await setNextTimestamp(startTime + 5000);
+            await auction.connect(bidder1).purchaseDutch(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], { value: startPrice });
+
+            expect(await provider.getBalance(seller.address)).deep.equal(balSeller.add(payToSeller));
+            expect(await provider.getBalance(auction.address)).deep.equal(0);
+        });
+
+        it('Should credit the refund of excess Native Coin to Buyer who opted in pull payments', async() => {
+            const startTime = await now();
+            const info = await dutchInfo(17, ethers.constants.AddressZero, startTime, 0);
+            const aSignature = await signDutchPurchase(
+                verifier, auction.address, info, bidder1.address, SINGLE_UNIT, MAX_EXPIRY, EPOCH
+            );
+            await management.connect(bidder1).setPullPayment(true);
+
+            //  1/8 of the duration has passed -> 1/8 of the price range has been deducted
+            const unitPrice = ethers.utils.parseEther('9');
+            await setNextTimestamp(startTime + 1000);
+            await expect(
+                auction.connect(bidder1).purchaseDutch(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], { value: startPrice })
+            ).to.emit(auction, 'Credited').withArgs(bidder1.address, ethers.constants.AddressZero, startPrice.sub(unitPrice));
+            expect(await auction.credits(bidder1.address, ethers.constants.AddressZero)).deep.equal(startPrice.sub(unitPrice));
+
+            await auction.connect(bidder1).withdraw(ethers.constants.AddressZero, bidder1.address);
+            await management.connect(bidder1).setPullPayment(false);
+        });
+
+        it('Should fail to purchase with Native Coin attached - ERC20', async() => {
+            const info = await dutchInfo(18, erc20.address, await now(), 0);
+            const aSignature = await signDutchPurchase(
+                verifier, auction.address, info, bidder1.address, SINGLE_UNIT, MAX_EXPIRY, EPOCH
+            );
+
+            await expect(
+                auction.connect(bidder1).purchaseDutch(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], { value: 1 })
+            ).to.be.revertedWith('Invalid payment');
+        });
+
+        it('Should fail to purchase when Native Coin does not cover current price', async() => {
+            const startTime = await now();
+            const info = await dutchInfo(13, ethers.constants.AddressZero, startTime, 0);
+            const aSignature = await signDutchPurchase(
+                verifier, auction.address, info, bidder1.address, SINGLE_UNIT, MAX_EXPIRY, EPOCH
+            );
+
+            await expect(
+                auction.connect(bidder1).purchaseDutch(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], { value: endPrice })
+            ).to.be.revertedWith('Insufficient payment');
+        });
+
+        it('Should fail to purchase with an approval for a fixed-price sale', async() => {
+            const info = await dutchInfo(14, erc20.address, await now(), 0);
+            const fixedInfo = Object.assign({ unitPrice: startPrice, reservedBuyers: [] }, info);
+            const aSignature = await signPurchase(
+                verifier, market.address, fixedInfo, bidder1.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+
+            await expect(
+                auction.connect(bidder1).purchaseDutch(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature])
+            ).to.be.revertedWith('Invalid authorized signature');
+        });
+
+        it('Should keep the end price after the sale ends', async() => {
+            const info = await dutchInfo(15, erc20.address, (await now()) - 2 * duration, 0);
+            expect(await auction.getDutchPrice(info)).deep.equal(endPrice);
+        });
+
+        it('Should succeed to relay a purchase signed by Buyer through the trusted forwarder - ERC20', async() => {
+            const Forwarder = await ethers.getContractFactory('ForwarderTest', admin);
+            const forwarder = await Forwarder.deploy();
+            await management.connect(admin).setTrustedForwarder(forwarder.address);
+
+            //  The sale has ended, thus items are sold at the end price
+            const info = await dutchInfo(16, erc20.address, (await now()) - 2 * duration, 0);
+            const aSignature = await signDutchPurchase(
+                verifier, auction.address, info, bidder1.address, SINGLE_UNIT, MAX_EXPIRY, EPOCH
+            );
+            const { fee, royalty, payToSeller } = payments(endPrice, SINGLE_UNIT);
+            const balBuyer = await token1155.balanceOf(bidder1.address, tokenId);
+            const generation = await archive.saleGenerations(token1155.address, tokenId);
+
+            await expect(
+                relay(admin, forwarder, bidder1, auction, 'purchaseDutch', [MAX_EXPIRY, SINGLE_UNIT, info, [aSignature]])
+            ).to.emit(auction, 'Purchased').withArgs(
+                info.saleID, bidder1.address, seller.address, SINGLE_UNIT, 0, fee, royalty, payToSeller, generation
+            );
+            expect(await token1155.balanceOf(bidder1.address, tokenId)).deep.equal(balBuyer.add(SINGLE_UNIT));
+
+            await management.connect(admin).setTrustedForwarder(ethers.constants.AddressZero);
+        });
+    });
+});
@@ -0,0 +1,350 @@
+const chai = require('chai');
+const chaiAsPromise = require('chai-as-promised');
+const { ethers } = require('hardhat');
+const { signBundleInfo, signBundlePurchase, signSaleInfo, signPurchase } = require('../helpers/eip712');
+const { relay } = require('../helpers/relayer');
+
+chai.use(chaiAsPromise);
+const expect = chai.expect;
+
+describe('BundleMarket Contract Testing', () => {
+    let provider;
+    let admin, treasury, verifier, seller, buyer, royaltyReceiver;
+    let management, archive, market, bundleMarket;
+    let erc20, token721, token1155;
+
+    const NFT721 = 721;
+    const NFT1155 = 1155;
+    const SINGLE_UNIT = 1;
+    const COMMISSION_FEE = 250;
+    const ROYALTY_FEE = 500;
+    const FEE_DENOMINATOR = 10000;
+    const MAX_EXPIRY = ethers.constants.MaxUint256;
+    //  `authorizerEpoch` of a freshly deployed Management
+    const EPOCH = 0;
+
+    async function now() {
+        return (await provider.getBlock('latest')).timestamp;
+    }
+
+    before(async() => {
+        //  Get pre-fund accounts
+        [admin, treasury, verifier, seller, buyer, royaltyReceiver] = await ethers.getSigners();
+        provider = ethers.provider;
+
+        //  Deploy some Token contracts. These contracts are used for testing only
+        const ERC20 = await ethers.getContractFactory('ERC20Test', admin);
+        erc20 = await ERC20.deploy('ERC20', 'ERC20');
+        const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+        token721 = await ERC721.deploy('ERC721', '721');
+        const ERC1155 = await ethers.getContractFactory('ERC1155Test', admin);
+        token1155 = await ERC1155.deploy();
+
+        //  Deploy Management, Archive, Marketplace and BundleMarket contracts. Trading contracts are linked to PaymentMath library
+        const Management = await ethers.getContractFactory('Management', admin);
+        management = await Management.deploy(admin.address, treasury.address, COMMISSION_FEE);
+        const Archive = await ethers.getContractFactory('Archive', admin);
+        archive = await Archive.deploy(management.address);
+        const PaymentMath = await ethers.getContractFactory('PaymentMath', admin);
+        const paymentMath = await PaymentMath.deploy();
+        const libraries = { PaymentMath: paymentMath.address };
+        const Marketplace = await ethers.getContractFactory('Marketplace', { signer: admin, libraries: libraries });
+        market = await Marketplace.deploy(management.address, archive.address);
+        const BundleMarket = await ethers.getContractFactory('BundleMarket', { signer: admin, libraries: libraries });
+        bundleMarket = await BundleMarket.deploy(management.address, archive.address);
+
+        //  Grant roles and register Marketplace, Payment Token and Collections
+        await management.connect(admin).grantRole(await management.MANAGER_ROLE(), admin.address);
+        await management.connect(admin).grantRole(await management.AUTHORIZER_ROLE(), verifier.address);
+        await management.connect(admin).grantRole(await management.MARKET_ROLE(), bundleMarket.address);
+        await management.connect(admin).updateMarketplace(market.address);
+        await management.connect(admin).addPayment(erc20.address);
+        await management.connect(admin).addCollection(token721.address);
+        await management.connect(admin).addCollection(token1155.address);
+        await market.connect(admin).setRoyalty(token721.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+        await market.connect(admin).setRoyalty(token1155.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+
+        //  Approve BundleMarket
+        await token721.connect(seller).setApprovalForAll(bundleMarket.address, true);
+        await token1155.connect(seller).setApprovalForAll(bundleMarket.address, true);
+
+        await erc20.mint(buyer.address, ethers.utils.parseEther('1000'));
+        await erc20.connect(buyer).approve(bundleMarket.address, ethers.constants.MaxUint256);
+    });
+
+    describe('Bundle Listings', async() => {
+        const tokenId = 20;
+        const ROYALTY_FEE_B = 1000;
+        let tokenB, receiverB;
+
+        async function bundleInfo(saleID, paymentToken, items, startTime = 0, endTime = 0) {
+            const info = {
+                saleID: saleID,
+                seller: seller.address,
+                paymentToken: paymentToken,
+                items: items,
+                startTime: startTime,
+                endTime: endTime,
+                nonce: 0,
+            };
+            info.sSignature = await signBundleInfo(seller, bundleMarket.address, info);
+            return info;
+        }
+
+        function bundleItem(nftToken, nftType, tokenID, amount, price) {
+            return { nftToken: nftToken, nftType: nftType, tokenID: tokenID, amount: amount, price: price };
+        }
+
+        before(async() => {
+            //  A second ERC721 Collection with its own royalty receiver
+            receiverB = (await ethers.getSigners())[6];
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            tokenB = await ERC721.deploy('ERC721B', '721B');
+            await management.connect(admin).addCollection(tokenB.address);
+            await market.connect(admin).setRoyalty(tokenB.address, [receiverB.address], [FEE_DENOMINATOR], ROYALTY_FEE_B);
+
+            await token721.mint(seller.address, tokenId);
+            await token1155.mint(seller.address, tokenId, 100);
+            await tokenB.mint(seller.address, tokenId);
+            await tokenB.mint(seller.address, tokenId + 1);
+            await tokenB.connect(seller).setApprovalForAll(bundleMarket.address, true);
+        });
+
+        it('Should fail to purchase an empty bundle', async() => {
+            const info = await bundleInfo(20, erc20.address, []);
+            const aSignature = await signBundlePurchase(
+                verifier, bundleMarket.address, info, buyer.address, MAX_EXPIRY, EPOCH
+            );
+
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature])
+            ).to.be.revertedWith('Empty bundle');
+        });
+
+        it('Should fail to purchase when an item of the bundle is modified', async() => {
+            const info = await bundleInfo(20, erc20.address, [
+                bundleItem(token721.address, NFT721, tokenId, SINGLE_UNIT, 1000),
+                bundleItem(tokenB.address, NFT721, tokenId, SINGLE_UNIT, 1000),
+            ]);
+            const aSignature = await signBundlePurchase(
+                verifier, bundleMarket.address, info, buyer.address, MAX_EXPIRY, EPOCH
+            );
+            info.items[1] = bundleItem(tokenB.address, NFT721, tokenId, SINGLE_UNIT, 1);
+
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature])
+            ).to.be.revertedWith('Invalid seller signature');
+        });
+
+        it('Should fail to purchase a bundle with Native Coin attached - ERC20', async() => {
+            const info = await bundleInfo(20, erc20.address, [
+                bundleItem(tokenB.address, NFT721, tokenId, SINGLE_UNIT, 1000),
+            ]);
+            const aSignature = await signBundlePurchase(
+                verifier, bundleMarket.address, info, buyer.address, MAX_EXPIRY, EPOCH
+            );
+
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature], { value: 1 })
+            ).to.be.revertedWith('Invalid payment');
+        });
+
+        it('Should fail to purchase a bundle outside its sale window, or when Seller window is modified', async() => {
+            const items = [bundleItem(tokenB.address, NFT721, tokenId, SINGLE_UNIT, 1000)];
+            const startTime = (await now()) + 1000;
+            const info = await bundleInfo(20, erc20.address, items, startTime, startTime + 1000);
+            const aSignature = await signBundlePurchase(
+                verifier, bundleMarket.address, info, buyer.address, MAX_EXPIRY, EPOCH
+            );
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature])
+            ).to.be.revertedWith('Sale not started');
+
+            info.startTime = 0;
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature])
+            ).to.be.revertedWith('Invalid seller signature');
+
+            const ended = await bundleInfo(20, erc20.address, items, 0, await now());
+            const aSignature2 = await signBundlePurchase(
+                verifier, bundleMarket.address, ended, buyer.address, MAX_EXPIRY, EPOCH
+            );
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, ended, [aSignature2])
+            ).to.be.revertedWith('Sale ended');
+        });
+
+        it('Should succeed to purchase a bundle across Collections and split royalties - ERC20', async() => {
+            const priceA = ethers.utils.parseEther('1');
+            const price1155 = ethers.utils.parseEther('2');
+            const priceB = ethers.utils.parseEther('3');
+            const info = await bundleInfo(20, erc20.address, [
+                bundleItem(token721.address, NFT721, tokenId, SINGLE_UNIT, priceA),
+                bundleItem(token1155.address, NFT1155, tokenId, 10, price1155),
+                bundleItem(tokenB.address, NFT721, tokenId, SINGLE_UNIT, priceB),
+            ]);
+            const aSignature = await signBundlePurchase(
+                verifier, bundleMarket.address, info, buyer.address, MAX_EXPIRY, EPOCH
+            );
+
+            const total = priceA.add(price1155).add(priceB);
+            const fee = priceA.mul(COMMISSION_FEE).div(FEE_DENOMINATOR)
+                .add(price1155.mul(COMMISSION_FEE).div(FEE_DENOMINATOR))
+                .add(priceB.mul(COMMISSION_FEE).div(FEE_DENOMINATOR));
+            const royalty = priceA.add(price1155).mul(ROYALTY_FEE).div(FEE_DENOMINATOR);
+            const royaltyB = priceB.mul(ROYALTY_FEE_B).div(FEE_DENOMINATOR);
+            const payToSeller = total.sub(fee).sub(royalty).sub(royaltyB);
+
+            const balSeller = await erc20.balanceOf(seller.address);
+            const balTreasury = await erc20.balanceOf(treasury.address);
+            const balReceiver = await erc20.balanceOf(royaltyReceiver.address);
+            const balReceiverB = await erc20.balanceOf(receiverB.address);
+
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature])
+            ).to.emit(bundleMarket, 'Purchased').withArgs(
+                info.saleID, buyer.address, seller.address, SINGLE_UNIT, 0, fee, royalty.add(royaltyB), payToSeller, 0
+            );
+
+            expect(await token721.ownerOf(tokenId)).deep.equal(buyer.address);
+            expect(await tokenB.ownerOf(tokenId)).deep.equal(buyer.address);
+            expect(await token1155.balanceOf(buyer.address, tokenId)).deep.equal(ethers.BigNumber.from(10));
+            expect(await erc20.balanceOf(seller.address)).deep.equal(balSeller.add(payToSeller));
+            expect(await erc20.balanceOf(treasury.address)).deep.equal(balTreasury.add(fee));
+            expect(await erc20.balanceOf(royaltyReceiver.address)).deep.equal(balReceiver.add(royalty));
+            expect(await erc20.balanceOf(receiverB.address)).deep.equal(balReceiverB.add(royaltyB));
+
+            //  The bundle is sold as a whole
+            expect(await archive.getLocked(bundleMarket.address, seller.address, info.saleID)).deep.equal(true);
+            expect(await archive.getCurrentOnSale(bundleMarket.address, seller.address, info.saleID)).deep.equal(ethers.BigNumber.from(0));
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature])
+            ).to.be.reverted;
+        });
+
+        it('Should not exhaust a Marketplace listing sharing the saleId of a sold bundle - ERC20', async() => {
+            //  Bundle 20 of Seller has been sold in the previous test
+            const info = {
+                saleID: 20,
+                seller: seller.address,
+                nftToken: token1155.address,
+                paymentToken: erc20.address,
+                nftType: NFT1155,
+                tokenID: tokenId,
+                onSaleAmt: 5,
+                unitPrice: 1000,
+                startTime: 0,
+                endTime: 0,
+                reservedBuyers: [],
+                nonce: 0,
+            };
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, 2, MAX_EXPIRY, ethers.constants.AddressZero, EPOCH
+            );
+            await token1155.connect(seller).setApprovalForAll(market.address, true);
+            await erc20.connect(buyer).approve(market.address, ethers.constants.MaxUint256);
+
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, 2, info, [aSignature], ethers.constants.AddressZero)
+            ).to.emit(market, 'Purchased');
+            expect(await archive.getCurrentOnSale(market.address, seller.address, 20)).deep.equal(ethers.BigNumber.from(3));
+            expect(await archive.getLocked(bundleMarket.address, seller.address, 20)).deep.equal(true);
+            expect(await archive.getCurrentOnSale(bundleMarket.address, seller.address, 20)).deep.equal(ethers.BigNumber.from(0));
+        });
+
+        it('Should revert the whole bundle when one item cannot be transferred - Native Coin', async() => {
+            const price = ethers.utils.parseEther('1');
+            //  Item `tokenId` of `tokenB` has been sold in the previous bundle
+            const info = await bundleInfo(21, ethers.constants.AddressZero, [
+                bundleItem(tokenB.address, NFT721, tokenId + 1, SINGLE_UNIT, price),
+                bundleItem(tokenB.address, NFT721, tokenId, SINGLE_UNIT, price),
+            ]);
+            const aSignature = await signBundlePurchase(
+                verifier, bundleMarket.address, info, buyer.address, MAX_EXPIRY, EPOCH
+            );
+
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature], { value: price.mul(2) })
+            ).to.be.revertedWith('ERC721: caller is not token owner nor approved');
+            expect(await tokenB.ownerOf(tokenId + 1)).deep.equal(seller.address);
+            expect(await archive.getLocked(bundleMarket.address, seller.address, info.saleID)).deep.equal(false);
+        });
+
+        it('Should fail to purchase a bundle when msg.value mismatches - Native Coin', async() => {
+            const price = ethers.utils.parseEther('1');
+            const info = await bundleInfo(22, ethers.constants.AddressZero, [
+                bundleItem(tokenB.address, NFT721, tokenId + 1, SINGLE_UNIT, price),
+            ]);
+            const aSignature = await signBundlePurchase(
+                verifier, bundleMarket.address, info, buyer.address, MAX_EXPIRY, EPOCH
+            );
+
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature], { value: price.sub(1) })
+            ).to.be.revertedWith('Insufficient payment');
+        });
+
+        it('Should charge the buyer fee on top of the bundle price - Native Coin', async() => {
+            const price = ethers.utils.parseEther('1');
+            const info = await bundleInfo(23, ethers.constants.AddressZero, [
+                bundleItem(tokenB.address, NFT721, tokenId + 1, SINGLE_UNIT, price),
+            ]);
+            const aSignature = await signBundlePurchase(
+                verifier, bundleMarket.address, info, buyer.address, MAX_EXPIRY, EPOCH
+            );
+
+            //  Buyer pays half of commission on top of the price
+            await management.connect(admin).setBuyerFeeShare(FEE_DENOMINATOR / 2);
+            const fee = price.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+            const buyerFee = fee.div(2);
+            const royaltyB = price.mul(ROYALTY_FEE_B).div(FEE_DENOMINATOR);
+            const payToSeller = price.sub(fee.sub(buyerFee)).sub(royaltyB);
+
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature], { value: price })
+            ).to.be.revertedWith('Insufficient payment');
+
+            const balSeller = await provider.getBalance(seller.address);
+            const balTreasury = await provider.getBalance(treasury.address);
+            await expect(
+                bundleMarket.connect(buyer).purchaseBundle(MAX_EXPIRY, info, [aSignature], { value: price.add(buyerFee) })
+            ).to.emit(bundleMarket, 'Purchased').withArgs(
+                info.saleID, buyer.address, seller.address, SINGLE_UNIT, buyerFee, fee.sub(buyerFee), royaltyB, payToSeller, 0
+            );
+            expect(await provider.getBalance(seller.address)).deep.equal(balSeller.add(payToSeller));
+            expect(await provider.getBalance(treasury.address)).deep.equal(balTreasury.add(fee));
+
+            await management.connect(admin).setBuyerFeeShare(0);
+        });
+
+        it('Should succeed to relay a bundle purchase signed by Buyer through the trusted forwarder - ERC20', async() => {
+            const Forwarder = await ethers.getContractFactory('ForwarderTest', admin);
+            const forwarder = await Forwarder.deploy();
+            await management.connect(admin).setTrustedForwarder(forwarder.address);
+            await tokenB.mint(seller.address, tokenId + 2);
+
+            const price = ethers.utils.parseEther('1');
+            const info = await bundleInfo(24, erc20.address, [
+                bundleItem(tokenB.address, NFT721, tokenId + 2, SINGLE_UNIT, price),
+            ]);
+            //  Authorizer approves Buyer, not the forwarder, thus Buyer must be recovered from the relayed call
+            const aSignature = await signBundlePurchase(
+                verifier, bundleMarket.address, info, buyer.address, MAX_EXPIRY, EPOCH
+            );
+            const fee = price.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+            const royaltyB = price.mul(ROYALTY_FEE_B).div(FEE_DENOMINATOR);
+
+            const balBuyer = await erc20.balanceOf(buyer.address);
+            await expect(
+                relay(admin, forwarder, buyer, bundleMarket, 'purchaseBundle', [MAX_EXPIRY, info, [aSignature]])
+            ).to.emit(bundleMarket, 'Purchased').withArgs(
+                info.saleID, buyer.address, seller.address, SINGLE_UNIT, 0, fee, royaltyB, price.sub(fee).sub(royaltyB), 0
+            );
+            expect(await tokenB.ownerOf(tokenId + 2)).deep.equal(buyer.address);
+            expect(await erc20.balanceOf(buyer.address)).deep.equal(balBuyer.sub(price));
+
+            await management.connect(admin).setTrustedForwarder(ethers.constants.AddressZero);
+        });
+    });
+});
@@ -0,0 +1,515 @@
+const chai = require('chai');
+const chaiAsPromise = require('chai-as-promised');
+const { ethers } = require('hardhat');
+const { signSaleInfo, signPurchase } = require('../helpers/eip712');
+const { signPermit, signPermit2Transfer } = require('../helpers/permit');
+
+chai.use(chaiAsPromise);
+const expect = chai.expect;
+
+describe('Checkout Contract Testing', () => {
+    let provider;
+    let admin, treasury, verifier, seller, buyer, royaltyReceiver;
+    let management, archive, market, checkout;
+    let erc20, token721, token1155;
+
+    const NFT721 = 721;
+    const NFT1155 = 1155;
+    const SINGLE_UNIT = 1;
+    const COMMISSION_FEE = 250;
+    const ROYALTY_FEE = 500;
+    const FEE_DENOMINATOR = 10000;
+    const MAX_EXPIRY = ethers.constants.MaxUint256;
+    const NO_REFERRER = ethers.constants.AddressZero;
+    //  `authorizerEpoch` of a freshly deployed Management
+    const EPOCH = 0;
+
+    function saleInfo(saleID, nftToken, nftType, tokenID, onSaleAmt, paymentToken, unitPrice) {
+        return {
+            saleID: saleID,
+            seller: seller.address,
+            nftToken: nftToken,
+            paymentToken: paymentToken,
+            nftType: nftType,
+            tokenID: tokenID,
+            onSaleAmt: onSaleAmt,
+            unitPrice: unitPrice,
+            startTime: 0,
+            endTime: 0,
+            reservedBuyers: [],
+            nonce: 0,
+            sSignature: '0x'
+        };
+    }
+
+    function payments(unitPrice, amount) {
+        const total = ethers.BigNumber.from(unitPrice).mul(amount);
+        const fee = total.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+        const royalty = total.mul(ROYALTY_FEE).div(FEE_DENOMINATOR);
+        return { fee: fee, royalty: royalty, payToSeller: total.sub(fee).sub(royalty) };
+    }
+
+    //  Authorized signatures of each sale of a cart, purchased by `signer`
+    async function cart(signer, sales, amounts) {
+        const aSignatures = [];
+        for (let i = 0; i < sales.length; i++)
+            aSignatures.push([await signPurchase(
+                verifier, market.address, sales[i], signer.address, amounts[i], MAX_EXPIRY, NO_REFERRER, EPOCH
+            )]);
+        return [sales.map(() => MAX_EXPIRY), amounts, sales, aSignatures];
+    }
+
+    before(async() => {
+        //  Get pre-fund accounts
+        [admin, treasury, verifier, seller, buyer, royaltyReceiver] = await ethers.getSigners();
+        provider = ethers.provider;
+
+        //  Deploy some Token contracts. These contracts are used for testing only
+        const ERC20 = await ethers.getContractFactory('ERC20Test', admin);
+        erc20 = await ERC20.deploy('ERC20', 'ERC20');
+        const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+        token721 = await ERC721.deploy('ERC721', '721');
+        const ERC1155 = await ethers.getContractFactory('ERC1155Test', admin);
+        token1155 = await ERC1155.deploy();
+
+        //  Deploy Management, Archive, Marketplace and Checkout contracts. Trading contracts are linked to PaymentMath library
+        const Management = await ethers.getContractFactory('Management', admin);
+        management = await Management.deploy(admin.address, treasury.address, COMMISSION_FEE);
+        const Archive = await ethers.getContractFactory('Archive', admin);
+        archive = await Archive.deploy(management.address);
+        const PaymentMath = await ethers.getContractFactory('PaymentMath', admin);
+        const paymentMath = await PaymentMath.deploy();
+        const libraries = { PaymentMath: paymentMath.address };
+        const Marketplace = await ethers.getContractFactory('Marketplace', { signer: admin, libraries: libraries });
+        market = await Marketplace.deploy(management.address, archive.address);
+        const Checkout = await ethers.getContractFactory('Checkout', { signer: admin, libraries: libraries });
+        checkout = await Checkout.deploy(management.address, archive.address);
+
+        //  Grant roles and register Marketplace, Payment Token and Collections
+        await management.connect(admin).grantRole(await management.MANAGER_ROLE(), admin.address);
+        await management.connect(admin).grantRole(await management.AUTHORIZER_ROLE(), verifier.address);
+        await management.connect(admin).grantRole(await management.MARKET_ROLE(), checkout.address);
+        await management.connect(admin).updateMarketplace(market.address);
+        await management.connect(admin).addPayment(erc20.address);
+        await management.connect(admin).addCollection(token721.address);
+        await management.connect(admin).addCollection(token1155.address);
+        await market.connect(admin).setRoyalty(token721.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+        await market.connect(admin).setRoyalty(token1155.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+
+        //  Items are transferred by Marketplace, payments are received by Checkout
+        await token721.connect(seller).setApprovalForAll(market.address, true);
+        await token1155.connect(seller).setApprovalForAll(market.address, true);
+
+        await erc20.mint(buyer.address, ethers.utils.parseEther('1000'));
+        await erc20.connect(buyer).approve(checkout.address, ethers.constants.MaxUint256);
+    });
+
+    describe('Batch Purchase', async() => {
+        const tokenId = 30;
+
+        async function signedSale(saleID, nftToken, nftType, tokenID, onSaleAmt, paymentToken, unitPrice) {
+            const info = saleInfo(saleID, nftToken, nftType, tokenID, onSaleAmt, paymentToken, unitPrice);
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            return info;
+        }
+
+        before(async() => {
+            for (const id of [tokenId, tokenId + 1, tokenId + 2])
+                await token721.mint(seller.address, id);
+            await token1155.mint(seller.address, tokenId, 100);
+        });
+
+        it('Should fail to purchase when array lengths mismatch', async() => {
+            const info = await signedSale(30, token721.address, NFT721, tokenId, SINGLE_UNIT, erc20.address, 100);
+            const [expiries, , sales, aSignatures] = await cart(buyer, [info], [SINGLE_UNIT]);
+
+            await expect(
+                checkout.connect(buyer).purchaseBatch(expiries, [], sales, aSignatures, false)
+            ).to.be.revertedWith('Length mismatch');
+        });
+
+        it('Should fail when executePurchase of Marketplace is called without MARKET_ROLE', async() => {
+            const info = await signedSale(30, token721.address, NFT721, tokenId, SINGLE_UNIT, erc20.address, 100);
+            const [, , , aSignatures] = await cart(buyer, [info], [SINGLE_UNIT]);
+
+            await expect(
+                market.connect(buyer).executePurchase(buyer.address, MAX_EXPIRY, SINGLE_UNIT, info, aSignatures[0], NO_REFERRER)
+            ).to.be.revertedWith('Only Market');
+        });
+
+        it('Should succeed to purchase a cart with aggregated payments - Native Coin and ERC20', async() => {
+            const price721 = ethers.utils.parseEther('1');
+            const price1155 = ethers.utils.parseEther('2');
+            const sale721 = await signedSale(
+                30, token721.address, NFT721, tokenId, SINGLE_UNIT, ethers.constants.AddressZero, price721
+            );
+            const sale1155A = await signedSale(31, token1155.address, NFT1155, tokenId, 10, erc20.address, price1155);
+            const sale1155B = await signedSale(32, token1155.address, NFT1155, tokenId, 10, erc20.address, price1155);
+            const [expiries, amounts, sales, aSignatures] = await cart(buyer, [sale721, sale1155A, sale1155B], [1, 3, 5]);
+
+            const p721 = payments(price721, 1);
+            const p1155A = payments(price1155, 3);
+            const balBuyer = await erc20.balanceOf(buyer.address);
+            const balSeller = await erc20.balanceOf(seller.address);
+
+            const tx = checkout.connect(buyer).purchaseBatch(
+                expiries, amounts, sales, aSignatures, false, { value: price721 }
+            );
+            await expect(tx).to.emit(market, 'Purchased').withArgs(
+                30, buyer.address, seller.address, 1, 0, p721.fee, p721.royalty, p721.payToSeller, 0
+            );
+            await expect(tx).to.emit(market, 'Purchased').withArgs(
+                31, buyer.address, seller.address, 3, 0, p1155A.fee, p1155A.royalty, p1155A.payToSeller, 0
+            );
+
+            const p1155B = payments(price1155, 5);
+            expect(await token721.ownerOf(tokenId)).deep.equal(buyer.address);
+            expect(await erc20.balanceOf(buyer.address)).deep.equal(balBuyer.sub(price1155.mul(8)));
+            expect(await erc20.balanceOf(seller.address)).deep.equal(
+                balSeller.add(p1155A.payToSeller).add(p1155B.payToSeller)
+            );
+            expect(await archive.getCurrentOnSale(market.address, seller.address, 32)).deep.equal(ethers.BigNumber.from(5));
+            expect(await erc20.balanceOf(checkout.address)).deep.equal(ethers.constants.Zero);
+            expect(await erc20.allowance(checkout.address, market.address)).deep.equal(ethers.constants.Zero);
+            expect(await provider.getBalance(checkout.address)).deep.equal(ethers.constants.Zero);
+        });
+
+        it('Should fail when msg.value mismatches the native total of the cart', async() => {
+            const price = ethers.utils.parseEther('1');
+            const info = await signedSale(
+                33, token721.address, NFT721, tokenId + 1, SINGLE_UNIT, ethers.constants.AddressZero, price
+            );
+            const [expiries, amounts, sales, aSignatures] = await cart(buyer, [info], [SINGLE_UNIT]);
+
+            await expect(
+                checkout.connect(buyer).purchaseBatch(expiries, amounts, sales, aSignatures, false, { value: price.sub(1) })
+            ).to.be.revertedWith('Insufficient payment');
+        });
+
+        it('Should revert the whole cart when one sale fails', async() => {
+            const price = ethers.utils.parseEther('1');
+            const valid = await signedSale(
+                33, token721.address, NFT721, tokenId + 1, SINGLE_UNIT, ethers.constants.AddressZero, price
+            );
+            //  saleId 30 has been sold out
+            const soldOut = await signedSale(
+                30, token721.address, NFT721, tokenId, SINGLE_UNIT, ethers.constants.AddressZero, price
+            );
+            const [expiries, amounts, sales, aSignatures] = await cart(buyer, [valid, soldOut], [1, 1]);
+
+            await expect(
+                checkout.connect(buyer).purchaseBatch(expiries, amounts, sales, aSignatures, false, { value: price.mul(2) })
+            ).to.be.reverted;
+            expect(await token721.ownerOf(tokenId + 1)).deep.equal(seller.address);
+        });
+
+        it('Should skip failed sales and refund their price when `skipFailed` is set', async() => {
+            const price = ethers.utils.parseEther('1');
+            const valid = await signedSale(
+                33, token721.address, NFT721, tokenId + 1, SINGLE_UNIT, ethers.constants.AddressZero, price
+            );
+            const soldOut = await signedSale(
+                30, token721.address, NFT721, tokenId, SINGLE_UNIT, ethers.constants.AddressZero, price
+            );
+            //  Seller does not own `tokenId + 3`
+            const notOwned = await signedSale(34, token721.address, NFT721, tokenId + 3, SINGLE_UNIT, erc20.address, price);
+            const [expiries, amounts, sales, aSignatures] = await cart(buyer, [valid, soldOut, notOwned], [1, 1, 1]);
+            const balBuyer = await erc20.balanceOf(buyer.address);
+
+            const tx = checkout.connect(buyer).purchaseBatch(
+                expiries, amounts, sales, aSignatures, true, { value: price.mul(2) }
+            );
+            await expect(tx).to.emit(checkout, 'PurchaseSkipped').withArgs(30, buyer.address);
+            await expect(tx).to.emit(checkout, 'PurchaseSkipped').withArgs(34, buyer.address);
+            await expect(await tx).to.changeEtherBalance(buyer, price.mul(-1));
+
+            expect(await token721.ownerOf(tokenId + 1)).deep.equal(buyer.address);
+            expect(await erc20.balanceOf(buyer.address)).deep.equal(balBuyer);
+            expect(await erc20.allowance(checkout.address, market.address)).deep.equal(ethers.constants.Zero);
+            expect(await archive.getLocked(market.address, seller.address, 34)).deep.equal(false);
+            expect(await provider.getBalance(checkout.address)).deep.equal(ethers.constants.Zero);
+        });
+
+        it('Should skip a reserved listing in a cart of another Buyer', async() => {
+            const stranger = (await ethers.getSigners())[15];
+            const price = ethers.utils.parseEther('1');
+            const reserved = saleInfo(
+                35, token721.address, NFT721, tokenId + 2, SINGLE_UNIT, ethers.constants.AddressZero, price
+            );
+            reserved.reservedBuyers = [buyer.address];
+            reserved.sSignature = await signSaleInfo(seller, market.address, reserved);
+            const [expiries, amounts, sales, aSignatures] = await cart(stranger, [reserved], [SINGLE_UNIT]);
+
+            const tx = checkout.connect(stranger).purchaseBatch(
+                expiries, amounts, sales, aSignatures, true, { value: price }
+            );
+            await expect(tx).to.emit(checkout, 'PurchaseSkipped').withArgs(35, stranger.address);
+            await expect(await tx).to.changeEtherBalance(stranger, 0);
+            expect(await token721.ownerOf(tokenId + 2)).deep.equal(seller.address);
+        });
+
+    });
+
+    describe('Buyer Fees', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        const PRIMARY_FEE = 1000;
+        let collection, multiCollection, reseller;
+
+        async function signedSale(saleID, from, nftToken, nftType, tokenID, onSaleAmt, paymentToken) {
+            const info = saleInfo(saleID, nftToken, nftType, tokenID, onSaleAmt, paymentToken, unitPrice);
+            info.seller = from.address;
+            info.sSignature = await signSaleInfo(from, market.address, info);
+            return info;
+        }
+
+        before(async() => {
+            reseller = (await ethers.getSigners())[16];
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Taker', 'TKR');
+            const ERC1155 = await ethers.getContractFactory('ERC1155Test', admin);
+            multiCollection = await ERC1155.deploy();
+            for (const nftToken of [collection.address, multiCollection.address]) {
+                await management.connect(admin).addCollection(nftToken);
+                await market.connect(admin).setRoyalty(nftToken, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+            }
+            for (const id of [1, 2])
+                await collection.mint(seller.address, id);
+            await collection.connect(seller).setApprovalForAll(market.address, true);
+
+            //  `seller` is the creator of token ID 1, and `reseller` holds units of it bought elsewhere
+            await multiCollection.mint(seller.address, 1, 10);
+            await multiCollection.mint(reseller.address, 1, 10);
+            await management.connect(admin).setCreators(multiCollection.address, [1], seller.address);
+            await multiCollection.connect(seller).setApprovalForAll(market.address, true);
+            await multiCollection.connect(reseller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should collect prices and buyer fees of a cart upfront - ERC20', async() => {
+            await management.connect(admin).setBuyerFeeShare(FEE_DENOMINATOR / 2);
+            const { fee, royalty } = payments(unitPrice, SINGLE_UNIT);
+            const buyerFee = fee.div(2);
+
+            const [expiries, amounts, sales, aSignatures] = await cart(buyer, [
+                await signedSale(40, seller, collection.address, NFT721, 1, SINGLE_UNIT, erc20.address),
+                await signedSale(41, seller, collection.address, NFT721, 2, SINGLE_UNIT, erc20.address)
+            ], [SINGLE_UNIT, SINGLE_UNIT]);
+
+            const balBuyer = await erc20.balanceOf(buyer.address);
+            const balSeller = await erc20.balanceOf(seller.address);
+            const payToSeller = unitPrice.sub(fee.sub(buyerFee)).sub(royalty);
+            await expect(
+                checkout.connect(buyer).purchaseBatch(expiries, amounts, sales, aSignatures, false)
+            ).to.emit(market, 'Purchased').withArgs(
+                41, buyer.address, seller.address, SINGLE_UNIT, buyerFee, fee.sub(buyerFee), royalty, payToSeller, 0
+            );
+            expect(await erc20.balanceOf(buyer.address)).deep.equal(balBuyer.sub(unitPrice.add(buyerFee).mul(2)));
+            expect(await erc20.balanceOf(seller.address)).deep.equal(balSeller.add(payToSeller.mul(2)));
+            expect(await erc20.balanceOf(checkout.address)).deep.equal(ethers.constants.Zero);
+            expect(await erc20.balanceOf(market.address)).deep.equal(ethers.constants.Zero);
+
+            await management.connect(admin).setBuyerFeeShare(0);
+        });
+
+        it('Should charge sales of one token ID in a cart by the schedule of their Sellers', async() => {
+            await management.connect(admin).setPrimaryCommission(true, PRIMARY_FEE);
+            await management.connect(admin).setBuyerFeeShare(FEE_DENOMINATOR);
+
+            //  Sales by the creator are primary wherever they are in the cart, and the sale by `reseller` is not
+            const creatorSales = [
+                await signedSale(42, seller, multiCollection.address, NFT1155, 1, 5, ethers.constants.AddressZero),
+                await signedSale(43, seller, multiCollection.address, NFT1155, 1, 5, ethers.constants.AddressZero)
+            ];
+            const resale = await signedSale(42, reseller, multiCollection.address, NFT1155, 1, 5, ethers.constants.AddressZero);
+            const [expiries, amounts, sales, aSignatures] = await cart(
+                buyer, [creatorSales[0], resale, creatorSales[1]], [2, 3, 1]
+            );
+            const primaryFee = price => unitPrice.mul(price).mul(PRIMARY_FEE).div(FEE_DENOMINATOR);
+            const regular = payments(unitPrice, 3);
+            const total = unitPrice.mul(6).add(primaryFee(2)).add(regular.fee).add(primaryFee(1));
+
+            const tx = checkout.connect(buyer).purchaseBatch(expiries, amounts, sales, aSignatures, false, { value: total });
+            await expect(tx).to.emit(market, 'Purchased').withArgs(
+                42, buyer.address, seller.address, 2, primaryFee(2), 0, 0, unitPrice.mul(2), 0
+            );
+            await expect(tx).to.emit(market, 'Purchased').withArgs(
+                42, buyer.address, reseller.address, 3, regular.fee, 0, regular.royalty, unitPrice.mul(3).sub(regular.royalty), 1
+            );
+            await expect(tx).to.emit(market, 'Purchased').withArgs(
+                43, buyer.address, seller.address, 1, primaryFee(1), 0, 0, unitPrice, 2
+            );
+            await expect(await tx).to.changeEtherBalance(buyer, total.mul(-1));
+            expect(await provider.getBalance(checkout.address)).deep.equal(ethers.constants.Zero);
+
+            await management.connect(admin).setPrimaryCommission(false, 0);
+            await management.connect(admin).setBuyerFeeShare(0);
+        });
+
+        it('Should skip a sale of an unregistered Payment Token without charging the rest of the cart', async() => {
+            await management.connect(admin).setPrimaryCommission(true, PRIMARY_FEE);
+            await management.connect(admin).setBuyerFeeShare(FEE_DENOMINATOR);
+            const ERC20 = await ethers.getContractFactory('ERC20Test', admin);
+            const unregistered = await ERC20.deploy('Unregistered', 'UNR');
+
+            //  The first sale of token ID 1 fails, thus later sales of token ID 1 are charged as paid for
+            const [expiries, amounts, sales, aSignatures] = await cart(buyer, [
+                await signedSale(44, seller, multiCollection.address, NFT1155, 1, 5, unregistered.address),
+                await signedSale(45, seller, multiCollection.address, NFT1155, 1, 5, ethers.constants.AddressZero),
+                await signedSale(46, seller, multiCollection.address, NFT1155, 1, 5, ethers.constants.AddressZero)
+            ], [1, 1, 1]);
+            const fee = unitPrice.mul(PRIMARY_FEE).div(FEE_DENOMINATOR);
+            const total = unitPrice.add(fee).mul(2);
+
+            const tx = checkout.connect(buyer).purchaseBatch(expiries, amounts, sales, aSignatures, true, { value: total });
+            await expect(tx).to.emit(checkout, 'PurchaseSkipped').withArgs(44, buyer.address);
+            await expect(tx).to.emit(market, 'Purchased').withArgs(
+                45, buyer.address, seller.address, 1, fee, 0, 0, unitPrice, 3
+            );
+            await expect(tx).to.emit(market, 'Purchased').withArgs(
+                46, buyer.address, seller.address, 1, fee, 0, 0, unitPrice, 4
+            );
+            await expect(await tx).to.changeEtherBalance(buyer, total.mul(-1));
+            expect(await provider.getBalance(checkout.address)).deep.equal(ethers.constants.Zero);
+
+            await management.connect(admin).setPrimaryCommission(false, 0);
+            await management.connect(admin).setBuyerFeeShare(0);
+        });
+    });
+
+    describe('Permit Payments', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        let collection, permitToken, permit2, wallet;
+
+        function permitInfo(usePermit2, amount, nonce, deadline, signature) {
+            return { permit2: usePermit2, amount: amount, nonce: nonce, deadline: deadline, signature: signature };
+        }
+
+        async function signedSale(saleID, tokenID, paymentToken) {
+            const info = saleInfo(saleID, collection.address, NFT721, tokenID, SINGLE_UNIT, paymentToken, unitPrice);
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            return info;
+        }
+
+        async function purchaseWithPermit(info, permit) {
+            const aSignature = await signPurchase(
+                verifier, market.address, info, wallet.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            return checkout.connect(wallet).purchaseWithPermit(
+                MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, permit
+            );
+        }
+
+        before(async() => {
+            //  Buyer has never approved Checkout
+            wallet = ethers.Wallet.createRandom().connect(provider);
+            await admin.sendTransaction({ to: wallet.address, value: ethers.utils.parseEther('1') });
+
+            const ERC20Permit = await ethers.getContractFactory('ERC20PermitTest', admin);
+            permitToken = await ERC20Permit.deploy('Permit', 'PMT');
+            await permitToken.mint(wallet.address, ethers.utils.parseEther('10'));
+            await erc20.mint(wallet.address, ethers.utils.parseEther('10'));
+            await management.connect(admin).addPayment(permitToken.address);
+
+            const Permit2 = await ethers.getContractFactory('Permit2Test', admin);
+            permit2 = await Permit2.deploy();
+            await management.connect(admin).setPermit2(permit2.address);
+
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Permit', 'PMT');
+            await management.connect(admin).addCollection(collection.address);
+            for (const id of [1, 2, 3, 4])
+                await collection.mint(seller.address, id);
+            await collection.connect(seller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to purchase with a permit when paying by Native Coin', async() => {
+            const info = await signedSale(170, 1, ethers.constants.AddressZero);
+
+            await expect(
+                purchaseWithPermit(info, permitInfo(false, unitPrice, 0, MAX_EXPIRY, '0x'))
+            ).to.be.revertedWith('Invalid payment token');
+        });
+
+        it('Should fail to purchase when the EIP-2612 permit is invalid', async() => {
+            const info = await signedSale(170, 1, permitToken.address);
+            //  Permit signed for another spender
+            const signature = await signPermit(wallet, permitToken, buyer.address, unitPrice, MAX_EXPIRY);
+
+            await expect(
+                purchaseWithPermit(info, permitInfo(false, unitPrice, 0, MAX_EXPIRY, signature))
+            ).to.be.revertedWith('ERC20: insufficient allowance');
+        });
+
+        it('Should fail to purchase when the EIP-2612 permit signature is not 65 bytes', async() => {
+            const info = await signedSale(170, 1, permitToken.address);
+            const signature = await signPermit(wallet, permitToken, checkout.address, unitPrice, MAX_EXPIRY);
+
+            await expect(
+                purchaseWithPermit(info, permitInfo(false, unitPrice, 0, MAX_EXPIRY, signature.slice(0, 130)))
+            ).to.be.revertedWith('Invalid permit signature');
+            await expect(
+                purchaseWithPermit(info, permitInfo(false, unitPrice, 0, MAX_EXPIRY, '0x'))
+            ).to.be.revertedWith('Invalid permit signature');
+        });
+
+        it('Should succeed to purchase with an EIP-2612 permit in one transaction', async() => {
+            const info = await signedSale(170, 1, permitToken.address);
+            const signature = await signPermit(wallet, permitToken, checkout.address, unitPrice, MAX_EXPIRY);
+            const fee = unitPrice.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+
+            const balSeller = await permitToken.balanceOf(seller.address);
+            await expect(
+                purchaseWithPermit(info, permitInfo(false, unitPrice, 0, MAX_EXPIRY, signature))
+            ).to.emit(market, 'Purchased').withArgs(
+                170, wallet.address, seller.address, SINGLE_UNIT, 0, fee, 0, unitPrice.sub(fee), 0
+            );
+            expect(await collection.ownerOf(1)).deep.equal(wallet.address);
+            expect(await permitToken.balanceOf(seller.address)).deep.equal(balSeller.add(unitPrice.sub(fee)));
+            expect(await permitToken.allowance(wallet.address, checkout.address)).deep.equal(ethers.constants.Zero);
+            expect(await permitToken.allowance(checkout.address, market.address)).deep.equal(ethers.constants.Zero);
+        });
+
+        it('Should succeed to purchase with a Permit2 signature transfer, and fail to reuse its nonce', async() => {
+            //  Buyer approves Permit2 once for all spenders
+            await erc20.connect(wallet).approve(permit2.address, ethers.constants.MaxUint256);
+            const signature = await signPermit2Transfer(
+                wallet, permit2.address, erc20.address, unitPrice, checkout.address, 0, MAX_EXPIRY
+            );
+            const fee = unitPrice.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+
+            const balWallet = await erc20.balanceOf(wallet.address);
+            const balSeller = await erc20.balanceOf(seller.address);
+            await expect(
+                purchaseWithPermit(
+                    await signedSale(171, 2, erc20.address), permitInfo(true, unitPrice, 0, MAX_EXPIRY, signature)
+                )
+            ).to.emit(market, 'Purchased').withArgs(
+                171, wallet.address, seller.address, SINGLE_UNIT, 0, fee, 0, unitPrice.sub(fee), 0
+            );
+            expect(await collection.ownerOf(2)).deep.equal(wallet.address);
+            expect(await erc20.balanceOf(wallet.address)).deep.equal(balWallet.sub(unitPrice));
+            expect(await erc20.balanceOf(seller.address)).deep.equal(balSeller.add(unitPrice.sub(fee)));
+            expect(await erc20.balanceOf(checkout.address)).deep.equal(ethers.constants.Zero);
+
+            await expect(
+                purchaseWithPermit(
+                    await signedSale(172, 3, erc20.address), permitInfo(true, unitPrice, 0, MAX_EXPIRY, signature)
+                )
+            ).to.be.revertedWith('Invalid nonce');
+        });
+
+        it('Should fail to purchase when the Permit2 amount does not cover the price and buyer fee', async() => {
+            await management.connect(admin).setBuyerFeeShare(FEE_DENOMINATOR);
+            const signature = await signPermit2Transfer(
+                wallet, permit2.address, erc20.address, unitPrice, checkout.address, 1, MAX_EXPIRY
+            );
+
+            await expect(
+                purchaseWithPermit(
+                    await signedSale(172, 3, erc20.address), permitInfo(true, unitPrice, 1, MAX_EXPIRY, signature)
+                )
+            ).to.be.revertedWith('Invalid amount');
+
+            await management.connect(admin).setBuyerFeeShare(0);
+        });
+    });
+});
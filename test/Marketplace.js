@@ -0,0 +1,1760 @@
+const chai = require('chai');
+const chaiAsPromise = require('chai-as-promised');
+const { ethers } = require('hardhat');
+const {
+    signSaleInfo, signPurchase, signCancel, signCancelBatch, saleInfoTypedData, purchaseTypedData, cancelTypedData,
+    walletTypedData, walletSignature, timestampExpiry, hashSaleInfo, TIMESTAMP_EXPIRY
+} = require('../helpers/eip712');
+const { relay } = require('../helpers/relayer');
+
+chai.use(chaiAsPromise);
+const expect = chai.expect;
+
+describe('Marketplace Contract Testing - EIP-712 Signatures', () => {
+    let provider;
+    let admin, treasury, verifier, seller, buyer, royaltyReceiver;
+    let management, archive, market;
+    let erc20, token721, token1155;
+
+    const NFT721 = 721;
+    const NFT1155 = 1155;
+    const SINGLE_UNIT = 1;
+    const COMMISSION_FEE = 250;
+    const ROYALTY_FEE = 500;
+    const FEE_DENOMINATOR = 10000;
+    const MAX_EXPIRY = ethers.constants.MaxUint256;
+    const NO_REFERRER = ethers.constants.AddressZero;
+    //  `authorizerEpoch` of Management until "Authorizer Epochs" bumps it
+    const EPOCH = 0;
+
+    function saleInfo(saleID, nftToken, nftType, tokenID, onSaleAmt, paymentToken, unitPrice) {
+        return {
+            saleID: saleID,
+            seller: seller.address,
+            nftToken: nftToken,
+            paymentToken: paymentToken,
+            nftType: nftType,
+            tokenID: tokenID,
+            onSaleAmt: onSaleAmt,
+            unitPrice: unitPrice,
+            startTime: 0,
+            endTime: 0,
+            reservedBuyers: [],
+            nonce: 0,
+            sSignature: '0x'
+        };
+    }
+
+    function payments(unitPrice, amount) {
+        const total = ethers.BigNumber.from(unitPrice).mul(amount);
+        const fee = total.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+        const royalty = total.mul(ROYALTY_FEE).div(FEE_DENOMINATOR);
+        return { fee: fee, royalty: royalty, payToSeller: total.sub(fee).sub(royalty) };
+    }
+
+    async function now() {
+        return (await provider.getBlock('latest')).timestamp;
+    }
+
+    async function setNextTimestamp(timestamp) {
+        await provider.send('evm_setNextBlockTimestamp', [timestamp]);
+    }
+
+    before(async() => {
+        //  Get pre-fund accounts
+        [admin, treasury, verifier, seller, buyer, royaltyReceiver] = await ethers.getSigners();
+        provider = ethers.provider;
+
+        //  Deploy some Token contracts. These contracts are used for testing only
+        const ERC20 = await ethers.getContractFactory('ERC20Test', admin);
+        erc20 = await ERC20.deploy('ERC20', 'ERC20');
+        const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+        token721 = await ERC721.deploy('ERC721', '721');
+        const ERC1155 = await ethers.getContractFactory('ERC1155Test', admin);
+        token1155 = await ERC1155.deploy();
+
+        //  Deploy Management, Archive and Marketplace contracts. Marketplace is linked to PaymentMath library
+        const Management = await ethers.getContractFactory('Management', admin);
+        management = await Management.deploy(admin.address, treasury.address, COMMISSION_FEE);
+        const Archive = await ethers.getContractFactory('Archive', admin);
+        archive = await Archive.deploy(management.address);
+        const PaymentMath = await ethers.getContractFactory('PaymentMath', admin);
+        const paymentMath = await PaymentMath.deploy();
+        const libraries = { PaymentMath: paymentMath.address };
+        const Marketplace = await ethers.getContractFactory('Marketplace', { signer: admin, libraries: libraries });
+        market = await Marketplace.deploy(management.address, archive.address);
+
+        //  Grant roles and register Marketplace, Payment Token and Collections
+        await management.connect(admin).grantRole(await management.MANAGER_ROLE(), admin.address);
+        await management.connect(admin).grantRole(await management.AUTHORIZER_ROLE(), verifier.address);
+        await management.connect(admin).updateMarketplace(market.address);
+        await management.connect(admin).addPayment(erc20.address);
+        await management.connect(admin).addCollection(token721.address);
+        await management.connect(admin).addCollection(token1155.address);
+        await market.connect(admin).setRoyalty(token721.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+        await market.connect(admin).setRoyalty(token1155.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+
+        //  Mint items to Seller and approve Marketplace
+        await token721.mint(seller.address, 1);
+        await token721.mint(seller.address, 2);
+        await token1155.mint(seller.address, 1, 100);
+        await token721.connect(seller).setApprovalForAll(market.address, true);
+        await token1155.connect(seller).setApprovalForAll(market.address, true);
+
+        await erc20.mint(buyer.address, ethers.utils.parseEther('1000'));
+        await erc20.connect(buyer).approve(market.address, ethers.constants.MaxUint256);
+    });
+
+    it('Should build SaleInfo typed data without Seller signature', async() => {
+        const info = saleInfo(1, token721.address, NFT721, 1, SINGLE_UNIT, ethers.constants.AddressZero, 1000);
+        const typedData = saleInfoTypedData(31337, market.address, info);
+
+        expect(typedData.primaryType).deep.equal('SaleInfo');
+        expect(typedData.domain.verifyingContract).deep.equal(market.address);
+        expect(typedData.message.sSignature).deep.equal(undefined);
+        expect(typedData.message.unitPrice).deep.equal(1000);
+        expect(typedData.types.EIP712Domain).deep.equal(undefined);
+    });
+
+    it('Should sign wallet-ready SaleInfo typed data by eth_signTypedData_v4', async() => {
+        const info = saleInfo(1, token721.address, NFT721, 1, SINGLE_UNIT, ethers.constants.AddressZero, 1000);
+        const typedData = walletTypedData(saleInfoTypedData(31337, market.address, info));
+        expect(typedData.types.EIP712Domain.map(field => field.name)).deep.equal(
+            ['name', 'version', 'chainId', 'verifyingContract']
+        );
+
+        const signature = await provider.send('eth_signTypedData_v4', [seller.address, JSON.stringify(typedData)]);
+        expect(signature).deep.equal(await signSaleInfo(seller, market.address, info));
+    });
+
+    it('Should fail to build an authorizer approval without an epoch', async() => {
+        const info = saleInfo(1, token721.address, NFT721, 1, SINGLE_UNIT, ethers.constants.AddressZero, 1000);
+        expect(
+            () => purchaseTypedData(31337, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER)
+        ).to.throw('epoch is required');
+        expect(() => cancelTypedData(31337, market.address, 1, seller.address)).to.throw('epoch is required');
+    });
+
+    it('Should succeed to purchase ERC721 item - Native Coin', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        const info = saleInfo(1, token721.address, NFT721, 1, SINGLE_UNIT, ethers.constants.AddressZero, unitPrice);
+        info.sSignature = await signSaleInfo(seller, market.address, info);
+        const aSignature = await signPurchase(
+            verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+        );
+
+        const { fee, royalty, payToSeller } = payments(unitPrice, SINGLE_UNIT);
+        const balSeller = await provider.getBalance(seller.address);
+        const balTreasury = await provider.getBalance(treasury.address);
+        const balReceiver = await provider.getBalance(royaltyReceiver.address);
+
+        await expect(
+            market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: unitPrice })
+        ).to.emit(market, 'Purchased').withArgs(
+            info.saleID, buyer.address, seller.address, SINGLE_UNIT, 0, fee, royalty, payToSeller, 0
+        );
+
+        expect(await token721.ownerOf(1)).deep.equal(buyer.address);
+        expect(await provider.getBalance(seller.address)).deep.equal(balSeller.add(payToSeller));
+        expect(await provider.getBalance(treasury.address)).deep.equal(balTreasury.add(fee));
+        expect(await provider.getBalance(royaltyReceiver.address)).deep.equal(balReceiver.add(royalty));
+    });
+
+    it('Should succeed to partially purchase ERC1155 items - ERC20', async() => {
+        const unitPrice = ethers.utils.parseEther('2');
+        const onSaleAmt = 10;
+        const purchaseAmt = 4;
+        const info = saleInfo(2, token1155.address, NFT1155, 1, onSaleAmt, erc20.address, unitPrice);
+        info.sSignature = await signSaleInfo(seller, market.address, info);
+        const aSignature = await signPurchase(
+            verifier, market.address, info, buyer.address, purchaseAmt, MAX_EXPIRY, NO_REFERRER, EPOCH
+        );
+
+        const { fee, royalty, payToSeller } = payments(unitPrice, purchaseAmt);
+        const balSeller = await erc20.balanceOf(seller.address);
+        const balTreasury = await erc20.balanceOf(treasury.address);
+
+        await market.connect(buyer).purchase(MAX_EXPIRY, purchaseAmt, info, [aSignature], NO_REFERRER);
+
+        expect(await token1155.balanceOf(buyer.address, 1)).deep.equal(ethers.BigNumber.from(purchaseAmt));
+        expect(await archive.getCurrentOnSale(market.address, seller.address, info.saleID)).deep.equal(ethers.BigNumber.from(onSaleAmt - purchaseAmt));
+        expect(await erc20.balanceOf(seller.address)).deep.equal(balSeller.add(payToSeller));
+        expect(await erc20.balanceOf(treasury.address)).deep.equal(balTreasury.add(fee));
+        expect(await erc20.balanceOf(royaltyReceiver.address)).deep.equal(royalty);
+    });
+
+    it('Should fail to purchase when Seller signature was generated for another chain', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        const info = saleInfo(3, token721.address, NFT721, 2, SINGLE_UNIT, ethers.constants.AddressZero, unitPrice);
+        const typedData = saleInfoTypedData(56, market.address, info);
+        info.sSignature = await seller._signTypedData(typedData.domain, typedData.types, typedData.message);
+        const aSignature = await signPurchase(
+            verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+        );
+
+        await expect(
+            market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: unitPrice })
+        ).to.be.revertedWith('Invalid seller signature');
+    });
+
+    it('Should fail to purchase when Seller signature was generated for another Marketplace', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        const info = saleInfo(3, token721.address, NFT721, 2, SINGLE_UNIT, ethers.constants.AddressZero, unitPrice);
+        info.sSignature = await signSaleInfo(seller, archive.address, info);
+        const aSignature = await signPurchase(
+            verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+        );
+
+        await expect(
+            market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: unitPrice })
+        ).to.be.revertedWith('Invalid seller signature');
+    });
+
+    it('Should fail to purchase when Authorizer approved another Buyer', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        const info = saleInfo(3, token721.address, NFT721, 2, SINGLE_UNIT, ethers.constants.AddressZero, unitPrice);
+        info.sSignature = await signSaleInfo(seller, market.address, info);
+        const aSignature = await signPurchase(
+            verifier, market.address, info, admin.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+        );
+
+        await expect(
+            market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: unitPrice })
+        ).to.be.revertedWith('Invalid authorized signature');
+    });
+
+    it('Should succeed to cancel a sale with Authorizer typed-data signature', async() => {
+        const saleId = 3;
+        const invalidSignature = await signCancel(verifier, market.address, saleId, buyer.address, EPOCH);
+        await expect(
+            market.connect(seller).cancelOnSale(saleId, [invalidSignature])
+        ).to.be.revertedWith('Invalid signature');
+
+        const signature = await signCancel(verifier, market.address, saleId, seller.address, EPOCH);
+        await expect(
+            market.connect(seller).cancelOnSale(saleId, [signature])
+        ).to.emit(market, 'Canceled').withArgs(seller.address, saleId);
+        expect(await archive.isCanceled(seller.address, saleId)).deep.equal(true);
+
+        const unitPrice = ethers.utils.parseEther('1');
+        const info = saleInfo(saleId, token721.address, NFT721, 2, SINGLE_UNIT, ethers.constants.AddressZero, unitPrice);
+        info.sSignature = await signSaleInfo(seller, market.address, info);
+        const aSignature = await signPurchase(
+            verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+        );
+        await expect(
+            market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: unitPrice })
+        ).to.be.revertedWith('Sale canceled');
+    });
+
+    describe('ERC-2981 Royalties', async() => {
+        const tokenId = 40;
+        const TOKEN_ROYALTY = 800;
+        let token2981, creator, tokenCreator;
+
+        async function purchase(saleID, tokenID, unitPrice) {
+            const info = saleInfo(saleID, token2981.address, NFT721, tokenID, SINGLE_UNIT, erc20.address, unitPrice);
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            return market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER);
+        }
+
+        before(async() => {
+            [creator, tokenCreator] = (await ethers.getSigners()).slice(7, 9);
+            const ERC721Royalty = await ethers.getContractFactory('ERC721RoyaltyTest', admin);
+            token2981 = await ERC721Royalty.deploy('ERC2981', '2981');
+            await management.connect(admin).addCollection(token2981.address);
+            await token2981.setDefaultRoyalty(creator.address, TOKEN_ROYALTY);
+            await token2981.setTokenRoyalty(tokenId + 1, tokenCreator.address, 300);
+            await token2981.setTokenRoyalty(tokenId + 5, tokenCreator.address, 2000);
+
+            for (let id = tokenId; id < tokenId + 6; id++)
+                await token2981.mint(seller.address, id);
+            await token2981.connect(seller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to set royalty policy when caller is not Manager or cap is invalid', async() => {
+            await expect(
+                management.connect(buyer).setRoyaltyPolicy(true, 1000)
+            ).to.be.reverted;
+            await expect(
+                management.connect(admin).setRoyaltyPolicy(true, FEE_DENOMINATOR + 1)
+            ).to.be.revertedWith('Invalid setting');
+        });
+
+        it('Should cap royalty reported by ERC-2981 at 10% by default', async() => {
+            const DEFAULT_ROYALTY_CAP = 1000;
+            expect(await management.royaltyCap()).deep.equal(DEFAULT_ROYALTY_CAP);
+
+            const unitPrice = ethers.utils.parseEther('1');
+            const royalty = unitPrice.mul(DEFAULT_ROYALTY_CAP).div(FEE_DENOMINATOR);
+            const fee = unitPrice.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+            const balCreator = await erc20.balanceOf(tokenCreator.address);
+
+            await expect(
+                purchase(44, tokenId + 5, unitPrice)
+            ).to.emit(market, 'Purchased').withArgs(
+                44, buyer.address, seller.address, SINGLE_UNIT, 0, fee, royalty, unitPrice.sub(fee).sub(royalty), 0
+            );
+            expect(await erc20.balanceOf(tokenCreator.address)).deep.equal(balCreator.add(royalty));
+        });
+
+        it('Should keep the royalty cap when the commission fee is updated', async() => {
+            await management.connect(admin).setRoyaltyPolicy(false, 500);
+            await management.connect(admin).setCommissionFee(COMMISSION_FEE);
+            expect(await management.royaltyCap()).deep.equal(500);
+
+            await management.connect(admin).setRoyaltyPolicy(false, FEE_DENOMINATOR);
+        });
+
+        it('Should pay per-token royalty reported by ERC-2981 when no manual setting exists', async() => {
+            const unitPrice = ethers.utils.parseEther('1');
+            const fee = unitPrice.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+            const royalty = unitPrice.mul(300).div(FEE_DENOMINATOR);
+            const balCreator = await erc20.balanceOf(tokenCreator.address);
+
+            await expect(
+                purchase(40, tokenId + 1, unitPrice)
+            ).to.emit(market, 'Purchased').withArgs(
+                40, buyer.address, seller.address, SINGLE_UNIT, 0, fee, royalty, unitPrice.sub(fee).sub(royalty), 0
+            );
+            expect(await erc20.balanceOf(tokenCreator.address)).deep.equal(balCreator.add(royalty));
+        });
+
+        it('Should use the manual setting before ERC-2981 by default', async() => {
+            await market.connect(admin).setRoyalty(token2981.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+
+            const unitPrice = ethers.utils.parseEther('1');
+            const royalty = unitPrice.mul(ROYALTY_FEE).div(FEE_DENOMINATOR);
+            const balReceiver = await erc20.balanceOf(royaltyReceiver.address);
+            const balCreator = await erc20.balanceOf(creator.address);
+
+            await purchase(41, tokenId + 2, unitPrice);
+            expect(await erc20.balanceOf(royaltyReceiver.address)).deep.equal(balReceiver.add(royalty));
+            expect(await erc20.balanceOf(creator.address)).deep.equal(balCreator);
+        });
+
+        it('Should use ERC-2981 before the manual setting when Management prefers token royalty', async() => {
+            await management.connect(admin).setRoyaltyPolicy(true, FEE_DENOMINATOR);
+
+            const unitPrice = ethers.utils.parseEther('1');
+            const royalty = unitPrice.mul(TOKEN_ROYALTY).div(FEE_DENOMINATOR);
+            const balReceiver = await erc20.balanceOf(royaltyReceiver.address);
+            const balCreator = await erc20.balanceOf(creator.address);
+
+            await purchase(42, tokenId + 3, unitPrice);
+            expect(await erc20.balanceOf(creator.address)).deep.equal(balCreator.add(royalty));
+            expect(await erc20.balanceOf(royaltyReceiver.address)).deep.equal(balReceiver);
+        });
+
+        it('Should cap royalty reported by ERC-2981', async() => {
+            const royaltyCap = 500;
+            await management.connect(admin).setRoyaltyPolicy(true, royaltyCap);
+
+            const unitPrice = ethers.utils.parseEther('1');
+            const royalty = unitPrice.mul(royaltyCap).div(FEE_DENOMINATOR);
+            const fee = unitPrice.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+            const balCreator = await erc20.balanceOf(creator.address);
+
+            await expect(
+                purchase(43, tokenId + 4, unitPrice)
+            ).to.emit(market, 'Purchased').withArgs(
+                43, buyer.address, seller.address, SINGLE_UNIT, 0, fee, royalty, unitPrice.sub(fee).sub(royalty), 0
+            );
+            expect(await erc20.balanceOf(creator.address)).deep.equal(balCreator.add(royalty));
+
+            await management.connect(admin).setRoyaltyPolicy(false, FEE_DENOMINATOR);
+        });
+    });
+
+    describe('Royalty Splits', async() => {
+        const tokenId = 50;
+        const shares = [3333, 3333, 3334];
+        let tokenSplit, creators;
+
+        before(async() => {
+            creators = (await ethers.getSigners()).slice(9, 12);
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            tokenSplit = await ERC721.deploy('Split', 'SPL');
+            await management.connect(admin).addCollection(tokenSplit.address);
+
+            await tokenSplit.mint(seller.address, tokenId);
+            await tokenSplit.connect(seller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to set royalty when shares are invalid', async() => {
+            const receivers = creators.map(creator => creator.address);
+            await expect(
+                market.connect(admin).setRoyalty(tokenSplit.address, receivers, [5000, 5000], ROYALTY_FEE)
+            ).to.be.revertedWith('Length mismatch');
+            await expect(
+                market.connect(admin).setRoyalty(tokenSplit.address, receivers, [3333, 3333, 3333], ROYALTY_FEE)
+            ).to.be.revertedWith('Invalid shares');
+            await expect(
+                market.connect(admin).setRoyalty(tokenSplit.address, [], [], ROYALTY_FEE)
+            ).to.be.revertedWith('Invalid setting');
+            await expect(
+                market.connect(buyer).setRoyalty(tokenSplit.address, receivers, shares, ROYALTY_FEE)
+            ).to.be.reverted;
+        });
+
+        it('Should succeed to set royalty split and query it', async() => {
+            const receivers = creators.map(creator => creator.address);
+            await market.connect(admin).setRoyalty(tokenSplit.address, receivers, shares, ROYALTY_FEE);
+
+            const royalty = await market.getRoyalty(tokenSplit.address);
+            expect(royalty._royalty).deep.equal(ethers.BigNumber.from(ROYALTY_FEE));
+            expect(royalty._receivers).deep.equal(receivers);
+            expect(royalty._shares.map(share => share.toNumber())).deep.equal(shares);
+            expect(await market.royalties(tokenSplit.address)).deep.equal(ethers.BigNumber.from(ROYALTY_FEE));
+        });
+
+        it('Should pay every receiver exactly the amounts reported by getRoyaltySplit', async() => {
+            const unitPrice = ethers.BigNumber.from('1000000000000000003');
+            const info = saleInfo(50, tokenSplit.address, NFT721, tokenId, SINGLE_UNIT, erc20.address, unitPrice);
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+
+            const split = await market.getRoyaltySplit(tokenSplit.address, tokenId, unitPrice);
+            expect(split._royaltyFee).deep.equal(unitPrice.mul(ROYALTY_FEE).div(FEE_DENOMINATOR));
+            expect(split._amounts.reduce((sum, amount) => sum.add(amount), ethers.BigNumber.from(0)))
+                .deep.equal(split._royaltyFee);
+
+            const balances = [];
+            for (const creator of creators)
+                balances.push(await erc20.balanceOf(creator.address));
+
+            const fee = unitPrice.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER)
+            ).to.emit(market, 'Purchased').withArgs(
+                50, buyer.address, seller.address, SINGLE_UNIT, 0, fee, split._royaltyFee,
+                unitPrice.sub(fee).sub(split._royaltyFee), 0
+            );
+
+            for (let i = 0; i < creators.length; i++) {
+                expect(split._receivers[i]).deep.equal(creators[i].address);
+                expect(await erc20.balanceOf(creators[i].address)).deep.equal(balances[i].add(split._amounts[i]));
+            }
+        });
+    });
+
+    describe('Seller Cancellation and Nonces', async() => {
+        const tokenId = 60;
+        const unitPrice = ethers.utils.parseEther('1');
+        let maker, other;
+
+        async function signedSale(signer, saleID, tokenID, nonce) {
+            const info = saleInfo(saleID, token721.address, NFT721, tokenID, SINGLE_UNIT, erc20.address, unitPrice);
+            info.seller = signer.address;
+            info.nonce = nonce;
+            info.sSignature = await signSaleInfo(signer, market.address, info);
+            return info;
+        }
+
+        async function purchase(info) {
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            return market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER);
+        }
+
+        before(async() => {
+            [maker, other] = (await ethers.getSigners()).slice(12, 14);
+            for (const id of [tokenId, tokenId + 1, tokenId + 2])
+                await token721.mint(maker.address, id);
+            await token721.connect(maker).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to cancel a listing of another Seller', async() => {
+            const info = await signedSale(maker, 60, tokenId, 0);
+            await expect(
+                market.connect(other).cancelSale(info)
+            ).to.be.revertedWith('Only Seller');
+        });
+
+        it('Should fail to cancel when Seller signature is invalid', async() => {
+            const info = await signedSale(maker, 60, tokenId, 0);
+            info.unitPrice = 1;
+            await expect(
+                market.connect(maker).cancelSale(info)
+            ).to.be.revertedWith('Invalid seller signature');
+        });
+
+        it('Should succeed when Seller cancels own listing without Authorizer', async() => {
+            const info = await signedSale(maker, 60, tokenId, 0);
+
+            const digest = hashSaleInfo(await maker.getChainId(), market.address, info);
+
+            await expect(
+                market.connect(maker).cancelSale(info)
+            ).to.emit(market, 'ListingCanceled').withArgs(maker.address, 60, digest);
+            await expect(
+                purchase(info)
+            ).to.be.revertedWith('Sale canceled');
+            await expect(
+                market.connect(maker).cancelSale(info)
+            ).to.be.revertedWith('SaleId already recorded');
+        });
+
+        it('Should not cancel a listing of another Seller sharing the same saleId', async() => {
+            const canceled = await signedSale(other, 61, tokenId + 1, 0);
+            await market.connect(other).cancelSale(canceled);
+
+            const info = await signedSale(maker, 61, tokenId + 1, 0);
+            await purchase(info);
+            expect(await token721.ownerOf(tokenId + 1)).deep.equal(buyer.address);
+        });
+
+        it('Should invalidate all outstanding listings when Seller increments nonce', async() => {
+            const stale = await signedSale(maker, 62, tokenId + 2, 0);
+
+            await expect(
+                market.connect(maker).incrementNonce()
+            ).to.emit(market, 'NonceIncremented').withArgs(maker.address, 1);
+            expect(await archive.nonces(maker.address)).deep.equal(ethers.BigNumber.from(1));
+
+            await expect(
+                purchase(stale)
+            ).to.be.revertedWith('Invalid nonce');
+
+            const info = await signedSale(maker, 62, tokenId + 2, 1);
+            await purchase(info);
+            expect(await token721.ownerOf(tokenId + 2)).deep.equal(buyer.address);
+        });
+    });
+
+    describe('Batch Cancellation', async() => {
+        const saleIds = [70, 71, 72];
+
+        it('Should fail to cancel when the signature covers another list of saleIds', async() => {
+            const signature = await signCancelBatch(verifier, market.address, saleIds.slice(0, 2), seller.address, EPOCH);
+            await expect(
+                market.connect(seller).cancelOnSaleBatch(saleIds, [signature])
+            ).to.be.revertedWith('Invalid signature');
+        });
+
+        it('Should fail to cancel when the signature was approved for another Seller', async() => {
+            const signature = await signCancelBatch(verifier, market.address, saleIds, buyer.address, EPOCH);
+            await expect(
+                market.connect(seller).cancelOnSaleBatch(saleIds, [signature])
+            ).to.be.revertedWith('Invalid signature');
+        });
+
+        it('Should succeed to cancel many saleIds with one signature', async() => {
+            const signature = await signCancelBatch(verifier, market.address, saleIds, seller.address, EPOCH);
+
+            const tx = market.connect(seller).cancelOnSaleBatch(saleIds, [signature]);
+            for (const saleId of saleIds)
+                await expect(tx).to.emit(market, 'Canceled').withArgs(seller.address, saleId);
+
+            for (const saleId of saleIds)
+                expect(await archive.isCanceled(seller.address, saleId)).deep.equal(true);
+        });
+
+        it('Should fail to cancel when one of saleIds has been recorded', async() => {
+            const signature = await signCancelBatch(verifier, market.address, [73, 72], seller.address, EPOCH);
+            await expect(
+                market.connect(seller).cancelOnSaleBatch([73, 72], [signature])
+            ).to.be.revertedWith('SaleId already recorded');
+            expect(await archive.isCanceled(seller.address, 73)).deep.equal(false);
+        });
+    });
+
+    describe('Sale Time Window', async() => {
+        const tokenId = 80;
+        const unitPrice = ethers.utils.parseEther('1');
+
+        async function scheduledSale(saleID, tokenID, startTime, endTime) {
+            const info = saleInfo(saleID, token721.address, NFT721, tokenID, SINGLE_UNIT, erc20.address, unitPrice);
+            info.startTime = startTime;
+            info.endTime = endTime;
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            return info;
+        }
+
+        async function purchase(info, expiry) {
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, expiry, NO_REFERRER, EPOCH
+            );
+            return market.connect(buyer).purchase(expiry, SINGLE_UNIT, info, [aSignature], NO_REFERRER);
+        }
+
+        before(async() => {
+            for (const id of [tokenId, tokenId + 1, tokenId + 2, tokenId + 3])
+                await token721.mint(seller.address, id);
+        });
+
+        it('Should fail to purchase before the sale starts, then succeed once it opens', async() => {
+            const startTime = (await now()) + 1000;
+            const info = await scheduledSale(80, tokenId, startTime, 0);
+
+            await expect(
+                purchase(info, MAX_EXPIRY)
+            ).to.be.revertedWith('Sale not started');
+
+            await setNextTimestamp(startTime);
+            await purchase(info, MAX_EXPIRY);
+            expect(await token721.ownerOf(tokenId)).deep.equal(buyer.address);
+        });
+
+        it('Should fail to purchase after the sale ends', async() => {
+            const endTime = (await now()) + 1000;
+            const info = await scheduledSale(81, tokenId + 1, 0, endTime);
+
+            await setNextTimestamp(endTime + 1);
+            await expect(
+                purchase(info, MAX_EXPIRY)
+            ).to.be.revertedWith('Sale ended');
+        });
+
+        it('Should fail to purchase when Seller time window is modified', async() => {
+            const info = await scheduledSale(81, tokenId + 1, 0, (await now()) + 1000);
+            info.endTime = 0;
+            await expect(
+                purchase(info, MAX_EXPIRY)
+            ).to.be.revertedWith('Invalid seller signature');
+        });
+
+        it('Should measure authorized signature expiry by timestamp when flagged in the signed expiry', async() => {
+            const info = await scheduledSale(82, tokenId + 2, 0, 0);
+
+            const expiry = timestampExpiry((await now()) + 100);
+            await setNextTimestamp((await now()) + 101);
+            await expect(
+                purchase(info, expiry)
+            ).to.be.revertedWith('Authorized Signature expired');
+
+            //  The flag is signed, thus it cannot be stripped to read the timestamp as a far block number
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, expiry, NO_REFERRER, EPOCH
+            );
+            await expect(
+                market.connect(buyer).purchase(expiry.xor(TIMESTAMP_EXPIRY), SINGLE_UNIT, info, [aSignature], NO_REFERRER)
+            ).to.be.revertedWith('Invalid authorized signature');
+
+            await purchase(info, timestampExpiry((await now()) + 100));
+            expect(await token721.ownerOf(tokenId + 2)).deep.equal(buyer.address);
+        });
+
+        it('Should keep measuring an unflagged expiry by block number', async() => {
+            const info = await scheduledSale(83, tokenId + 3, 0, 0);
+
+            //  A block number is far behind the current timestamp
+            const expiry = await provider.getBlockNumber();
+            await expect(
+                purchase(info, expiry)
+            ).to.be.revertedWith('Authorized Signature expired');
+
+            await purchase(info, (await provider.getBlockNumber()) + 10);
+            expect(await token721.ownerOf(tokenId + 3)).deep.equal(buyer.address);
+        });
+    });
+
+    describe('Private Listings', async() => {
+        const tokenId = 90;
+        const unitPrice = ethers.utils.parseEther('1');
+        let collector, stranger;
+
+        async function privateSale(saleID, tokenID, reservedBuyers) {
+            const info = saleInfo(saleID, token721.address, NFT721, tokenID, SINGLE_UNIT, ethers.constants.AddressZero, unitPrice);
+            info.reservedBuyers = reservedBuyers;
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            return info;
+        }
+
+        async function purchase(signer, info) {
+            const aSignature = await signPurchase(
+                verifier, market.address, info, signer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            return market.connect(signer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: unitPrice });
+        }
+
+        before(async() => {
+            [collector, stranger] = (await ethers.getSigners()).slice(14, 16);
+            for (const id of [tokenId, tokenId + 1, tokenId + 2])
+                await token721.mint(seller.address, id);
+        });
+
+        it('Should fail to purchase a listing reserved for other Buyers despite an authorized signature', async() => {
+            const info = await privateSale(90, tokenId, [collector.address]);
+            await expect(
+                purchase(stranger, info)
+            ).to.be.revertedWith('Not a reserved buyer');
+        });
+
+        it('Should fail to purchase when the reserved Buyers are modified', async() => {
+            const info = await privateSale(90, tokenId, [collector.address]);
+            info.reservedBuyers = [stranger.address];
+            await expect(
+                purchase(stranger, info)
+            ).to.be.revertedWith('Invalid seller signature');
+        });
+
+        it('Should succeed when one of the reserved Buyers purchases', async() => {
+            const info = await privateSale(90, tokenId, [buyer.address, collector.address]);
+            await expect(
+                purchase(collector, info)
+            ).to.emit(market, 'Purchased');
+            expect(await token721.ownerOf(tokenId)).deep.equal(collector.address);
+        });
+    });
+
+    describe('Pause Controls', async() => {
+        const tokenId = 100;
+        const unitPrice = ethers.utils.parseEther('1');
+        let pauser;
+
+        async function purchase(saleID, tokenID, paymentToken) {
+            const info = saleInfo(saleID, token721.address, NFT721, tokenID, SINGLE_UNIT, paymentToken, unitPrice);
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            const value = paymentToken == ethers.constants.AddressZero ? unitPrice : 0;
+            return market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: value });
+        }
+
+        before(async() => {
+            pauser = (await ethers.getSigners())[16];
+            await management.connect(admin).grantRole(await management.PAUSER_ROLE(), pauser.address);
+            for (const id of [tokenId, tokenId + 1, tokenId + 2])
+                await token721.mint(seller.address, id);
+        });
+
+        it('Should fail to pause when caller does not have PAUSER_ROLE', async() => {
+            //  MANAGER_ROLE is not allowed to pause
+            await expect(
+                management.connect(admin).setPaused(true)
+            ).to.be.reverted;
+            await expect(
+                management.connect(admin).setCollectionPaused(token721.address, true)
+            ).to.be.reverted;
+        });
+
+        it('Should stop purchases and cancellations while paused globally', async() => {
+            await expect(
+                management.connect(pauser).setPaused(true)
+            ).to.emit(management, 'Paused').withArgs(pauser.address, true);
+
+            await expect(
+                purchase(100, tokenId, erc20.address)
+            ).to.be.revertedWith('Paused');
+
+            const signature = await signCancel(verifier, market.address, 103, seller.address, EPOCH);
+            await expect(
+                market.connect(seller).cancelOnSale(103, [signature])
+            ).to.be.revertedWith('Paused');
+
+            await management.connect(pauser).setPaused(false);
+            await market.connect(seller).cancelOnSale(103, [signature]);
+            expect(await archive.isCanceled(seller.address, 103)).deep.equal(true);
+        });
+
+        it('Should stop purchases of a paused Collection', async() => {
+            await expect(
+                management.connect(pauser).setCollectionPaused(token721.address, true)
+            ).to.emit(management, 'CollectionPaused').withArgs(pauser.address, token721.address, true);
+
+            await expect(
+                purchase(100, tokenId, erc20.address)
+            ).to.be.revertedWith('Collection paused');
+
+            await management.connect(pauser).setCollectionPaused(token721.address, false);
+            await purchase(100, tokenId, erc20.address);
+            expect(await token721.ownerOf(tokenId)).deep.equal(buyer.address);
+        });
+
+        it('Should stop purchases paid by a paused Payment Token only', async() => {
+            await expect(
+                management.connect(pauser).setPaymentPaused(ethers.constants.AddressZero, true)
+            ).to.emit(management, 'PaymentPaused').withArgs(pauser.address, ethers.constants.AddressZero, true);
+
+            await expect(
+                purchase(101, tokenId + 1, ethers.constants.AddressZero)
+            ).to.be.revertedWith('Payment paused');
+
+            await purchase(102, tokenId + 2, erc20.address);
+            expect(await token721.ownerOf(tokenId + 2)).deep.equal(buyer.address);
+
+            await management.connect(pauser).setPaymentPaused(ethers.constants.AddressZero, false);
+        });
+    });
+
+    describe('Pull Payments', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        let collection, rejecter, maker, wallet;
+
+        async function purchase(saleID, tokenID, paymentToken) {
+            const info = saleInfo(saleID, collection.address, NFT721, tokenID, SINGLE_UNIT, paymentToken, unitPrice);
+            info.seller = maker.address;
+            info.sSignature = await signSaleInfo(maker, market.address, info);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            const value = paymentToken == ethers.constants.AddressZero ? unitPrice : 0;
+            return market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: value });
+        }
+
+        before(async() => {
+            [maker, wallet] = (await ethers.getSigners()).slice(17, 19);
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Pull', 'PULL');
+            const RejectEther = await ethers.getContractFactory('RejectEtherTest', admin);
+            rejecter = await RejectEther.deploy();
+
+            await management.connect(admin).addCollection(collection.address);
+            await market.connect(admin).setRoyalty(collection.address, [rejecter.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+            for (const id of [1, 2, 3])
+                await collection.mint(maker.address, id);
+            await collection.connect(maker).setApprovalForAll(market.address, true);
+        });
+
+        it('Should credit a royalty receiver that rejects Native Coin instead of reverting the purchase', async() => {
+            const { royalty } = payments(unitPrice, SINGLE_UNIT);
+            await expect(
+                purchase(110, 1, ethers.constants.AddressZero)
+            ).to.emit(market, 'Credited').withArgs(rejecter.address, ethers.constants.AddressZero, royalty);
+
+            expect(await collection.ownerOf(1)).deep.equal(buyer.address);
+            expect(await market.credits(rejecter.address, ethers.constants.AddressZero)).deep.equal(royalty);
+            expect(await provider.getBalance(market.address)).deep.equal(royalty);
+
+            //  The receiver cannot accept Native Coin, thus it withdraws to another address
+            const withdraw = to => market.interface.encodeFunctionData('withdraw', [ethers.constants.AddressZero, to]);
+            await expect(
+                rejecter.execute(market.address, withdraw(rejecter.address))
+            ).to.be.reverted;
+            await expect(
+                () => rejecter.execute(market.address, withdraw(wallet.address))
+            ).to.changeEtherBalance(wallet, royalty);
+            expect(await market.credits(rejecter.address, ethers.constants.AddressZero)).deep.equal(0);
+        });
+
+        it('Should credit Seller who opted in pull payments', async() => {
+            const { payToSeller } = payments(unitPrice, SINGLE_UNIT);
+            await expect(
+                management.connect(maker).setPullPayment(true)
+            ).to.emit(management, 'PullPaymentSet').withArgs(maker.address, true);
+
+            const balSeller = await erc20.balanceOf(maker.address);
+            await purchase(111, 2, erc20.address);
+            expect(await erc20.balanceOf(maker.address)).deep.equal(balSeller);
+            expect(await market.credits(maker.address, erc20.address)).deep.equal(payToSeller);
+
+            await expect(
+                market.connect(maker).withdraw(erc20.address, maker.address)
+            ).to.emit(market, 'Withdrawn').withArgs(maker.address, erc20.address, maker.address, payToSeller);
+            expect(await erc20.balanceOf(maker.address)).deep.equal(balSeller.add(payToSeller));
+
+            await expect(
+                market.connect(maker).withdraw(erc20.address, maker.address)
+            ).to.be.revertedWith('Nothing to withdraw');
+            await management.connect(maker).setPullPayment(false);
+        });
+
+        it('Should accrue commission for Treasury when enabled', async() => {
+            const { fee } = payments(unitPrice, SINGLE_UNIT);
+            await expect(
+                management.connect(buyer).setCommissionAccrual(true)
+            ).to.be.reverted;
+            await management.connect(admin).setCommissionAccrual(true);
+
+            const balTreasury = await erc20.balanceOf(treasury.address);
+            await purchase(112, 3, erc20.address);
+            expect(await erc20.balanceOf(treasury.address)).deep.equal(balTreasury);
+            expect(await market.credits(treasury.address, erc20.address)).deep.equal(fee);
+
+            await market.connect(treasury).withdraw(erc20.address, treasury.address);
+            expect(await erc20.balanceOf(treasury.address)).deep.equal(balTreasury.add(fee));
+
+            await management.connect(admin).setCommissionAccrual(false);
+        });
+    });
+
+    describe('Fee Policy', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        let collection;
+
+        async function purchase(saleID, tokenID, paymentToken) {
+            const info = saleInfo(saleID, collection.address, NFT721, tokenID, SINGLE_UNIT, paymentToken, unitPrice);
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            const value = paymentToken == ethers.constants.AddressZero ? unitPrice : 0;
+            return market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: value });
+        }
+
+        before(async() => {
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Fee', 'FEE');
+            await management.connect(admin).addCollection(collection.address);
+            await market.connect(admin).setRoyalty(collection.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+            for (const id of [1, 2, 3])
+                await collection.mint(seller.address, id);
+            await collection.connect(seller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to set a commission above the maximum total fee', async() => {
+            await management.connect(admin).setMaxTotalFee(1000);
+            await expect(
+                management.connect(admin).setCommissionFee(1001)
+            ).to.be.revertedWith('Invalid setting');
+            await expect(
+                management.connect(admin).setCollectionCommission(collection.address, true, 1001)
+            ).to.be.revertedWith('Invalid setting');
+            await expect(
+                management.connect(admin).setMaxTotalFee(COMMISSION_FEE - 1)
+            ).to.be.revertedWith('Invalid setting');
+        });
+
+        it('Should apply a Payment Token override, then a Collection override on top of it', async() => {
+            const price = ethers.utils.parseEther('10');
+            await management.connect(admin).setPaymentCommission(erc20.address, true, 100);
+            expect(await management.commissionOf(collection.address, erc20.address)).deep.equal(ethers.BigNumber.from(100));
+            expect(await management.commissionOf(collection.address, ethers.constants.AddressZero))
+                .deep.equal(ethers.BigNumber.from(COMMISSION_FEE));
+
+            await management.connect(admin).setCollectionCommission(collection.address, true, 50);
+            const fees = await market.getFees(collection.address, 1, erc20.address, seller.address, price);
+            expect(fees._commissionRate).deep.equal(ethers.BigNumber.from(50));
+            expect(fees._commissionFee).deep.equal(price.mul(50).div(FEE_DENOMINATOR));
+            expect(fees._royaltyFee).deep.equal(price.mul(ROYALTY_FEE).div(FEE_DENOMINATOR));
+            expect(fees._payToSeller).deep.equal(price.sub(fees._commissionFee).sub(fees._royaltyFee));
+
+            const fee = unitPrice.mul(50).div(FEE_DENOMINATOR);
+            const royalty = unitPrice.mul(ROYALTY_FEE).div(FEE_DENOMINATOR);
+            await expect(
+                purchase(120, 1, erc20.address)
+            ).to.emit(market, 'Purchased').withArgs(
+                120, buyer.address, seller.address, SINGLE_UNIT, 0, fee, royalty, unitPrice.sub(fee).sub(royalty), 0
+            );
+
+            await management.connect(admin).setCollectionCommission(collection.address, false, 0);
+            await management.connect(admin).setPaymentCommission(erc20.address, false, 0);
+            expect(await management.commissionOf(collection.address, erc20.address))
+                .deep.equal(ethers.BigNumber.from(COMMISSION_FEE));
+        });
+
+        it('Should fail to purchase when commission and royalty exceed the maximum total fee', async() => {
+            await management.connect(admin).setMaxTotalFee(COMMISSION_FEE + ROYALTY_FEE - 1);
+            await expect(
+                purchase(121, 2, ethers.constants.AddressZero)
+            ).to.be.revertedWith('Fees exceed maximum');
+
+            await management.connect(admin).setMaxTotalFee(COMMISSION_FEE + ROYALTY_FEE);
+            await purchase(121, 2, ethers.constants.AddressZero);
+            expect(await collection.ownerOf(2)).deep.equal(buyer.address);
+
+            await management.connect(admin).setMaxTotalFee(FEE_DENOMINATOR);
+        });
+
+        it('Should keep the primary commission and overrides within a lowered maximum total fee', async() => {
+            await management.connect(admin).setPrimaryCommission(true, 1000);
+            await expect(
+                management.connect(admin).setMaxTotalFee(999)
+            ).to.be.revertedWith('Invalid setting');
+            await management.connect(admin).setPrimaryCommission(false, 0);
+
+            //  Overrides cannot be enumerated, thus a sale charged by an override above the maximum is reverted at payout
+            await management.connect(admin).setCollectionCommission(collection.address, true, 1000);
+            await management.connect(admin).setMaxTotalFee(999);
+            await expect(
+                purchase(122, 3, erc20.address)
+            ).to.be.revertedWith('Fees exceed maximum');
+
+            await management.connect(admin).setMaxTotalFee(FEE_DENOMINATOR);
+            await management.connect(admin).setCollectionCommission(collection.address, false, 0);
+        });
+    });
+
+    describe('Primary and Secondary Sales', async() => {
+        const tokenId = 1;
+        const unitPrice = ethers.utils.parseEther('1');
+        const PRIMARY_FEE = 1000;
+        let collection, multiCollection;
+
+        //  `seller` is the creator, i.e. the royalty receiver, of both collections
+        async function purchase(saleID, from, to, tokenID) {
+            const info = saleInfo(saleID, collection.address, NFT721, tokenID, SINGLE_UNIT, ethers.constants.AddressZero, unitPrice);
+            info.seller = from.address;
+            info.nonce = await archive.nonces(from.address);
+            info.sSignature = await signSaleInfo(from, market.address, info);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, to.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            return market.connect(to).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: unitPrice });
+        }
+
+        before(async() => {
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Primary', 'PRI');
+            const ERC1155 = await ethers.getContractFactory('ERC1155Test', admin);
+            multiCollection = await ERC1155.deploy();
+            for (const nftToken of [collection.address, multiCollection.address]) {
+                await management.connect(admin).addCollection(nftToken);
+                await market.connect(admin).setRoyalty(nftToken, [seller.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+            }
+            await collection.mint(seller.address, tokenId);
+            await collection.mint(seller.address, tokenId + 1);
+            await multiCollection.mint(seller.address, tokenId, 5);
+            await collection.connect(seller).setApprovalForAll(market.address, true);
+            await collection.connect(buyer).setApprovalForAll(market.address, true);
+            await multiCollection.connect(seller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to set a primary commission above the maximum total fee', async() => {
+            await expect(
+                management.connect(buyer).setPrimaryCommission(true, PRIMARY_FEE)
+            ).to.be.reverted;
+            await expect(
+                management.connect(admin).setPrimaryCommission(true, FEE_DENOMINATOR + 1)
+            ).to.be.revertedWith('Invalid setting');
+        });
+
+        it('Should fail to register creators when caller is not Minter or Manager, or creator is 0x00', async() => {
+            await expect(
+                management.connect(buyer).setCreators(collection.address, [tokenId], buyer.address)
+            ).to.be.revertedWith('Only Minter or Manager');
+            await expect(
+                management.connect(admin).setCreators(collection.address, [tokenId], ethers.constants.AddressZero)
+            ).to.be.revertedWith('Set zero address');
+
+            await expect(
+                management.connect(admin).setCreators(collection.address, [tokenId, tokenId + 1], seller.address)
+            ).to.emit(management, 'CreatorsSet').withArgs(collection.address, seller.address, [tokenId, tokenId + 1]);
+            await management.connect(admin).setCreators(multiCollection.address, [tokenId], seller.address);
+            expect(await management.creators(collection.address, tokenId)).deep.equal(seller.address);
+        });
+
+        it('Should charge the primary schedule without royalty on a sale by the creator', async() => {
+            await management.connect(admin).setPrimaryCommission(true, PRIMARY_FEE);
+            const fee = unitPrice.mul(PRIMARY_FEE).div(FEE_DENOMINATOR);
+
+            const fees = await market.getFees(collection.address, tokenId, ethers.constants.AddressZero, seller.address, unitPrice);
+            expect(fees._commissionRate).deep.equal(ethers.BigNumber.from(PRIMARY_FEE));
+            expect(fees._royaltyFee).deep.equal(ethers.constants.Zero);
+
+            await expect(
+                purchase(130, seller, buyer, tokenId)
+            ).to.emit(market, 'Purchased').withArgs(
+                130, buyer.address, seller.address, SINGLE_UNIT, 0, fee, 0, unitPrice.sub(fee), 0
+            );
+        });
+
+        it('Should charge the regular schedule with royalty on resales', async() => {
+            const { fee, royalty, payToSeller } = payments(unitPrice, SINGLE_UNIT);
+            const fees = await market.getFees(collection.address, tokenId, ethers.constants.AddressZero, buyer.address, unitPrice);
+            expect(fees._commissionRate).deep.equal(ethers.BigNumber.from(COMMISSION_FEE));
+            expect(fees._royaltyFee).deep.equal(royalty);
+
+            await expect(
+                purchase(131, buyer, seller, tokenId)
+            ).to.emit(market, 'Purchased').withArgs(
+                131, seller.address, buyer.address, SINGLE_UNIT, 0, fee, royalty, payToSeller, 1
+            );
+        });
+
+        it('Should charge the regular schedule on the first sale of an item acquired off-market', async() => {
+            const { fee, royalty, payToSeller } = payments(unitPrice, SINGLE_UNIT);
+            await collection.connect(seller).transferFrom(seller.address, buyer.address, tokenId + 1);
+
+            await expect(
+                purchase(132, buyer, seller, tokenId + 1)
+            ).to.emit(market, 'Purchased').withArgs(
+                132, seller.address, buyer.address, SINGLE_UNIT, 0, fee, royalty, payToSeller, 0
+            );
+        });
+
+        it('Should charge the primary schedule on every fill of an ERC1155 listing by the creator', async() => {
+            const onSaleAmt = 5;
+            const info = saleInfo(
+                133, multiCollection.address, NFT1155, tokenId, onSaleAmt, ethers.constants.AddressZero, unitPrice
+            );
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+
+            for (const [purchaseAmt, generation] of [[2, 0], [3, 1]]) {
+                const price = unitPrice.mul(purchaseAmt);
+                const fee = price.mul(PRIMARY_FEE).div(FEE_DENOMINATOR);
+                const aSignature = await signPurchase(
+                    verifier, market.address, info, buyer.address, purchaseAmt, MAX_EXPIRY, NO_REFERRER, EPOCH
+                );
+                await expect(
+                    market.connect(buyer).purchase(MAX_EXPIRY, purchaseAmt, info, [aSignature], NO_REFERRER, { value: price })
+                ).to.emit(market, 'Purchased').withArgs(
+                    133, buyer.address, seller.address, purchaseAmt, 0, fee, 0, price.sub(fee), generation
+                );
+            }
+            expect(await multiCollection.balanceOf(buyer.address, tokenId)).deep.equal(ethers.BigNumber.from(onSaleAmt));
+
+            await management.connect(admin).setPrimaryCommission(false, 0);
+        });
+    });
+
+    describe('Buyer Fees', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        let collection;
+
+        async function signedSale(saleID, tokenID, paymentToken) {
+            const info = saleInfo(saleID, collection.address, NFT721, tokenID, SINGLE_UNIT, paymentToken, unitPrice);
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            return info;
+        }
+
+        before(async() => {
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Taker', 'TKR');
+            await management.connect(admin).addCollection(collection.address);
+            await market.connect(admin).setRoyalty(collection.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+            await collection.mint(seller.address, 1);
+            await collection.connect(seller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to set buyer fee share when caller is not Manager or share exceeds 100%', async() => {
+            await expect(
+                management.connect(buyer).setBuyerFeeShare(FEE_DENOMINATOR)
+            ).to.be.reverted;
+            await expect(
+                management.connect(admin).setBuyerFeeShare(FEE_DENOMINATOR + 1)
+            ).to.be.revertedWith('Invalid setting');
+        });
+
+        it('Should charge the whole commission to Buyer on top of the price - Native Coin', async() => {
+            await management.connect(admin).setBuyerFeeShare(FEE_DENOMINATOR);
+            const { fee, royalty } = payments(unitPrice, SINGLE_UNIT);
+            const fees = await market.getFees(collection.address, 1, ethers.constants.AddressZero, seller.address, unitPrice);
+            expect(fees._buyerFee).deep.equal(fee);
+            expect(fees._payToSeller).deep.equal(unitPrice.sub(royalty));
+
+            const info = await signedSale(140, 1, ethers.constants.AddressZero);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: unitPrice })
+            ).to.be.revertedWith('Insufficient payment');
+
+            const balSeller = await provider.getBalance(seller.address);
+            const balTreasury = await provider.getBalance(treasury.address);
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER, { value: unitPrice.add(fee) })
+            ).to.emit(market, 'Purchased').withArgs(
+                140, buyer.address, seller.address, SINGLE_UNIT, fee, 0, royalty, unitPrice.sub(royalty), 0
+            );
+            expect(await provider.getBalance(seller.address)).deep.equal(balSeller.add(unitPrice.sub(royalty)));
+            expect(await provider.getBalance(treasury.address)).deep.equal(balTreasury.add(fee));
+
+            await management.connect(admin).setBuyerFeeShare(0);
+        });
+    });
+
+    describe('Referrals', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        const REFERRAL_SHARE = 2000;
+        let collection, referrer;
+
+        async function signedSale(saleID, tokenID) {
+            const info = saleInfo(
+                saleID, collection.address, NFT721, tokenID, SINGLE_UNIT, ethers.constants.AddressZero, unitPrice
+            );
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            return info;
+        }
+
+        before(async() => {
+            referrer = (await ethers.getSigners())[19];
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Referral', 'REF');
+            await management.connect(admin).addCollection(collection.address);
+            await market.connect(admin).setRoyalty(collection.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+            for (const id of [1, 2])
+                await collection.mint(seller.address, id);
+            await collection.connect(seller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to set referral share when caller is not Manager or share exceeds 100%', async() => {
+            await expect(
+                management.connect(buyer).setReferralShare(REFERRAL_SHARE)
+            ).to.be.reverted;
+            await expect(
+                management.connect(admin).setReferralShare(FEE_DENOMINATOR + 1)
+            ).to.be.revertedWith('Invalid setting');
+        });
+
+        it('Should fail to purchase when the referrer is not approved by AUTHORIZER_ROLE', async() => {
+            const info = await signedSale(150, 1);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], referrer.address, { value: unitPrice })
+            ).to.be.revertedWith('Invalid authorized signature');
+        });
+
+        it('Should pay a share of commission to the referrer - Native Coin', async() => {
+            await management.connect(admin).setReferralShare(REFERRAL_SHARE);
+            const { fee, royalty, payToSeller } = payments(unitPrice, SINGLE_UNIT);
+            const referralFee = fee.mul(REFERRAL_SHARE).div(FEE_DENOMINATOR);
+
+            const balReferrer = await provider.getBalance(referrer.address);
+            const balTreasury = await provider.getBalance(treasury.address);
+            for (const [saleID, tokenID] of [[150, 1], [151, 2]]) {
+                const info = await signedSale(saleID, tokenID);
+                const aSignature = await signPurchase(
+                    verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, referrer.address, EPOCH
+                );
+                const tx = market.connect(buyer).purchase(
+                    MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], referrer.address, { value: unitPrice }
+                );
+                await expect(tx).to.emit(market, 'ReferralPaid').withArgs(
+                    referrer.address, ethers.constants.AddressZero, referralFee
+                );
+                await expect(tx).to.emit(market, 'Purchased').withArgs(
+                    saleID, buyer.address, seller.address, SINGLE_UNIT, 0, fee, royalty, payToSeller, 0
+                );
+            }
+
+            expect(await provider.getBalance(referrer.address)).deep.equal(balReferrer.add(referralFee.mul(2)));
+            expect(await provider.getBalance(treasury.address)).deep.equal(balTreasury.add(fee.sub(referralFee).mul(2)));
+            expect(await market.referralEarnings(referrer.address, ethers.constants.AddressZero))
+                .deep.equal(referralFee.mul(2));
+
+            await management.connect(admin).setReferralShare(0);
+        });
+    });
+
+    describe('Meta-transactions', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        let collection, forwarder;
+
+        async function signedSale(saleID, tokenID) {
+            const info = saleInfo(saleID, collection.address, NFT721, tokenID, SINGLE_UNIT, erc20.address, unitPrice);
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            return info;
+        }
+
+        before(async() => {
+            const Forwarder = await ethers.getContractFactory('ForwarderTest', admin);
+            forwarder = await Forwarder.deploy();
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Relay', 'RLY');
+            await management.connect(admin).addCollection(collection.address);
+            await collection.mint(seller.address, 1);
+            await collection.connect(seller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to set trusted forwarder when caller is not Manager', async() => {
+            await expect(
+                management.connect(buyer).setTrustedForwarder(forwarder.address)
+            ).to.be.reverted;
+        });
+
+        it('Should fail to relay a purchase through an untrusted forwarder', async() => {
+            const info = await signedSale(160, 1);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+
+            //  Buyer is not recovered, thus Authorizer did not approve the forwarder as Buyer
+            expect(await market.isTrustedForwarder(forwarder.address)).deep.equal(false);
+            await expect(
+                relay(admin, forwarder, buyer, market, 'purchase', [MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER])
+            ).to.be.rejectedWith('Invalid authorized signature');
+        });
+
+        it('Should succeed to relay a purchase signed by Buyer without paying gas', async() => {
+            await management.connect(admin).setTrustedForwarder(forwarder.address);
+            expect(await market.isTrustedForwarder(forwarder.address)).deep.equal(true);
+
+            const info = await signedSale(160, 1);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            //  No royalty is set for `collection`
+            const fee = unitPrice.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+
+            const balBuyer = await provider.getBalance(buyer.address);
+            await expect(
+                relay(admin, forwarder, buyer, market, 'purchase', [MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER])
+            ).to.emit(market, 'Purchased').withArgs(
+                160, buyer.address, seller.address, SINGLE_UNIT, 0, fee, 0, unitPrice.sub(fee), 0
+            );
+            expect(await collection.ownerOf(1)).deep.equal(buyer.address);
+            expect(await provider.getBalance(buyer.address)).deep.equal(balBuyer);
+        });
+
+        it('Should succeed to relay a withdrawal of payments credited to Seller', async() => {
+            await collection.mint(seller.address, 2);
+            await management.connect(seller).setPullPayment(true);
+            const info = await signedSale(162, 2);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            const payToSeller = unitPrice.sub(unitPrice.mul(COMMISSION_FEE).div(FEE_DENOMINATOR));
+            await market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER);
+            expect(await market.credits(seller.address, erc20.address)).deep.equal(payToSeller);
+
+            const balSeller = await erc20.balanceOf(seller.address);
+            await expect(
+                relay(admin, forwarder, seller, market, 'withdraw', [erc20.address, seller.address])
+            ).to.emit(market, 'Withdrawn').withArgs(seller.address, erc20.address, seller.address, payToSeller);
+            expect(await erc20.balanceOf(seller.address)).deep.equal(balSeller.add(payToSeller));
+            expect(await market.credits(seller.address, erc20.address)).deep.equal(0);
+
+            await management.connect(seller).setPullPayment(false);
+        });
+
+        it('Should succeed to relay a cancellation signed by Seller', async() => {
+            const signature = await signCancel(verifier, market.address, 161, seller.address, EPOCH);
+
+            await expect(
+                relay(admin, forwarder, seller, market, 'cancelOnSale', [161, [signature]])
+            ).to.emit(market, 'Canceled').withArgs(seller.address, 161);
+            expect(await archive.isCanceled(seller.address, 161)).deep.equal(true);
+
+            await management.connect(admin).setTrustedForwarder(ethers.constants.AddressZero);
+        });
+    });
+
+    describe('Contract Wallets', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        let collection, owner, sellerWallet, authWallet;
+
+        async function walletSale(saleID, tokenID, signer) {
+            const info = saleInfo(saleID, collection.address, NFT721, tokenID, SINGLE_UNIT, erc20.address, unitPrice);
+            info.seller = sellerWallet.address;
+            info.sSignature = await signSaleInfo(signer, market.address, info);
+            return info;
+        }
+
+        before(async() => {
+            //  Both wallets are owned by `owner`, whose signatures are valid signatures of the wallets (ERC-1271)
+            owner = ethers.Wallet.createRandom().connect(provider);
+            await admin.sendTransaction({ to: owner.address, value: ethers.utils.parseEther('1') });
+
+            const SmartWallet = await ethers.getContractFactory('SmartWalletTest', admin);
+            sellerWallet = await SmartWallet.deploy(owner.address);
+            authWallet = await SmartWallet.deploy(owner.address);
+            await management.connect(admin).grantRole(await management.AUTHORIZER_ROLE(), authWallet.address);
+
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Wallet', 'WLT');
+            await management.connect(admin).addCollection(collection.address);
+            for (const id of [1, 2, 3, 4])
+                await collection.mint(sellerWallet.address, id);
+            await sellerWallet.connect(owner).execute(
+                collection.address,
+                collection.interface.encodeFunctionData('setApprovalForAll', [market.address, true]),
+                0
+            );
+        });
+
+        it('Should fail to purchase when the listing is not signed by the owner of the contract wallet', async() => {
+            const info = await walletSale(180, 1, seller);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER)
+            ).to.be.revertedWith('Invalid seller signature');
+        });
+
+        it('Should succeed to purchase a listing of a contract wallet (ERC-1271)', async() => {
+            const info = await walletSale(180, 1, owner);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            //  No royalty is set for `collection`
+            const fee = unitPrice.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER)
+            ).to.emit(market, 'Purchased').withArgs(
+                180, buyer.address, sellerWallet.address, SINGLE_UNIT, 0, fee, 0, unitPrice.sub(fee), 0
+            );
+            expect(await collection.ownerOf(1)).deep.equal(buyer.address);
+            expect(await erc20.balanceOf(sellerWallet.address)).deep.equal(unitPrice.sub(fee));
+        });
+
+        it('Should succeed to cancel a listing by the contract wallet', async() => {
+            const info = await walletSale(181, 2, owner);
+
+            await expect(
+                sellerWallet.connect(owner).execute(
+                    market.address, market.interface.encodeFunctionData('cancelSale', [info]), 0
+                )
+            ).to.emit(market, 'ListingCanceled').withArgs(
+                sellerWallet.address, 181, hashSaleInfo(await owner.getChainId(), market.address, info)
+            );
+
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER)
+            ).to.be.revertedWith('Sale canceled');
+        });
+
+        it('Should fail to purchase when a contract wallet authorizer did not sign', async() => {
+            const info = await walletSale(182, 3, owner);
+            //  Signed by Seller rather than the owner of `authWallet`
+            const signature = await signPurchase(
+                seller, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+
+            await expect(
+                market.connect(buyer).purchase(
+                    MAX_EXPIRY, SINGLE_UNIT, info, [walletSignature(authWallet.address, signature)], NO_REFERRER
+                )
+            ).to.be.revertedWith('Invalid authorized signature');
+        });
+
+        it('Should succeed to purchase with a signature of a contract wallet authorizer', async() => {
+            const info = await walletSale(182, 3, owner);
+            const signature = await signPurchase(
+                owner, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+
+            await expect(
+                market.connect(buyer).purchase(
+                    MAX_EXPIRY, SINGLE_UNIT, info, [walletSignature(authWallet.address, signature)], NO_REFERRER
+                )
+            ).to.emit(market, 'Purchased');
+            expect(await collection.ownerOf(3)).deep.equal(buyer.address);
+        });
+
+        it('Should fail to purchase with a malformed contract wallet signature', async() => {
+            const info = await walletSale(184, 4, owner);
+            const signature = await signPurchase(
+                owner, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            //  Neither decodes as `abi.encode(address wallet, bytes signature)`, thus both are invalid signatures
+            const truncated = walletSignature(authWallet.address, signature).slice(0, -64);
+            const garbage = '0x' + 'ff'.repeat(100);
+
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [truncated], NO_REFERRER)
+            ).to.be.revertedWith('Invalid authorized signature');
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [garbage], NO_REFERRER)
+            ).to.be.revertedWith('Invalid authorized signature');
+        });
+
+        it('Should succeed to cancel on sale with a signature of a contract wallet authorizer', async() => {
+            const signature = await signCancel(owner, market.address, 183, seller.address, EPOCH);
+
+            await expect(
+                market.connect(seller).cancelOnSale(183, [walletSignature(authWallet.address, signature)])
+            ).to.emit(market, 'Canceled').withArgs(seller.address, 183);
+            expect(await archive.isCanceled(seller.address, 183)).deep.equal(true);
+        });
+    });
+
+    describe('Authorizer Thresholds', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        let collection, verifier2;
+
+        async function signedSale(saleID, tokenID, price) {
+            const info = saleInfo(saleID, collection.address, NFT721, tokenID, SINGLE_UNIT, erc20.address, price);
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            return info;
+        }
+
+        async function approvals(info, authorizers) {
+            return Promise.all(authorizers.map(authorizer =>
+                signPurchase(authorizer, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH)
+            ));
+        }
+
+        before(async() => {
+            //  A second Authorizer only signs, thus it needs no fund
+            verifier2 = ethers.Wallet.createRandom().connect(provider);
+            await management.connect(admin).grantRole(await management.AUTHORIZER_ROLE(), verifier2.address);
+
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Threshold', 'THR');
+            await management.connect(admin).addCollection(collection.address);
+            for (const id of [1, 2, 3, 4])
+                await collection.mint(seller.address, id);
+            await collection.connect(seller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to set an invalid threshold', async() => {
+            await expect(
+                management.connect(buyer).setAuthorizerThreshold(2)
+            ).to.be.reverted;
+            await expect(
+                management.connect(admin).setAuthorizerThreshold(0)
+            ).to.be.revertedWith('Invalid setting');
+            await expect(
+                management.connect(admin).setThresholdTiers(erc20.address, [1, 2], [2])
+            ).to.be.revertedWith('Length mismatch');
+            await expect(
+                management.connect(admin).setThresholdTiers(erc20.address, [2, 1], [2, 3])
+            ).to.be.revertedWith('Invalid setting');
+        });
+
+        it('Should fail to purchase when signatures do not meet the threshold', async() => {
+            await management.connect(admin).setAuthorizerThreshold(2);
+            const info = await signedSale(190, 1, unitPrice);
+
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, await approvals(info, [verifier]), NO_REFERRER)
+            ).to.be.revertedWith('Invalid authorized signature');
+
+            //  Signatures of accounts without AUTHORIZER_ROLE are not counted
+            await expect(
+                market.connect(buyer).purchase(
+                    MAX_EXPIRY, SINGLE_UNIT, info, await approvals(info, [verifier, seller]), NO_REFERRER
+                )
+            ).to.be.revertedWith('Invalid authorized signature');
+        });
+
+        it('Should fail to purchase when one Authorizer signs twice', async() => {
+            const info = await signedSale(190, 1, unitPrice);
+
+            await expect(
+                market.connect(buyer).purchase(
+                    MAX_EXPIRY, SINGLE_UNIT, info, await approvals(info, [verifier, verifier]), NO_REFERRER
+                )
+            ).to.be.revertedWith('Duplicate authorizer');
+        });
+
+        it('Should succeed to purchase with signatures of distinct Authorizers', async() => {
+            const info = await signedSale(190, 1, unitPrice);
+
+            await expect(
+                market.connect(buyer).purchase(
+                    MAX_EXPIRY, SINGLE_UNIT, info, await approvals(info, [verifier2, verifier]), NO_REFERRER
+                )
+            ).to.emit(market, 'Purchased');
+            expect(await collection.ownerOf(1)).deep.equal(buyer.address);
+        });
+
+        it('Should require the threshold to cancel on sale', async() => {
+            const signature = await signCancel(verifier, market.address, 191, seller.address, EPOCH);
+            await expect(
+                market.connect(seller).cancelOnSale(191, [signature])
+            ).to.be.revertedWith('Invalid signature');
+
+            const signature2 = await signCancel(verifier2, market.address, 191, seller.address, EPOCH);
+            await expect(
+                market.connect(seller).cancelOnSale(191, [signature, signature2])
+            ).to.emit(market, 'Canceled').withArgs(seller.address, 191);
+
+            await management.connect(admin).setAuthorizerThreshold(1);
+        });
+
+        it('Should require more signatures for purchases of a high value tier', async() => {
+            const highPrice = unitPrice.mul(10);
+            await management.connect(admin).setThresholdTiers(erc20.address, [highPrice], [2]);
+            expect(await management.authorizerThresholdOf(erc20.address, unitPrice)).deep.equal(ethers.BigNumber.from(1));
+            expect(await management.authorizerThresholdOf(erc20.address, highPrice)).deep.equal(ethers.BigNumber.from(2));
+            expect(await management.authorizerThresholdOf(ethers.constants.AddressZero, highPrice)).deep.equal(
+                ethers.BigNumber.from(1)
+            );
+
+            const info = await signedSale(192, 2, unitPrice);
+            await market.connect(buyer).purchase(
+                MAX_EXPIRY, SINGLE_UNIT, info, await approvals(info, [verifier]), NO_REFERRER
+            );
+            expect(await collection.ownerOf(2)).deep.equal(buyer.address);
+
+            const highInfo = await signedSale(193, 3, highPrice);
+            await expect(
+                market.connect(buyer).purchase(
+                    MAX_EXPIRY, SINGLE_UNIT, highInfo, await approvals(highInfo, [verifier]), NO_REFERRER
+                )
+            ).to.be.revertedWith('Invalid authorized signature');
+            await market.connect(buyer).purchase(
+                MAX_EXPIRY, SINGLE_UNIT, highInfo, await approvals(highInfo, [verifier, verifier2]), NO_REFERRER
+            );
+            expect(await collection.ownerOf(3)).deep.equal(buyer.address);
+
+            await management.connect(admin).setThresholdTiers(erc20.address, [], []);
+        });
+
+        it('Should not count a malformed contract wallet signature, nor fail the other signatures', async() => {
+            await management.connect(admin).setAuthorizerThreshold(2);
+            const info = await signedSale(194, 4, unitPrice);
+            const [signature, signature2] = await approvals(info, [verifier, verifier2]);
+            //  Neither decodes as `abi.encode(address wallet, bytes signature)`
+            const truncated = walletSignature(verifier.address, signature).slice(0, -64);
+            const garbage = '0x' + 'ff'.repeat(100);
+
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [truncated, garbage, signature], NO_REFERRER)
+            ).to.be.revertedWith('Invalid authorized signature');
+            await expect(
+                market.connect(buyer).purchase(
+                    MAX_EXPIRY, SINGLE_UNIT, info, [truncated, signature, garbage, signature2], NO_REFERRER
+                )
+            ).to.emit(market, 'Purchased');
+            expect(await collection.ownerOf(4)).deep.equal(buyer.address);
+
+            await management.connect(admin).setAuthorizerThreshold(1);
+        });
+    });
+
+    describe('Namespaced Sale IDs', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        let other, archiveV1;
+
+        function otherSale(saleID, tokenID, onSaleAmt) {
+            const info = saleInfo(saleID, token1155.address, NFT1155, tokenID, onSaleAmt, erc20.address, unitPrice);
+            info.seller = other.address;
+            return info;
+        }
+
+        async function buy(info, signer, purchaseAmt) {
+            info.sSignature = await signSaleInfo(signer, market.address, info);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, purchaseAmt, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            return market.connect(buyer).purchase(MAX_EXPIRY, purchaseAmt, info, [aSignature], NO_REFERRER);
+        }
+
+        before(async() => {
+            //  A previous Archive keeps sale state by bare `saleId`. Its state is recorded by the Marketplace of
+            //  Management, thus `admin` plays the previous Marketplace while the legacy sales are recorded
+            const ArchiveV1 = await ethers.getContractFactory('ArchiveV1Test', admin);
+            archiveV1 = await ArchiveV1.deploy(management.address);
+            await management.connect(admin).updateMarketplace(admin.address);
+            await archiveV1.connect(admin).setCurrentOnSale(212, 3);
+            await archiveV1.connect(admin).setLocked(212);
+            await archiveV1.connect(admin).cancel(213);
+            await management.connect(admin).updateMarketplace(market.address);
+
+            other = ethers.Wallet.createRandom().connect(provider);
+            await admin.sendTransaction({ to: other.address, value: ethers.utils.parseEther('1') });
+            await token1155.mint(other.address, 210, 10);
+            await token1155.mint(seller.address, 210, 10);
+            await token1155.connect(other).setApprovalForAll(market.address, true);
+        });
+
+        it('Should not exhaust a listing of another Seller sharing the same saleId', async() => {
+            const info = saleInfo(210, token1155.address, NFT1155, 210, 2, erc20.address, unitPrice);
+            await buy(info, seller, 2);
+            expect(await archive.getCurrentOnSale(market.address, seller.address, 210)).deep.equal(ethers.constants.Zero);
+
+            await expect(
+                buy(otherSale(210, 210, 5), other, 3)
+            ).to.emit(market, 'Purchased');
+            expect(await archive.getCurrentOnSale(market.address, other.address, 210)).deep.equal(ethers.BigNumber.from(2));
+            expect(await archive.onSaleKey(market.address, other.address, 210)).not.equal(await archive.onSaleKey(market.address, seller.address, 210));
+        });
+
+        it('Should not cancel a listing of another Seller sharing the same saleId', async() => {
+            const signature = await signCancel(verifier, market.address, 211, seller.address, EPOCH);
+            await market.connect(seller).cancelOnSale(211, [signature]);
+            expect(await archive.isCanceled(seller.address, 211)).deep.equal(true);
+            expect(await archive.isCanceled(other.address, 211)).deep.equal(false);
+
+            await expect(
+                buy(otherSale(211, 210, 5), other, 1)
+            ).to.emit(market, 'Purchased');
+        });
+
+        it('Should fail to migrate legacy sales when caller is not Manager', async() => {
+            await expect(
+                archive.connect(seller).migrateSales(archiveV1.address, market.address, [seller.address], [212])
+            ).to.be.revertedWith('Only Manager');
+            await expect(
+                archive.connect(admin).migrateSales(archiveV1.address, market.address, [seller.address], [212, 213])
+            ).to.be.revertedWith('Length mismatch');
+        });
+
+        it('Should succeed to migrate legacy sales of the previous Archive into the namespace of their Sellers', async() => {
+            expect(await archiveV1.getCurrentOnSale(212)).deep.equal(ethers.BigNumber.from(3));
+
+            //  Legacy state is not read until it is migrated
+            expect(await archive.getLocked(market.address, other.address, 212)).deep.equal(false);
+
+            await expect(
+                archive.connect(admin).migrateSales(archiveV1.address, market.address, [other.address, other.address], [212, 213])
+            ).to.emit(archive, 'SaleMigrated').withArgs(other.address, 212);
+            expect(await archive.getLocked(market.address, other.address, 212)).deep.equal(true);
+            expect(await archive.getCurrentOnSale(market.address, other.address, 212)).deep.equal(ethers.BigNumber.from(3));
+            expect(await archive.isCanceled(other.address, 213)).deep.equal(true);
+
+            //  The listing continues from the migrated amount
+            await expect(
+                buy(otherSale(212, 210, 5), other, 4)
+            ).to.be.reverted;
+            await buy(otherSale(212, 210, 5), other, 3);
+            expect(await archive.getCurrentOnSale(market.address, other.address, 212)).deep.equal(ethers.constants.Zero);
+            await expect(
+                buy(otherSale(213, 210, 5), other, 1)
+            ).to.be.revertedWith('Sale canceled');
+        });
+    });
+
+    //  Epoch is never reset, thus these tests run last
+    describe('Authorizer Epochs', async() => {
+        const unitPrice = ethers.utils.parseEther('1');
+        let collection;
+
+        async function signedSale(saleID, tokenID) {
+            const info = saleInfo(saleID, collection.address, NFT721, tokenID, SINGLE_UNIT, erc20.address, unitPrice);
+            info.sSignature = await signSaleInfo(seller, market.address, info);
+            return info;
+        }
+
+        before(async() => {
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            collection = await ERC721.deploy('Epoch', 'EPC');
+            await management.connect(admin).addCollection(collection.address);
+            await collection.mint(seller.address, 1);
+            await collection.connect(seller).setApprovalForAll(market.address, true);
+        });
+
+        it('Should fail to invalidate authorizations when caller is not Manager', async() => {
+            await expect(
+                management.connect(verifier).invalidateAuthorizations()
+            ).to.be.reverted;
+        });
+
+        it('Should fail to purchase and cancel with signatures issued before invalidation', async() => {
+            const info = await signedSale(200, 1);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, EPOCH
+            );
+            const signature = await signCancel(verifier, market.address, 201, seller.address, EPOCH);
+
+            await expect(
+                management.connect(admin).invalidateAuthorizations()
+            ).to.emit(management, 'AuthorizationsInvalidated').withArgs(admin.address, 1);
+
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER)
+            ).to.be.revertedWith('Invalid authorized signature');
+            await expect(
+                market.connect(seller).cancelOnSale(201, [signature])
+            ).to.be.revertedWith('Invalid signature');
+        });
+
+        it('Should succeed to purchase and cancel with signatures of the current epoch', async() => {
+            const epoch = await management.authorizerEpoch();
+            const info = await signedSale(200, 1);
+            const aSignature = await signPurchase(
+                verifier, market.address, info, buyer.address, SINGLE_UNIT, MAX_EXPIRY, NO_REFERRER, epoch
+            );
+            const signature = await signCancel(verifier, market.address, 201, seller.address, epoch);
+
+            await expect(
+                market.connect(buyer).purchase(MAX_EXPIRY, SINGLE_UNIT, info, [aSignature], NO_REFERRER)
+            ).to.emit(market, 'Purchased');
+            expect(await collection.ownerOf(1)).deep.equal(buyer.address);
+            await expect(
+                market.connect(seller).cancelOnSale(201, [signature])
+            ).to.emit(market, 'Canceled').withArgs(seller.address, 201);
+        });
+    });
+});
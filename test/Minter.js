@@ -0,0 +1,258 @@
+const chai = require('chai');
+const chaiAsPromise = require('chai-as-promised');
+const { ethers } = require('hardhat');
+const { walletSignature, timestampExpiry } = require('../helpers/eip712');
+const { relay } = require('../helpers/relayer');
+
+chai.use(chaiAsPromise);
+const expect = chai.expect;
+
+describe('Minter Contract Testing', () => {
+    let provider;
+    let admin, treasury, verifier, verifier2, pauser, buyer, walletOwner;
+    let management, minter, pub721, pub1155;
+
+    const NFT721 = 721;
+    const SINGLE_UNIT = 1;
+    const COMMISSION_FEE = 250;
+    const MAX_EXPIRY = ethers.constants.MaxUint256;
+    //  `authorizerEpoch` of Management until "Authorizer Epochs" bumps it
+    const EPOCH = 0;
+
+    //  Minter approvals are signed as Ethereum signed messages over the packed arguments, rather than EIP-712
+    function signMint721(authorizer, tokenId, uri, to, expiry, epoch) {
+        const hash = ethers.utils.solidityKeccak256(
+            ['uint256', 'string', 'address', 'uint256', 'uint256'], [tokenId, uri, to, expiry, epoch]
+        );
+        return authorizer.signMessage(ethers.utils.arrayify(hash));
+    }
+
+    function signMintBatch721(authorizer, tokenIds, uris, to, expiry, epoch) {
+        const packed = ethers.utils.solidityPack(Array(uris.length).fill('string'), uris);
+        const hash = ethers.utils.solidityKeccak256(
+            ['uint256[]', 'bytes', 'address', 'uint256', 'uint256'], [tokenIds, packed, to, expiry, epoch]
+        );
+        return authorizer.signMessage(ethers.utils.arrayify(hash));
+    }
+
+    async function now() {
+        return (await provider.getBlock('latest')).timestamp;
+    }
+
+    before(async() => {
+        //  Get pre-fund accounts
+        [admin, treasury, verifier, verifier2, pauser, buyer, walletOwner] = await ethers.getSigners();
+        provider = ethers.provider;
+
+        //  Deploy Management, Public Collections and Minter contracts
+        const Management = await ethers.getContractFactory('Management', admin);
+        management = await Management.deploy(admin.address, treasury.address, COMMISSION_FEE);
+        const PubCollection721 = await ethers.getContractFactory('PubCollection721', admin);
+        pub721 = await PubCollection721.deploy(management.address);
+        const PubCollection1155 = await ethers.getContractFactory('PubCollection1155', admin);
+        pub1155 = await PubCollection1155.deploy(management.address, '');
+        const Minter = await ethers.getContractFactory('Minter', admin);
+        minter = await Minter.deploy(management.address, pub721.address, pub1155.address);
+
+        //  Grant roles. Minter mints items of the Public Collections
+        await management.connect(admin).grantRole(await management.MANAGER_ROLE(), admin.address);
+        await management.connect(admin).grantRole(await management.MINTER_ROLE(), minter.address);
+        await management.connect(admin).grantRole(await management.AUTHORIZER_ROLE(), verifier.address);
+        await management.connect(admin).grantRole(await management.AUTHORIZER_ROLE(), verifier2.address);
+        await management.connect(admin).grantRole(await management.PAUSER_ROLE(), pauser.address);
+    });
+
+    describe('Authorized Mints', async() => {
+        it('Should succeed to mint an ERC721 item approved by Authorizer', async() => {
+            const signature = await signMint721(verifier, 1, 'uri-1', buyer.address, MAX_EXPIRY, EPOCH);
+
+            await expect(
+                minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](1, MAX_EXPIRY, 'uri-1', [signature])
+            ).to.emit(minter, 'Mint').withArgs(pub721.address, NFT721, buyer.address, 1, SINGLE_UNIT);
+            expect(await pub721.ownerOf(1)).deep.equal(buyer.address);
+            //  Sales of the item by its minter are primary sales
+            expect(await management.creators(pub721.address, 1)).deep.equal(buyer.address);
+        });
+
+        it('Should fail to mint when the approval was issued to another account', async() => {
+            const signature = await signMint721(verifier, 2, 'uri-2', buyer.address, MAX_EXPIRY, EPOCH);
+
+            await expect(
+                minter.connect(admin)['mint(uint256,uint256,string,bytes[])'](2, MAX_EXPIRY, 'uri-2', [signature])
+            ).to.be.revertedWith('Invalid signature');
+        });
+
+        it('Should fail to mint after an expiry flagged as a timestamp', async() => {
+            const expiry = timestampExpiry((await now()) - 1);
+            const signature = await signMint721(verifier, 2, 'uri-2', buyer.address, expiry, EPOCH);
+
+            await expect(
+                minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](2, expiry, 'uri-2', [signature])
+            ).to.be.revertedWith('Authorized signature expired');
+        });
+    });
+
+    describe('Pause Controls', async() => {
+        it('Should fail to mint when minting is paused globally', async() => {
+            const signature = await signMint721(verifier, 3, 'uri-3', buyer.address, MAX_EXPIRY, EPOCH);
+
+            await management.connect(pauser).setPaused(true);
+            await expect(
+                minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](3, MAX_EXPIRY, 'uri-3', [signature])
+            ).to.be.revertedWith('Paused');
+
+            await management.connect(pauser).setPaused(false);
+            await minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](3, MAX_EXPIRY, 'uri-3', [signature]);
+            expect(await pub721.ownerOf(3)).deep.equal(buyer.address);
+        });
+
+        it('Should fail to mint items of a paused Collection only', async() => {
+            const signature = await signMint721(verifier, 4, 'uri-4', buyer.address, MAX_EXPIRY, EPOCH);
+
+            await management.connect(pauser).setCollectionPaused(pub721.address, true);
+            await expect(
+                minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](4, MAX_EXPIRY, 'uri-4', [signature])
+            ).to.be.revertedWith('Collection paused');
+            await management.connect(pauser).setCollectionPaused(pub721.address, false);
+
+            await management.connect(pauser).setCollectionPaused(pub1155.address, true);
+            await expect(
+                minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](4, MAX_EXPIRY, 'uri-4', [signature])
+            ).to.emit(minter, 'Mint').withArgs(pub721.address, NFT721, buyer.address, 4, SINGLE_UNIT);
+            await management.connect(pauser).setCollectionPaused(pub1155.address, false);
+        });
+    });
+
+    describe('Meta-transactions', async() => {
+        let forwarder;
+
+        before(async() => {
+            const Forwarder = await ethers.getContractFactory('ForwarderTest', admin);
+            forwarder = await Forwarder.deploy();
+        });
+
+        it('Should fail to relay a mint through an untrusted forwarder', async() => {
+            const signature = await signMint721(verifier, 5, 'uri-5', buyer.address, MAX_EXPIRY, EPOCH);
+
+            //  Buyer is not recovered, thus Authorizer did not approve the forwarder as Buyer
+            await expect(
+                relay(admin, forwarder, buyer, minter, 'mint(uint256,uint256,string,bytes[])', [5, MAX_EXPIRY, 'uri-5', [signature]])
+            ).to.be.rejectedWith('Invalid signature');
+        });
+
+        it('Should succeed to relay a mint signed by Buyer without paying gas', async() => {
+            await management.connect(admin).setTrustedForwarder(forwarder.address);
+            expect(await minter.isTrustedForwarder(forwarder.address)).deep.equal(true);
+            const signature = await signMint721(verifier, 5, 'uri-5', buyer.address, MAX_EXPIRY, EPOCH);
+
+            const balBuyer = await provider.getBalance(buyer.address);
+            await expect(
+                relay(admin, forwarder, buyer, minter, 'mint(uint256,uint256,string,bytes[])', [5, MAX_EXPIRY, 'uri-5', [signature]])
+            ).to.emit(minter, 'Mint').withArgs(pub721.address, NFT721, buyer.address, 5, SINGLE_UNIT);
+            expect(await pub721.ownerOf(5)).deep.equal(buyer.address);
+            expect(await provider.getBalance(buyer.address)).deep.equal(balBuyer);
+
+            await management.connect(admin).setTrustedForwarder(ethers.constants.AddressZero);
+        });
+    });
+
+    describe('Contract Wallet Authorizers', async() => {
+        let authWallet;
+
+        before(async() => {
+            const SmartWallet = await ethers.getContractFactory('SmartWalletTest', admin);
+            authWallet = await SmartWallet.deploy(walletOwner.address);
+        });
+
+        it('Should fail to mint with a signature of a contract wallet without AUTHORIZER_ROLE', async() => {
+            const signature = await signMint721(walletOwner, 6, 'uri-6', buyer.address, MAX_EXPIRY, EPOCH);
+
+            await expect(
+                minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](
+                    6, MAX_EXPIRY, 'uri-6', [walletSignature(authWallet.address, signature)]
+                )
+            ).to.be.revertedWith('Invalid signature');
+        });
+
+        it('Should succeed to mint approved by an ERC-1271 contract wallet with AUTHORIZER_ROLE', async() => {
+            await management.connect(admin).grantRole(await management.AUTHORIZER_ROLE(), authWallet.address);
+            const signature = await signMint721(walletOwner, 6, 'uri-6', buyer.address, MAX_EXPIRY, EPOCH);
+
+            //  The owner of the wallet is not an Authorizer, thus its plain signature is not counted
+            await expect(
+                minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](6, MAX_EXPIRY, 'uri-6', [signature])
+            ).to.be.revertedWith('Invalid signature');
+
+            await minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](
+                6, MAX_EXPIRY, 'uri-6', [walletSignature(authWallet.address, signature)]
+            );
+            expect(await pub721.ownerOf(6)).deep.equal(buyer.address);
+
+            await management.connect(admin).revokeRole(await management.AUTHORIZER_ROLE(), authWallet.address);
+        });
+    });
+
+    describe('Authorizer Threshold', async() => {
+        const tokenIds = [7, 8];
+        const uris = ['uri-7', 'uri-8'];
+
+        before(async() => {
+            await management.connect(admin).setAuthorizerThreshold(2);
+        });
+
+        after(async() => {
+            await management.connect(admin).setAuthorizerThreshold(1);
+        });
+
+        it('Should fail to mint with fewer signatures than the threshold', async() => {
+            const signature = await signMintBatch721(verifier, tokenIds, uris, buyer.address, MAX_EXPIRY, EPOCH);
+
+            await expect(
+                minter.connect(buyer)['mintBatch(uint256,uint256[],string[],bytes[])'](MAX_EXPIRY, tokenIds, uris, [signature])
+            ).to.be.revertedWith('Invalid signature');
+        });
+
+        it('Should fail to mint with two signatures of the same Authorizer', async() => {
+            const signature = await signMintBatch721(verifier, tokenIds, uris, buyer.address, MAX_EXPIRY, EPOCH);
+
+            await expect(
+                minter.connect(buyer)['mintBatch(uint256,uint256[],string[],bytes[])'](
+                    MAX_EXPIRY, tokenIds, uris, [signature, signature]
+                )
+            ).to.be.revertedWith('Duplicate authorizer');
+        });
+
+        it('Should succeed to mint a batch approved by distinct Authorizers', async() => {
+            const signatures = [
+                await signMintBatch721(verifier, tokenIds, uris, buyer.address, MAX_EXPIRY, EPOCH),
+                await signMintBatch721(verifier2, tokenIds, uris, buyer.address, MAX_EXPIRY, EPOCH),
+            ];
+
+            await expect(
+                minter.connect(buyer)['mintBatch(uint256,uint256[],string[],bytes[])'](MAX_EXPIRY, tokenIds, uris, signatures)
+            ).to.emit(minter, 'MintBatch').withArgs(pub721.address, NFT721, buyer.address, tokenIds);
+            expect(await pub721.ownerOf(tokenIds[1])).deep.equal(buyer.address);
+            expect(await pub721.tokenURI(tokenIds[1])).deep.equal(uris[1]);
+            expect(await management.creators(pub721.address, tokenIds[1])).deep.equal(buyer.address);
+        });
+    });
+
+    describe('Authorizer Epochs', async() => {
+        it('Should fail to mint with an approval issued before authorizations were invalidated', async() => {
+            const signature = await signMint721(verifier, 9, 'uri-9', buyer.address, MAX_EXPIRY, EPOCH);
+
+            await management.connect(admin).invalidateAuthorizations();
+            await expect(
+                minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](9, MAX_EXPIRY, 'uri-9', [signature])
+            ).to.be.revertedWith('Invalid signature');
+        });
+
+        it('Should succeed to mint with an approval signed for the current epoch', async() => {
+            const epoch = await management.authorizerEpoch();
+            const signature = await signMint721(verifier, 9, 'uri-9', buyer.address, MAX_EXPIRY, epoch);
+
+            await minter.connect(buyer)['mint(uint256,uint256,string,bytes[])'](9, MAX_EXPIRY, 'uri-9', [signature]);
+            expect(await pub721.ownerOf(9)).deep.equal(buyer.address);
+        });
+    });
+});
@@ -0,0 +1,323 @@
+const chai = require('chai');
+const chaiAsPromise = require('chai-as-promised');
+const { ethers } = require('hardhat');
+const { signOfferInfo, signCriteriaOfferInfo, offerId, criteriaOfferId } = require('../helpers/eip712');
+const { merkleRoot, merkleProof } = require('../helpers/merkle');
+const { relay } = require('../helpers/relayer');
+
+chai.use(chaiAsPromise);
+const expect = chai.expect;
+
+describe('OfferBook Contract Testing', () => {
+    let provider;
+    let admin, treasury, seller, buyer, royaltyReceiver;
+    let management, archive, market, offerBook;
+    let erc20, token721, token1155;
+
+    const NFT721 = 721;
+    const NFT1155 = 1155;
+    const SINGLE_UNIT = 1;
+    const COMMISSION_FEE = 250;
+    const ROYALTY_FEE = 500;
+    const FEE_DENOMINATOR = 10000;
+    const MAX_EXPIRY = ethers.constants.MaxUint256;
+
+    function payments(unitPrice, amount) {
+        const total = ethers.BigNumber.from(unitPrice).mul(amount);
+        const fee = total.mul(COMMISSION_FEE).div(FEE_DENOMINATOR);
+        const royalty = total.mul(ROYALTY_FEE).div(FEE_DENOMINATOR);
+        return { fee: fee, royalty: royalty, payToSeller: total.sub(fee).sub(royalty) };
+    }
+
+    async function now() {
+        return (await provider.getBlock('latest')).timestamp;
+    }
+
+    before(async() => {
+        //  Get pre-fund accounts
+        [admin, treasury, seller, buyer, royaltyReceiver] = await ethers.getSigners();
+        provider = ethers.provider;
+
+        //  Deploy some Token contracts. These contracts are used for testing only
+        const ERC20 = await ethers.getContractFactory('ERC20Test', admin);
+        erc20 = await ERC20.deploy('ERC20', 'ERC20');
+        const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+        token721 = await ERC721.deploy('ERC721', '721');
+        const ERC1155 = await ethers.getContractFactory('ERC1155Test', admin);
+        token1155 = await ERC1155.deploy();
+
+        //  Deploy Management, Archive, Marketplace and OfferBook contracts. Trading contracts are linked to PaymentMath library
+        const Management = await ethers.getContractFactory('Management', admin);
+        management = await Management.deploy(admin.address, treasury.address, COMMISSION_FEE);
+        const Archive = await ethers.getContractFactory('Archive', admin);
+        archive = await Archive.deploy(management.address);
+        const PaymentMath = await ethers.getContractFactory('PaymentMath', admin);
+        const paymentMath = await PaymentMath.deploy();
+        const libraries = { PaymentMath: paymentMath.address };
+        const Marketplace = await ethers.getContractFactory('Marketplace', { signer: admin, libraries: libraries });
+        market = await Marketplace.deploy(management.address, archive.address);
+        const OfferBook = await ethers.getContractFactory('OfferBook', { signer: admin, libraries: libraries });
+        offerBook = await OfferBook.deploy(management.address, archive.address);
+
+        //  Grant roles and register Marketplace, Payment Token and Collections
+        await management.connect(admin).grantRole(await management.MANAGER_ROLE(), admin.address);
+        await management.connect(admin).grantRole(await management.MARKET_ROLE(), offerBook.address);
+        await management.connect(admin).updateMarketplace(market.address);
+        await management.connect(admin).addPayment(erc20.address);
+        await management.connect(admin).addCollection(token721.address);
+        await management.connect(admin).addCollection(token1155.address);
+        await market.connect(admin).setRoyalty(token721.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+        await market.connect(admin).setRoyalty(token1155.address, [royaltyReceiver.address], [FEE_DENOMINATOR], ROYALTY_FEE);
+
+        //  Mint items to Seller and approve OfferBook
+        await token1155.mint(seller.address, 1, 100);
+        await token721.connect(seller).setApprovalForAll(offerBook.address, true);
+        await token1155.connect(seller).setApprovalForAll(offerBook.address, true);
+
+        await erc20.mint(buyer.address, ethers.utils.parseEther('1000'));
+        await erc20.connect(buyer).approve(offerBook.address, ethers.constants.MaxUint256);
+    });
+
+    describe('Buyer Offers', async() => {
+        const tokenId = 3;
+
+        async function offerInfo(offerID, nftToken, nftType, amount, unitPrice, expiry) {
+            const info = {
+                offerID: offerID,
+                buyer: buyer.address,
+                nftToken: nftToken,
+                paymentToken: erc20.address,
+                nftType: nftType,
+                tokenID: tokenId,
+                amount: amount,
+                unitPrice: unitPrice,
+                expiry: expiry,
+            };
+            info.bSignature = await signOfferInfo(buyer, offerBook.address, info);
+            return info;
+        }
+
+        before(async() => {
+            await token721.mint(seller.address, tokenId);
+            await token1155.mint(seller.address, tokenId, 100);
+        });
+
+        it('Should fail to accept an expired offer', async() => {
+            const info = await offerInfo(1, token721.address, NFT721, SINGLE_UNIT, 1000, (await now()) - 1);
+            await expect(
+                offerBook.connect(seller).acceptOffer(SINGLE_UNIT, info)
+            ).to.be.revertedWith('Offer expired');
+        });
+
+        it('Should fail to accept an offer paid by Native Coin', async() => {
+            const info = await offerInfo(1, token721.address, NFT721, SINGLE_UNIT, 1000, MAX_EXPIRY);
+            info.paymentToken = ethers.constants.AddressZero;
+            await expect(
+                offerBook.connect(seller).acceptOffer(SINGLE_UNIT, info)
+            ).to.be.revertedWith('Invalid payment token');
+        });
+
+        it('Should fail to accept an offer with invalid Buyer signature', async() => {
+            const info = await offerInfo(1, token721.address, NFT721, SINGLE_UNIT, 1000, MAX_EXPIRY);
+            info.unitPrice = 1;
+            await expect(
+                offerBook.connect(seller).acceptOffer(SINGLE_UNIT, info)
+            ).to.be.revertedWith('Invalid buyer signature');
+        });
+
+        it('Should succeed when the owner accepts an offer - ERC721', async() => {
+            const unitPrice = ethers.utils.parseEther('3');
+            const info = await offerInfo(1, token721.address, NFT721, SINGLE_UNIT, unitPrice, MAX_EXPIRY);
+            const id = offerId(31337, offerBook.address, info);
+            const { fee, royalty, payToSeller } = payments(unitPrice, SINGLE_UNIT);
+            const balSeller = await erc20.balanceOf(seller.address);
+
+            await expect(
+                offerBook.connect(seller).acceptOffer(SINGLE_UNIT, info)
+            ).to.emit(offerBook, 'OfferAccepted').withArgs(
+                id, buyer.address, seller.address, SINGLE_UNIT, fee, royalty, payToSeller
+            ).and.to.emit(offerBook, 'Purchased').withArgs(
+                id, buyer.address, seller.address, SINGLE_UNIT, 0, fee, royalty, payToSeller, 0
+            );
+
+            expect(await token721.ownerOf(tokenId)).deep.equal(buyer.address);
+            expect(await erc20.balanceOf(seller.address)).deep.equal(balSeller.add(payToSeller));
+            await expect(
+                offerBook.connect(seller).acceptOffer(SINGLE_UNIT, info)
+            ).to.be.reverted;
+        });
+
+        it('Should succeed to fill an offer partially - ERC1155', async() => {
+            const amount = 10;
+            const info = await offerInfo(2, token1155.address, NFT1155, amount, 100, MAX_EXPIRY);
+            const id = offerId(31337, offerBook.address, info);
+            const balBuyer = await token1155.balanceOf(buyer.address, tokenId);
+
+            await offerBook.connect(seller).acceptOffer(4, info);
+            expect(await archive.getCurrentOnSale(offerBook.address, buyer.address, id)).deep.equal(ethers.BigNumber.from(6));
+
+            await offerBook.connect(seller).acceptOffer(6, info);
+            expect(await archive.getCurrentOnSale(offerBook.address, buyer.address, id)).deep.equal(ethers.BigNumber.from(0));
+            expect(await token1155.balanceOf(buyer.address, tokenId)).deep.equal(balBuyer.add(amount));
+
+            //  The offered amount has run out
+            await expect(
+                offerBook.connect(seller).acceptOffer(1, info)
+            ).to.be.reverted;
+        });
+
+        it('Should succeed when Buyer cancels an offer', async() => {
+            const info = await offerInfo(3, token1155.address, NFT1155, 5, 100, MAX_EXPIRY);
+            const id = offerId(31337, offerBook.address, info);
+
+            await expect(
+                offerBook.connect(seller).cancelOffer(info)
+            ).to.be.revertedWith('Only Buyer');
+
+            await expect(
+                offerBook.connect(buyer).cancelOffer(info)
+            ).to.emit(offerBook, 'OfferCanceled').withArgs(buyer.address, id);
+            expect(await archive.isCanceled(buyer.address, id)).deep.equal(true);
+
+            await expect(
+                offerBook.connect(seller).acceptOffer(1, info)
+            ).to.be.revertedWith('Sale canceled');
+        });
+
+        it('Should succeed to relay an acceptance by Seller and a cancellation by Buyer through the trusted forwarder', async() => {
+            const Forwarder = await ethers.getContractFactory('ForwarderTest', admin);
+            const forwarder = await Forwarder.deploy();
+            await management.connect(admin).setTrustedForwarder(forwarder.address);
+
+            const amount = 2;
+            const info = await offerInfo(4, token1155.address, NFT1155, 5, 100, MAX_EXPIRY);
+            const id = offerId(31337, offerBook.address, info);
+            const { fee, royalty, payToSeller } = payments(100, amount);
+
+            //  Items are transferred from Seller recovered from the relayed call, not from the forwarder
+            await expect(
+                relay(admin, forwarder, seller, offerBook, 'acceptOffer', [amount, info])
+            ).to.emit(offerBook, 'OfferAccepted').withArgs(
+                id, buyer.address, seller.address, amount, fee, royalty, payToSeller
+            );
+
+            await expect(
+                relay(admin, forwarder, buyer, offerBook, 'cancelOffer', [info])
+            ).to.emit(offerBook, 'OfferCanceled').withArgs(buyer.address, id);
+            expect(await archive.isCanceled(buyer.address, id)).deep.equal(true);
+
+            await management.connect(admin).setTrustedForwarder(ethers.constants.AddressZero);
+        });
+    });
+
+    describe('Criteria Offers', async() => {
+        const eligibleIds = [10, 11, 12];
+
+        async function criteriaOfferInfo(offerID, nftToken, nftType, root, amount, unitPrice) {
+            const info = {
+                offerID: offerID,
+                buyer: buyer.address,
+                nftToken: nftToken,
+                paymentToken: erc20.address,
+                nftType: nftType,
+                merkleRoot: root,
+                amount: amount,
+                unitPrice: unitPrice,
+                expiry: MAX_EXPIRY,
+            };
+            info.bSignature = await signCriteriaOfferInfo(buyer, offerBook.address, info);
+            return info;
+        }
+
+        before(async() => {
+            for (const tokenId of [10, 11, 12, 13])
+                await token721.mint(seller.address, tokenId);
+            await token1155.mint(seller.address, 10, 100);
+        });
+
+        it('Should succeed to accept an offer on a set of tokenIds with Merkle proof', async() => {
+            const unitPrice = ethers.utils.parseEther('1');
+            const info = await criteriaOfferInfo(1, token721.address, NFT721, merkleRoot(eligibleIds), SINGLE_UNIT, unitPrice);
+            const id = criteriaOfferId(31337, offerBook.address, info);
+            const { fee, royalty, payToSeller } = payments(unitPrice, SINGLE_UNIT);
+
+            await expect(
+                offerBook.connect(seller).acceptCriteriaOffer(13, SINGLE_UNIT, merkleProof(eligibleIds, 11), info)
+            ).to.be.revertedWith('Invalid proof');
+
+            await expect(
+                offerBook.connect(seller).acceptCriteriaOffer(11, SINGLE_UNIT, merkleProof(eligibleIds, 11), info)
+            ).to.emit(offerBook, 'OfferAccepted').withArgs(
+                id, buyer.address, seller.address, SINGLE_UNIT, fee, royalty, payToSeller
+            ).and.to.emit(offerBook, 'Purchased').withArgs(
+                id, buyer.address, seller.address, SINGLE_UNIT, 0, fee, royalty, payToSeller, 0
+            );
+            expect(await token721.ownerOf(11)).deep.equal(buyer.address);
+
+            //  The offer has been filled
+            await expect(
+                offerBook.connect(seller).acceptCriteriaOffer(12, SINGLE_UNIT, merkleProof(eligibleIds, 12), info)
+            ).to.be.reverted;
+        });
+
+        it('Should succeed to fill a collection-wide offer with different tokenIds', async() => {
+            const info = await criteriaOfferInfo(2, token1155.address, NFT1155, ethers.constants.HashZero, 10, 100);
+            const id = criteriaOfferId(31337, offerBook.address, info);
+            const balBuyer1 = await token1155.balanceOf(buyer.address, 1);
+            const balBuyer10 = await token1155.balanceOf(buyer.address, 10);
+
+            await offerBook.connect(seller).acceptCriteriaOffer(1, 3, [], info);
+            await offerBook.connect(seller).acceptCriteriaOffer(10, 7, [], info);
+
+            expect(await archive.getCurrentOnSale(offerBook.address, buyer.address, id)).deep.equal(ethers.BigNumber.from(0));
+            expect(await token1155.balanceOf(buyer.address, 1)).deep.equal(balBuyer1.add(3));
+            expect(await token1155.balanceOf(buyer.address, 10)).deep.equal(balBuyer10.add(7));
+        });
+
+        it('Should succeed to fill an ERC721 offer of two items with different tokenIds', async() => {
+            const unitPrice = ethers.utils.parseEther('1');
+            const info = await criteriaOfferInfo(5, token721.address, NFT721, ethers.constants.HashZero, 2, unitPrice);
+            const id = criteriaOfferId(31337, offerBook.address, info);
+
+            await expect(
+                offerBook.connect(seller).acceptCriteriaOffer(10, 2, [], info)
+            ).to.be.revertedWith('Invalid amount');
+
+            await offerBook.connect(seller).acceptCriteriaOffer(10, SINGLE_UNIT, [], info);
+            expect(await archive.getCurrentOnSale(offerBook.address, buyer.address, id)).deep.equal(ethers.BigNumber.from(1));
+            await offerBook.connect(seller).acceptCriteriaOffer(13, SINGLE_UNIT, [], info);
+            expect(await archive.getCurrentOnSale(offerBook.address, buyer.address, id)).deep.equal(ethers.BigNumber.from(0));
+            expect(await token721.ownerOf(10)).deep.equal(buyer.address);
+            expect(await token721.ownerOf(13)).deep.equal(buyer.address);
+
+            //  The offer has been filled
+            await expect(
+                offerBook.connect(seller).acceptCriteriaOffer(12, SINGLE_UNIT, [], info)
+            ).to.be.reverted;
+            expect(await token721.ownerOf(12)).deep.equal(seller.address);
+        });
+
+        it('Should fail to accept a collection-wide offer on an unregistered collection', async() => {
+            const ERC721 = await ethers.getContractFactory('ERC721Test', admin);
+            const unregistered = await ERC721.deploy('Unregistered', 'UNR');
+            await unregistered.mint(seller.address, 1);
+            const info = await criteriaOfferInfo(3, unregistered.address, NFT721, ethers.constants.HashZero, SINGLE_UNIT, 100);
+
+            await expect(
+                offerBook.connect(seller).acceptCriteriaOffer(1, SINGLE_UNIT, [], info)
+            ).to.be.revertedWith('Collection not supported');
+        });
+
+        it('Should succeed when Buyer cancels a criteria offer', async() => {
+            const info = await criteriaOfferInfo(4, token721.address, NFT721, merkleRoot(eligibleIds), SINGLE_UNIT, 100);
+            const id = criteriaOfferId(31337, offerBook.address, info);
+
+            await expect(
+                offerBook.connect(buyer).cancelCriteriaOffer(info)
+            ).to.emit(offerBook, 'OfferCanceled').withArgs(buyer.address, id);
+            await expect(
+                offerBook.connect(seller).acceptCriteriaOffer(12, SINGLE_UNIT, merkleProof(eligibleIds, 12), info)
+            ).to.be.revertedWith('Sale canceled');
+        });
+    });
+});